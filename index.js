@@ -2,6 +2,8 @@ const Table2D = require('./src/general/Table2D');
 const { PolarTable } = require('./src/general/PolarTable');
 const SI = require('./src/general/SI');
 const Reporter = require('./src/web/Reporter');
+const History = require('./src/general/History');
+const { Clock, ManualClock } = require('./src/general/Clock');
 
 const {
   MessageHandler,
@@ -16,11 +18,25 @@ const {
   SmoothedAngle
 } = require('./src/signalk/Polar');
 
+const { HandlerCollection } = require('./src/signalk/HandlerCollection');
+const { ZoneNotifier } = require('./src/signalk/ZoneNotifier');
+const { PutHandler } = require('./src/signalk/PutHandler');
+const { Publisher } = require('./src/signalk/Publisher');
+const { DerivedHandler } = require('./src/signalk/DerivedHandler');
+const { MockApp } = require('./src/signalk/MockApp');
+const { DeltaRecorder, DeltaReplay } = require('./src/signalk/Recorder');
+const { PositionSmoother } = require('./src/signalk/PositionSmoother');
+const { warmStart, RestHistoryProvider, RecordingHistoryProvider } = require('./src/signalk/WarmStart');
+const { createConfigSchema, createFromConfig } = require('./src/signalk/ConfigSchema');
+const { ConfigMigration } = require('./src/signalk/ConfigMigration');
+
 const {
   BaseSmoother,
   MovingAverageSmoother,
   ExponentialSmoother,
-  KalmanSmoother
+  KalmanSmoother,
+  KalmanRateSmoother,
+  HampelSmoother
 } = require('./src/signalk/smoothers');
 
 module.exports = {
@@ -28,6 +44,9 @@ module.exports = {
   PolarTable,
   SI,
   Reporter,
+  History,
+  Clock,
+  ManualClock,
   MessageHandler,
   MessageSmoother,
   createSmoothedHandler,
@@ -35,8 +54,25 @@ module.exports = {
   PolarSmoother,
   createSmoothedPolar,
   SmoothedAngle,
+  HandlerCollection,
+  ZoneNotifier,
+  PutHandler,
+  Publisher,
+  DerivedHandler,
+  PositionSmoother,
+  MockApp,
+  DeltaRecorder,
+  DeltaReplay,
+  warmStart,
+  RestHistoryProvider,
+  RecordingHistoryProvider,
+  createConfigSchema,
+  createFromConfig,
+  ConfigMigration,
   BaseSmoother,
   MovingAverageSmoother,
   ExponentialSmoother,
-  KalmanSmoother
+  KalmanSmoother,
+  KalmanRateSmoother,
+  HampelSmoother
 };
\ No newline at end of file
@@ -0,0 +1,193 @@
+/**
+ * Source of time and timers for all handlers, smoothers, polars and publishers.
+ *
+ * The library reads the time and schedules idle, expiry, retry and publish timers through
+ * `Clock.current`, which is the real clock by default. Replacing it with a ManualClock via
+ * `Clock.use()` makes time virtual: nothing happens until the clock is advanced, so tests
+ * need not sleep and recorded data can be replayed faster than real time with the same results.
+ *
+ * The library schedules through `Clock.timeout()` / `Clock.interval()`, whose handles remember
+ * the clock that scheduled them, and cancels through `Clock.cancel()` on that clock. Switching
+ * clocks while handlers exist therefore leaves their pending timers on the previous clock
+ * until they fire or are cancelled; select the clock before creating handlers.
+ *
+ * @example
+ * const clock = new ManualClock(Date.parse('2026-06-01T12:00:00Z'));
+ * const previous = Clock.use(clock);
+ * // ... create handlers, feed deltas ...
+ * clock.advance(5000);   // fires idle timers due within 5 s
+ * Clock.use(previous);
+ */
+class Clock {
+  /**
+   * Current time in ms since epoch.
+   * @returns {number}
+   */
+  now() {
+    return Date.now();
+  }
+
+  setTimeout(fn, ms) {
+    return setTimeout(fn, ms);
+  }
+
+  clearTimeout(id) {
+    clearTimeout(id);
+  }
+
+  setInterval(fn, ms) {
+    return setInterval(fn, ms);
+  }
+
+  clearInterval(id) {
+    clearInterval(id);
+  }
+
+  /**
+   * Schedules `fn` once on the current clock.
+   * @param {Function} fn
+   * @param {number} ms
+   * @returns {{clock: Clock, id: *, interval: boolean}} Handle for Clock.cancel().
+   */
+  static timeout(fn, ms) {
+    const clock = current;
+    return { clock, id: clock.setTimeout(fn, ms), interval: false };
+  }
+
+  /**
+   * Schedules `fn` every `ms` on the current clock.
+   * @param {Function} fn
+   * @param {number} ms
+   * @returns {{clock: Clock, id: *, interval: boolean}} Handle for Clock.cancel().
+   */
+  static interval(fn, ms) {
+    const clock = current;
+    return { clock, id: clock.setInterval(fn, ms), interval: true };
+  }
+
+  /**
+   * Cancels a timer on the clock that scheduled it, whichever clock is current now.
+   * @param {{clock: Clock, id: *, interval: boolean}|null} handle - From timeout() or interval().
+   */
+  static cancel(handle) {
+    if (!handle) return;
+    if (handle.interval) {
+      handle.clock.clearInterval(handle.id);
+    } else {
+      handle.clock.clearTimeout(handle.id);
+    }
+  }
+
+  /**
+   * The clock used by the library.
+   * @returns {Clock}
+   */
+  static get current() {
+    return current;
+  }
+
+  /**
+   * Selects the clock used by the library.
+   * @param {Clock} [clock] - Omit to return to the real clock.
+   * @returns {Clock} The previous clock.
+   */
+  static use(clock = realClock) {
+    const previous = current;
+    current = clock;
+    return previous;
+  }
+}
+
+/**
+ * Virtual clock for tests and replay. Time only moves through advance() / advanceTo(),
+ * which run the timers that fall due, in time order, with now() set to their due time.
+ */
+class ManualClock extends Clock {
+  /**
+   * @param {number} [start=0] - Initial time in ms since epoch.
+   */
+  constructor(start = 0) {
+    super();
+    this._now = start;
+    this._timers = new Map();   // id → { time, fn, interval }
+    this._nextId = 1;
+  }
+
+  now() {
+    return this._now;
+  }
+
+  setTimeout(fn, ms = 0) {
+    const id = this._nextId++;
+    this._timers.set(id, { time: this._now + Math.max(0, ms || 0), fn, interval: null });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this._timers.delete(id);
+  }
+
+  setInterval(fn, ms = 0) {
+    const id = this._nextId++;
+    const interval = Math.max(1, ms || 0);
+    this._timers.set(id, { time: this._now + interval, fn, interval });
+    return id;
+  }
+
+  clearInterval(id) {
+    this._timers.delete(id);
+  }
+
+  /**
+   * Number of scheduled timers.
+   * @returns {number}
+   */
+  get pending() {
+    return this._timers.size;
+  }
+
+  /**
+   * Moves time forward by `ms`, running the timers that fall due.
+   * @param {number} ms
+   * @returns {number} Number of timers run.
+   */
+  advance(ms) {
+    return this.advanceTo(this._now + ms);
+  }
+
+  /**
+   * Moves time forward to `time`, running the timers that fall due. Timers scheduled
+   * by those timers run too when due before `time`. Time never moves backwards.
+   * @param {number} time - Time in ms since epoch.
+   * @returns {number} Number of timers run.
+   */
+  advanceTo(time) {
+    let count = 0;
+    for (;;) {
+      let nextId = null;
+      let next = null;
+      for (const [id, timer] of this._timers) {
+        if (timer.time <= time && (next === null || timer.time < next.time)) {
+          nextId = id;
+          next = timer;
+        }
+      }
+      if (next === null) break;
+      this._now = Math.max(this._now, next.time);
+      if (next.interval === null) {
+        this._timers.delete(nextId);
+      } else {
+        next.time += next.interval;
+      }
+      next.fn();
+      count++;
+    }
+    this._now = Math.max(this._now, time);
+    return count;
+  }
+}
+
+const realClock = new Clock();
+let current = realClock;
+
+module.exports = { Clock, ManualClock };
@@ -0,0 +1,236 @@
+const { Clock } = require('./Clock');
+
+/**
+ * Bounded, time-indexed history of numeric samples, stored in a ring buffer of typed arrays.
+ *
+ * Each sample has a time (ms since epoch) and a fixed number of numeric fields, e.g. one
+ * for a scalar value or two (x, y) for a vector. The buffer keeps at most `maxSamples`
+ * samples and, when `duration` is set, drops samples older than `duration` ms before the
+ * newest one. Samples are expected in time order; older samples are ignored.
+ *
+ * Query results use a number for single-field histories and an array for vectors.
+ *
+ * @example
+ * const history = new History({ duration: 3600000, maxSamples: 3600 });
+ * history.add(Date.now(), 5.2);
+ * history.valueAt(Date.now() - 600000);   // value 10 minutes ago, interpolated
+ * history.stats(Date.now() - 3600000).max;
+ */
+class History {
+  /**
+   * @param {Object} [options={}]
+   * @param {number|null} [options.duration=null] - Time span to keep in ms; null keeps maxSamples samples regardless of age.
+   * @param {number} [options.maxSamples=1000] - Capacity of the ring buffer.
+   * @param {number} [options.fields=1] - Number of numeric fields per sample.
+   */
+  constructor({ duration = null, maxSamples = 1000, fields = 1 } = {}) {
+    if (!(maxSamples >= 1)) throw new Error('History: maxSamples must be at least 1');
+    this.duration = duration;
+    this.maxSamples = Math.floor(maxSamples);
+    this.fields = fields;
+    this._times = new Float64Array(this.maxSamples);
+    this._values = new Float64Array(this.maxSamples * fields);
+    this._start = 0;   // physical index of the oldest sample
+    this._length = 0;
+  }
+
+  /**
+   * Number of samples held.
+   * @returns {number}
+   */
+  get length() {
+    return this._length;
+  }
+
+  /**
+   * Removes all samples.
+   */
+  clear() {
+    this._start = 0;
+    this._length = 0;
+  }
+
+  /**
+   * Appends a sample.
+   * @param {number} time - Sample time in ms since epoch.
+   * @param {number|number[]} value - A number, or one number per field.
+   * @returns {boolean} true if the sample was stored.
+   */
+  add(time, value) {
+    const values = Array.isArray(value) ? value : [value];
+    if (!Number.isFinite(time) || values.length !== this.fields || !values.every(Number.isFinite)) return false;
+    if (this._length > 0 && time < this.time(this._length - 1)) return false;
+    if (this._length === this.maxSamples) {
+      this._start = (this._start + 1) % this.maxSamples;
+      this._length--;
+    }
+    const index = (this._start + this._length) % this.maxSamples;
+    this._times[index] = time;
+    this._values.set(values, index * this.fields);
+    this._length++;
+    this._prune(time);
+    return true;
+  }
+
+  /**
+   * Drops samples older than duration before `now`.
+   * @private
+   */
+  _prune(now) {
+    if (this.duration === null || this.duration === undefined) return;
+    while (this._length > 0 && this._times[this._start] < now - this.duration) {
+      this._start = (this._start + 1) % this.maxSamples;
+      this._length--;
+    }
+  }
+
+  /**
+   * Time of the i-th sample, oldest first.
+   * @param {number} i
+   * @returns {number}
+   */
+  time(i) {
+    return this._times[(this._start + i) % this.maxSamples];
+  }
+
+  /**
+   * Value of the i-th sample, oldest first.
+   * @param {number} i
+   * @returns {number|number[]}
+   */
+  value(i) {
+    const offset = ((this._start + i) % this.maxSamples) * this.fields;
+    if (this.fields === 1) return this._values[offset];
+    return Array.from(this._values.subarray(offset, offset + this.fields));
+  }
+
+  /**
+   * Index of the last sample at or before t, or -1.
+   * @private
+   */
+  _search(t) {
+    let lo = 0;
+    let hi = this._length - 1;
+    let result = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.time(mid) <= t) {
+        result = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Value at time t, linearly interpolated between the neighbouring samples.
+   * After the newest sample the newest value is returned.
+   * @param {number} t - Time in ms since epoch.
+   * @returns {number|number[]|null} null before the oldest sample or when empty.
+   */
+  valueAt(t) {
+    const i = this._search(t);
+    if (i === -1) return null;
+    if (i === this._length - 1 || this.time(i) === t) return this.value(i);
+    const t0 = this.time(i);
+    const t1 = this.time(i + 1);
+    const f = (t - t0) / (t1 - t0);
+    const a = this.value(i);
+    const b = this.value(i + 1);
+    if (this.fields === 1) return a + f * (b - a);
+    return a.map((v, k) => v + f * (b[k] - v));
+  }
+
+  /**
+   * Samples with t0 <= time <= t1.
+   * @param {number} [t0=-Infinity]
+   * @param {number} [t1=Infinity]
+   * @returns {Array<{t: number, value: number|number[]}>}
+   */
+  range(t0 = -Infinity, t1 = Infinity) {
+    const result = [];
+    for (let i = Math.max(0, this._search(t0 - 1) + 1); i < this._length; i++) {
+      const t = this.time(i);
+      if (t > t1) break;
+      if (t >= t0) result.push({ t, value: this.value(i) });
+    }
+    return result;
+  }
+
+  /**
+   * Minimum, maximum and mean of each field over a time window.
+   * @param {number} [t0=-Infinity]
+   * @param {number} [t1=Infinity]
+   * @returns {{n: number, min: number|number[], max: number|number[], mean: number|number[]}|null} null when the window is empty.
+   */
+  stats(t0 = -Infinity, t1 = Infinity) {
+    const samples = this.range(t0, t1);
+    if (samples.length === 0) return null;
+    const min = new Array(this.fields).fill(Infinity);
+    const max = new Array(this.fields).fill(-Infinity);
+    const sum = new Array(this.fields).fill(0);
+    for (const { value } of samples) {
+      const values = this.fields === 1 ? [value] : value;
+      values.forEach((v, k) => {
+        if (v < min[k]) min[k] = v;
+        if (v > max[k]) max[k] = v;
+        sum[k] += v;
+      });
+    }
+    const mean = sum.map(s => s / samples.length);
+    const unwrap = a => this.fields === 1 ? a[0] : a;
+    return { n: samples.length, min: unwrap(min), max: unwrap(max), mean: unwrap(mean) };
+  }
+
+  /**
+   * Statistics over the last `window` ms before `now`, or over the whole history.
+   * @param {number} [window] - Window length in ms; omit for the whole history.
+   * @param {number} [now=Clock.current.now()]
+   * @returns {{n: number, min: number|number[], max: number|number[], mean: number|number[]}|null}
+   */
+  recent(window, now = Clock.current.now()) {
+    return this.stats(window === undefined || window === null ? -Infinity : now - window);
+  }
+
+  /**
+   * Downsampled single-field history in columns, as used in report(): { t: [...], value: [...] }.
+   * @param {number} points - Maximum number of points.
+   * @returns {{t: number[], value: number[]}}
+   */
+  columns(points) {
+    const samples = this.downsample(points);
+    return { t: samples.map(s => Math.round(s.t)), value: samples.map(s => s.value) };
+  }
+
+  /**
+   * Reduces the history to at most `points` samples for charting by averaging
+   * equal time buckets. Empty buckets are omitted.
+   * @param {number} points - Maximum number of points.
+   * @param {number} [t0=-Infinity]
+   * @param {number} [t1=Infinity]
+   * @returns {Array<{t: number, value: number|number[]}>}
+   */
+  downsample(points, t0 = -Infinity, t1 = Infinity) {
+    const samples = this.range(t0, t1);
+    if (samples.length <= points) return samples;
+    const start = samples[0].t;
+    const span = samples[samples.length - 1].t - start;
+    const buckets = new Map();
+    for (const { t, value } of samples) {
+      const b = span > 0 ? Math.min(points - 1, Math.floor((t - start) / span * points)) : 0;
+      if (!buckets.has(b)) buckets.set(b, { t: 0, sum: new Array(this.fields).fill(0), n: 0 });
+      const bucket = buckets.get(b);
+      bucket.t += t;
+      (this.fields === 1 ? [value] : value).forEach((v, k) => { bucket.sum[k] += v; });
+      bucket.n++;
+    }
+    return [...buckets.values()].map(({ t, sum, n }) => ({
+      t: t / n,
+      value: this.fields === 1 ? sum[0] / n : sum.map(s => s / n),
+    }));
+  }
+}
+
+module.exports = History;
@@ -1,3 +1,40 @@
+/**
+ * Conversions from SI base units, keyed by SI unit then by target unit:
+ * converted = value * factor + (offset ?? 0).
+ */
+const CONVERSIONS = {
+  'm/s': { 'kn': { factor: 1.943844 }, 'km/h': { factor: 3.6 }, 'mph': { factor: 2.236936 } },
+  'm': { 'ft': { factor: 3.28084 }, 'nm': { factor: 1 / 1852 }, 'km': { factor: 0.001 }, 'mi': { factor: 1 / 1609.344 }, 'fathom': { factor: 1 / 1.8288 } },
+  'rad': { 'deg': { factor: 180 / Math.PI } },
+  'rad/s': { 'deg/s': { factor: 180 / Math.PI }, 'deg/min': { factor: 60 * 180 / Math.PI } },
+  'K': { 'C': { factor: 1, offset: -273.15 }, 'F': { factor: 1.8, offset: -459.67 } },
+  'Pa': { 'hPa': { factor: 0.01 }, 'mbar': { factor: 0.01 }, 'bar': { factor: 1e-5 }, 'kPa': { factor: 0.001 }, 'inHg': { factor: 1 / 3386.389 }, 'psi': { factor: 1 / 6894.757 } },
+  'm3': { 'L': { factor: 1000 }, 'gal': { factor: 264.172 } },
+  'm3/s': { 'L/h': { factor: 3.6e6 }, 'L/min': { factor: 6e4 }, 'gal/h': { factor: 951019.4 } },
+  'ratio': { '%': { factor: 100 } },
+  'Hz': { 'rpm': { factor: 60 } },
+  'J': { 'Wh': { factor: 1 / 3600 }, 'kWh': { factor: 1 / 3.6e6 } },
+  'W': { 'kW': { factor: 0.001 } },
+  's': { 'min': { factor: 1 / 60 }, 'h': { factor: 1 / 3600 } },
+  'kg': { 'lb': { factor: 2.204623 } },
+};
+
+/**
+ * Alternative spellings of units, mapped to the keys used in CONVERSIONS.
+ */
+const ALIASES = {
+  'knots': 'kn', 'kt': 'kn', 'kts': 'kn', 'kph': 'km/h', 'NM': 'nm', 'nmi': 'nm', 'feet': 'ft',
+  '°': 'deg', 'degrees': 'deg', '°/s': 'deg/s', '°/min': 'deg/min',
+  '°C': 'C', 'celsius': 'C', '°F': 'F', 'fahrenheit': 'F', 'l': 'L', 'l/h': 'L/h', 'l/min': 'L/min',
+};
+
+/**
+ * Display symbols that differ from the unit key.
+ */
+const SYMBOLS = { 'deg': '°', 'deg/s': '°/s', 'deg/min': '°/min', 'C': '°C', 'F': '°F', 'ratio': '' };
+
+const formulaCache = new Map();
+
 class SI {
   /**
    * Utility class for unit conversions.
@@ -17,5 +54,168 @@ class SI {
   static fromDegrees(degrees) {
     return degrees * (Math.PI / 180);
   }
+
+  /**
+   * Converts a value from an SI unit to another unit.
+   * @param {number} value - Value in `fromUnit`.
+   * @param {string} fromUnit - SI unit as used in SK meta, e.g. 'm/s', 'rad', 'K'.
+   * @param {string} toUnit - Target unit, e.g. 'kn', 'deg', '°C'.
+   * @returns {number|null} Converted value, or null if the conversion is unknown.
+   */
+  static convert(value, fromUnit, toUnit) {
+    if (typeof value !== 'number') return null;
+    const target = ALIASES[toUnit] ?? toUnit;
+    if (target === fromUnit) return value;
+    const conversion = CONVERSIONS[fromUnit]?.[target];
+    if (!conversion) return null;
+    return value * conversion.factor + (conversion.offset ?? 0);
+  }
+
+  /**
+   * Display symbol of a unit, e.g. '°' for 'deg'.
+   * @param {string} unit
+   * @returns {string}
+   */
+  static symbol(unit) {
+    const key = ALIASES[unit] ?? unit;
+    return SYMBOLS[key] ?? key ?? '';
+  }
+
+  /**
+   * Evaluates a server `displayUnits` formula such as 'value * 1.94384'.
+   * Only numbers, `value`, `pi`, + - * / ^ and parentheses are supported.
+   * @param {string} formula
+   * @param {number} value
+   * @returns {number|null} Result, or null if the formula cannot be parsed.
+   */
+  static evaluate(formula, value) {
+    if (!formulaCache.has(formula)) formulaCache.set(formula, SI._compile(formula));
+    const fn = formulaCache.get(formula);
+    if (!fn) return null;
+    const result = fn(value);
+    return Number.isFinite(result) ? result : null;
+  }
+
+  /**
+   * Compiles a formula into a function of `value` with a recursive-descent parser.
+   * @private
+   * @returns {Function|null}
+   */
+  static _compile(formula) {
+    const tokens = String(formula).match(/\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+|[A-Za-z_]+|[-+*/^()]|\S/g) ?? [];
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const expression = () => {
+      let node = term();
+      while (peek() === '+' || peek() === '-') {
+        const op = next(), left = node, right = term();
+        node = op === '+' ? v => left(v) + right(v) : v => left(v) - right(v);
+      }
+      return node;
+    };
+    const term = () => {
+      let node = factor();
+      while (peek() === '*' || peek() === '/') {
+        const op = next(), left = node, right = factor();
+        node = op === '*' ? v => left(v) * right(v) : v => left(v) / right(v);
+      }
+      return node;
+    };
+    const factor = () => {
+      const base = unary();
+      if (peek() !== '^') return base;
+      next();
+      const exponent = factor();
+      return v => Math.pow(base(v), exponent(v));
+    };
+    const unary = () => {
+      if (peek() === '-') { next(); const operand = unary(); return v => -operand(v); }
+      if (peek() === '+') { next(); return unary(); }
+      return primary();
+    };
+    const primary = () => {
+      const token = next();
+      if (token === '(') {
+        const node = expression();
+        if (next() !== ')') throw new Error('missing )');
+        return node;
+      }
+      if (token === 'value') return v => v;
+      if (token === 'pi') return () => Math.PI;
+      const number = Number(token);
+      if (token !== undefined && !Number.isNaN(number)) return () => number;
+      throw new Error(`unexpected ${token}`);
+    };
+    try {
+      const fn = expression();
+      return pos === tokens.length ? fn : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Converts an SI value for display using SK meta.
+   * Without a unit the user's preferred unit from `meta.displayUnits` is used, applying its
+   * formula; otherwise the value stays in `meta.units`. Object values (e.g. attitude) are
+   * converted member by member.
+   * @param {number|Object} value - SI value.
+   * @param {Object} [meta={}] - SK meta with `units` and optionally `displayUnits`.
+   * @param {string} [unit] - Target unit; defaults to the display unit.
+   * @returns {{value: number|Object, unit: string, symbol: string}|null} null if the value or conversion is unavailable.
+   */
+  static toDisplay(value, meta = {}, unit) {
+    if (value === null || value === undefined) return null;
+    const display = meta?.displayUnits;
+    const fromUnit = meta?.units;
+    const target = unit ?? display?.targetUnit ?? fromUnit;
+    const useFormula = !!display?.formula &&
+      (target === display.targetUnit || (display.symbol !== undefined && target === display.symbol));
+    const convert = v => {
+      if (typeof v !== 'number') return null;
+      if (target === undefined) return v;
+      if (useFormula) return SI.evaluate(display.formula, v);
+      return SI.convert(v, fromUnit, target);
+    };
+    let converted;
+    if (typeof value === 'object') {
+      converted = {};
+      for (const [key, v] of Object.entries(value)) {
+        converted[key] = convert(v);
+        if (converted[key] === null) return null;
+      }
+    } else {
+      converted = convert(value);
+      if (converted === null) return null;
+    }
+    const symbol = useFormula && display.symbol !== undefined ? display.symbol : SI.symbol(target);
+    return { value: converted, unit: target ?? null, symbol: symbol ?? '' };
+  }
+
+  /**
+   * Formats an SI value for display, e.g. '6.2 kn' or '45°'.
+   * Decimals come from the `decimals` argument, else from `meta.displayUnits.displayFormat`
+   * ('0.0' means one decimal), else 2.
+   * @param {number|Object} value - SI value.
+   * @param {Object} [meta={}] - SK meta.
+   * @param {string} [unit] - Target unit; defaults to the display unit.
+   * @param {number} [decimals]
+   * @returns {string|Object|null} A string, an object of strings for object values, or null.
+   */
+  static format(value, meta = {}, unit, decimals) {
+    const display = SI.toDisplay(value, meta, unit);
+    if (!display) return null;
+    const format = meta?.displayUnits?.displayFormat;
+    const places = decimals ?? (typeof format === 'string' ? (format.split('.')[1]?.length ?? 0) : 2);
+    const separator = display.symbol === '' || display.symbol.startsWith('°') ? '' : ' ';
+    const text = v => `${v.toFixed(places)}${separator}${display.symbol}`;
+    if (typeof display.value === 'object') {
+      const result = {};
+      for (const [key, v] of Object.entries(display.value)) result[key] = text(v);
+      return result;
+    }
+    return text(display.value);
+  }
 }
-module.exports = SI; 
\ No newline at end of file
+module.exports = SI;
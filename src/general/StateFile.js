@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File in dataDir holding the saved state of the object with the given id.
+ * Characters that are not safe in file names are replaced by '_'.
+ * @param {string} dataDir
+ * @param {string} id
+ * @returns {string}
+ */
+function stateFile(dataDir, id) {
+  return path.join(dataDir, `${String(id).replace(/[^\w.-]/g, '_')}.json`);
+}
+
+/**
+ * Writes state as JSON, through a temporary file so a crash never leaves a half-written file.
+ * Creates dataDir when needed. Throws on I/O errors.
+ * @param {string} file
+ * @param {Object} data
+ */
+function writeState(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Reads state written by writeState(); null when the file does not exist.
+ * Throws on other I/O errors and on invalid JSON.
+ * @param {string} file
+ * @returns {Object|null}
+ */
+function readState(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  return JSON.parse(raw);
+}
+
+module.exports = { stateFile, writeState, readState };
@@ -0,0 +1,165 @@
+/**
+ * Options removed from handler configurations in 2.0.0, when source selection moved to the server.
+ */
+const LEGACY_SOURCE_KEYS = ['source', 'passOn', 'overwrite'];
+
+/**
+ * Keys that mark an object in a plugin configuration as a handler or polar configuration.
+ */
+const HANDLER_KEYS = ['path', 'pathMagnitude', 'pathAngle'];
+
+/**
+ * ConfigMigration upgrades saved plugin configurations. The configuration carries a `version`
+ * field (missing means 0); migration steps are registered with the version they produce and run
+ * in version order for every version above the saved one. Each step records what it changed, and
+ * run() returns the upgraded configuration with a report.
+ *
+ * A step is a function `(config, changes) => config | undefined`. It may change the configuration
+ * in place or return a new one, and reports through `changes.removed(path, value)`,
+ * `changes.changed(path, before, after)` and `changes.added(path, value)`, with dotted paths
+ * into the configuration. run() works on a copy; the original configuration is never changed.
+ *
+ * @example
+ * const migration = new ConfigMigration()
+ *   .add(1, 'Remove source selection', ConfigMigration.stripLegacySourceOptions())
+ *   .add(2, 'Wind smoothing in seconds', (config, changes) => {
+ *     changes.changed('wind.timeConstant', config.wind.timeConstant, config.wind.timeConstant / 1000);
+ *     config.wind.timeConstant /= 1000;
+ *   });
+ * plugin.start = options => {
+ *   options = migration.runAndSave(app, options);
+ *   ...
+ * };
+ */
+class ConfigMigration {
+  constructor() {
+    this._steps = [];
+  }
+
+  /**
+   * Registers a migration step.
+   * @param {number} version - Configuration version the step produces; a positive integer, unique per migration.
+   * @param {string} description - What the step does, for the report.
+   * @param {Function} migrate - (config, changes) => config | undefined.
+   * @returns {this}
+   */
+  add(version, description, migrate) {
+    if (!Number.isInteger(version) || version < 1) throw new Error(`ConfigMigration: invalid version ${version}`);
+    if (this._steps.some(step => step.version === version)) throw new Error(`ConfigMigration: version ${version} is already registered`);
+    if (typeof migrate !== 'function') throw new Error(`ConfigMigration: step ${version} has no migrate function`);
+    this._steps.push({ version, description, migrate });
+    this._steps.sort((a, b) => a.version - b.version);
+    return this;
+  }
+
+  /**
+   * The version produced by the last step, 0 without steps. Store it as `version` in new configurations.
+   * @returns {number}
+   */
+  get latestVersion() {
+    return this._steps.length ? this._steps[this._steps.length - 1].version : 0;
+  }
+
+  /**
+   * The registered steps, in version order.
+   * @returns {Array<{version: number, description: string}>}
+   */
+  get steps() {
+    return this._steps.map(({ version, description }) => ({ version, description }));
+  }
+
+  /**
+   * Upgrades a configuration to the latest version. A configuration saved by a newer plugin
+   * version is returned as it is, with `newer` set in the report.
+   * Throws when a step fails; the message names the step.
+   * @param {Object} [config={}] - The saved configuration (options passed to plugin.start).
+   * @returns {{config: Object, report: Object}} The upgraded configuration, and a report:
+   *   `{ from, to, changed, newer, steps: [{ version, description }], changes: [{ version, action, path, before?, after? }] }`.
+   */
+  run(config = {}) {
+    let result = structuredClone(config ?? {});
+    const from = Number.isInteger(result.version) ? result.version : 0;
+    const to = this.latestVersion;
+    const report = { from, to: Math.max(from, to), changed: false, newer: from > to, steps: [], changes: [] };
+    for (const step of this._steps) {
+      if (step.version <= from) continue;
+      const changes = {
+        removed: (path, before) => report.changes.push({ version: step.version, action: 'removed', path, before }),
+        changed: (path, before, after) => report.changes.push({ version: step.version, action: 'changed', path, before, after }),
+        added: (path, after) => report.changes.push({ version: step.version, action: 'added', path, after }),
+      };
+      try {
+        result = step.migrate(result, changes) ?? result;
+      } catch (err) {
+        throw new Error(`ConfigMigration: step ${step.version} (${step.description}) failed: ${err.message}`);
+      }
+      result.version = step.version;
+      report.steps.push({ version: step.version, description: step.description });
+    }
+    report.changed = report.steps.length > 0;
+    return { config: result, report };
+  }
+
+  /**
+   * Runs the migration in plugin.start() and, when the configuration was upgraded, saves it
+   * with app.savePluginOptions() and logs the changes with app.debug. On failure the error is
+   * reported with app.error and the saved configuration is returned unchanged.
+   * @param {Object} app - The app instance.
+   * @param {Object} config - The options passed to plugin.start.
+   * @returns {Object} The configuration to start with.
+   */
+  runAndSave(app, config) {
+    let migrated;
+    try {
+      migrated = this.run(config);
+    } catch (err) {
+      app.error(err.message);
+      return config;
+    }
+    const { config: result, report } = migrated;
+    if (report.newer) app.debug(`ConfigMigration: configuration version ${report.from} is newer than ${report.to}, left unchanged`);
+    if (!report.changed) return result;
+    app.debug(`ConfigMigration: configuration upgraded from version ${report.from} to ${report.to}`);
+    for (const { version, action, path } of report.changes) app.debug(`ConfigMigration: [${version}] ${action} ${path}`);
+    if (typeof app.savePluginOptions === 'function') {
+      app.savePluginOptions(result, err => {
+        if (err) app.error(`ConfigMigration: saving the upgraded configuration failed: ${err.message}`);
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Built-in step that removes the source selection options dropped in 2.0.0 — `source`,
+   * `passOn` and `overwrite` by default — from every handler configuration, i.e. every object
+   * in the configuration with a `path`, `pathMagnitude` or `pathAngle`, and from the top level.
+   * @param {Object} [options={}]
+   * @param {string[]} [options.keys=['source', 'passOn', 'overwrite']] - Keys to remove; add plugin-specific names such as 'angleSource'.
+   * @returns {Function} A migrate function for add().
+   */
+  static stripLegacySourceOptions({ keys = LEGACY_SOURCE_KEYS } = {}) {
+    return (config, changes) => {
+      const strip = (node, path) => {
+        for (const key of keys) {
+          if (Object.prototype.hasOwnProperty.call(node, key)) {
+            changes.removed(path ? `${path}.${key}` : key, node[key]);
+            delete node[key];
+          }
+        }
+      };
+      const visit = (node, path) => {
+        if (Array.isArray(node)) {
+          node.forEach((item, i) => visit(item, path ? `${path}.${i}` : String(i)));
+          return;
+        }
+        if (!node || typeof node !== 'object') return;
+        if (!path || HANDLER_KEYS.some(key => key in node)) strip(node, path);
+        for (const [key, member] of Object.entries(node)) visit(member, path ? `${path}.${key}` : key);
+      };
+      visit(config, '');
+      return config;
+    };
+  }
+}
+
+module.exports = { ConfigMigration };
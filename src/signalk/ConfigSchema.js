@@ -0,0 +1,257 @@
+const { MessageHandler, createSmoothedHandler } = require('./MessageHandler');
+const { Polar, createSmoothedPolar, SmoothedAngle } = require('./Polar');
+const { MovingAverageSmoother, ExponentialSmoother, KalmanSmoother, KalmanRateSmoother, HampelSmoother } = require('./smoothers');
+
+/**
+ * Smoother classes offered in configuration forms unless a spec or the options name others.
+ */
+const DEFAULT_SMOOTHER_CLASSES = [ExponentialSmoother, MovingAverageSmoother, KalmanSmoother, KalmanRateSmoother, HampelSmoother];
+
+const ANGLE_RANGE = {
+  type: 'string',
+  title: 'Angle range',
+  enum: ['0to2pi', '-piToPi'],
+  enumNames: ['0 to 2π (0° to 360°)', '-π to π (-180° to 180°)'],
+};
+
+/**
+ * Kind of a spec: given explicitly, or inferred from its paths.
+ * @private
+ */
+function kindOf(spec) {
+  return spec.kind ?? (spec.pathMagnitude ? 'smoothedPolar' : 'smoothedHandler');
+}
+
+/**
+ * @private
+ */
+function isSmoothed(kind) {
+  return kind === 'smoothedHandler' || kind === 'smoothedPolar' || kind === 'smoothedAngle';
+}
+
+/**
+ * @private
+ */
+function isPolar(kind) {
+  return kind === 'polar' || kind === 'smoothedPolar';
+}
+
+/**
+ * Default angle range of each kind, as in the factories and constructors.
+ * @private
+ */
+function defaultAngleRange(kind) {
+  return kind === 'smoothedAngle' ? '0to2pi' : '-piToPi';
+}
+
+/**
+ * Schema of the smoother selection: an enum of the smoother classes, and the option fields
+ * of the selected class through `dependencies` / `oneOf`, as react-jsonschema-form expects.
+ * @private
+ */
+function smootherSchema(spec, smootherClasses) {
+  const SmootherClass = spec.SmootherClass ?? ExponentialSmoother;
+  const classes = smootherClasses.includes(SmootherClass) ? smootherClasses : [SmootherClass, ...smootherClasses];
+  const defaults = spec.smootherOptions ?? {};
+  return {
+    type: 'object',
+    title: 'Smoothing',
+    properties: {
+      type: {
+        type: 'string',
+        title: 'Smoother',
+        enum: classes.map(c => c.name),
+        enumNames: classes.map(c => c.schema?.title ?? c.name),
+        default: SmootherClass.name,
+      },
+    },
+    required: ['type'],
+    dependencies: {
+      type: {
+        oneOf: classes.map(c => {
+          const properties = { type: { enum: [c.name] } };
+          for (const [key, field] of Object.entries(c.schema?.properties ?? {})) {
+            properties[key] = c === SmootherClass && defaults[key] !== undefined ? { ...field, default: defaults[key] } : { ...field };
+          }
+          return { properties };
+        }),
+      },
+    },
+  };
+}
+
+/**
+ * Generates a Signal K plugin `schema` and `uiSchema` from a declarative list of specs, so the
+ * configuration form follows the handlers a plugin creates. Each spec takes the same arguments
+ * as createSmoothedHandler() or createSmoothedPolar(), plus:
+ *
+ * - `kind`: 'handler', 'smoothedHandler', 'polar', 'smoothedPolar' or 'smoothedAngle';
+ *   defaults to 'smoothedPolar' when `pathMagnitude` is given, else 'smoothedHandler'.
+ * - `title` and `description` for the form section.
+ * - `smootherClasses`: the smoother classes to offer, default the options' list.
+ *
+ * Each spec becomes an object property named after its id with the path(s), the smoother class
+ * and its option fields (from the class' static `schema`), the angle range for polars and
+ * angles, and `magnitudeThreshold` for smoothed polars. Spec values are the defaults.
+ * createFromConfig() turns the saved configuration back into objects.
+ *
+ * @example
+ * const specs = [
+ *   { id: 'apparentWind', title: 'Apparent wind', pathMagnitude: 'environment.wind.speedApparent',
+ *     pathAngle: 'environment.wind.angleApparent', smootherOptions: { timeConstant: 5 } },
+ *   { id: 'heading', kind: 'smoothedAngle', path: 'navigation.headingTrue' },
+ * ];
+ * const { schema, uiSchema } = createConfigSchema(specs, { title: 'My plugin' });
+ * plugin.schema = schema;
+ * plugin.uiSchema = uiSchema;
+ * plugin.start = options => { outputs = createFromConfig(app, plugin.id, specs, options); };
+ *
+ * @param {Object[]} specs - Handler, polar and smoother specs.
+ * @param {Object} [options={}]
+ * @param {string} [options.title=''] - Title of the schema.
+ * @param {string} [options.description] - Description of the schema.
+ * @param {Function[]} [options.smootherClasses] - Smoother classes to offer; Exponential, moving average, Kalman, Kalman with rate and Hampel by default.
+ * @param {number|null} [options.version=null] - Configuration version, stored as a hidden `version` field; see ConfigMigration.
+ * @returns {{schema: Object, uiSchema: Object}}
+ */
+function createConfigSchema(specs, { title = '', description, smootherClasses = DEFAULT_SMOOTHER_CLASSES, version = null } = {}) {
+  const schema = { type: 'object', title, properties: {} };
+  if (description) schema.description = description;
+  const uiSchema = { 'ui:order': [...specs.map(spec => spec.id), '*'] };
+  if (version !== null) {
+    schema.properties.version = { type: 'number', title: 'Configuration version', default: version };
+    uiSchema.version = { 'ui:widget': 'hidden' };
+  }
+
+  for (const spec of specs) {
+    const kind = kindOf(spec);
+    const properties = {};
+    const order = [];
+    if (isPolar(kind)) {
+      properties.pathMagnitude = { type: 'string', title: 'Magnitude path', default: spec.pathMagnitude };
+      properties.pathAngle = { type: 'string', title: 'Angle path', default: spec.pathAngle };
+      order.push('pathMagnitude', 'pathAngle');
+    } else {
+      properties.path = { type: 'string', title: 'Path', default: spec.path };
+      order.push('path');
+    }
+    if (isSmoothed(kind)) {
+      properties.smoother = smootherSchema(spec, spec.smootherClasses ?? smootherClasses);
+      order.push('smoother');
+    }
+    if (isPolar(kind) || kind === 'smoothedAngle') {
+      properties.angleRange = { ...ANGLE_RANGE, default: spec.angleRange ?? defaultAngleRange(kind) };
+      order.push('angleRange');
+    }
+    if (kind === 'smoothedPolar') {
+      properties.magnitudeThreshold = {
+        type: ['number', 'null'],
+        title: 'Magnitude threshold',
+        description: 'Below this magnitude the angle is taken as 0; empty to disable',
+        minimum: 0,
+        default: spec.magnitudeThreshold === undefined ? 0.1 : spec.magnitudeThreshold,
+      };
+      order.push('magnitudeThreshold');
+    }
+    const section = { type: 'object', title: spec.title ?? spec.id, properties };
+    if (spec.description) section.description = spec.description;
+    schema.properties[spec.id] = section;
+    const ui = { 'ui:order': [...order, '*'] };
+    if (properties.angleRange) ui.angleRange = { 'ui:widget': 'radio' };
+    if (properties.smoother) ui.smoother = { 'ui:order': ['type', '*'] };
+    uiSchema[spec.id] = ui;
+  }
+  return { schema, uiSchema };
+}
+
+/**
+ * Smoother class and options selected in a configuration section. Options missing from the
+ * configuration come from the spec, then from the defaults in the class' schema.
+ * @private
+ */
+function selectedSmoother(app, spec, config, smootherClasses) {
+  const SpecClass = spec.SmootherClass ?? ExponentialSmoother;
+  const name = config?.type ?? SpecClass.name;
+  const SmootherClass = [SpecClass, ...(spec.smootherClasses ?? smootherClasses)].find(c => c.name === name);
+  if (!SmootherClass) {
+    app.debug(`createFromConfig: unknown smoother ${name} for ${spec.id}, using ${SpecClass.name}`);
+    return { SmootherClass: SpecClass, smootherOptions: spec.smootherOptions ?? {} };
+  }
+  const smootherOptions = SmootherClass === SpecClass ? { ...(spec.smootherOptions ?? {}) } : {};
+  for (const [key, field] of Object.entries(SmootherClass.schema?.properties ?? {})) {
+    if (config?.[key] !== undefined && config[key] !== null) smootherOptions[key] = config[key];
+    else if (smootherOptions[key] === undefined && field.default !== undefined) smootherOptions[key] = field.default;
+  }
+  return { SmootherClass, smootherOptions };
+}
+
+/**
+ * Creates and subscribes the objects described by the specs, with the values from the plugin
+ * configuration saved from the createConfigSchema() form. Missing configuration falls back to
+ * the spec, so it also works on first start. Arguments of a spec that are not part of the form
+ * (subscribeOptions, context, policy, validation, meta, ...) are passed on unchanged.
+ *
+ * @param {Object} app - The app instance.
+ * @param {string} pluginId - Plugin identifier.
+ * @param {Object[]} specs - The specs given to createConfigSchema().
+ * @param {Object} [config={}] - The plugin configuration (options passed to plugin.start).
+ * @param {Object} [options={}]
+ * @param {Function[]} [options.smootherClasses] - Smoother classes that may be selected, as for createConfigSchema().
+ * @returns {Object} The created MessageHandler, MessageSmoother, Polar, PolarSmoother and SmoothedAngle objects by spec id.
+ */
+function createFromConfig(app, pluginId, specs, config = {}, { smootherClasses = DEFAULT_SMOOTHER_CLASSES } = {}) {
+  const result = {};
+  for (const spec of specs) {
+    const kind = kindOf(spec);
+    const section = config?.[spec.id] ?? {};
+    const { kind: _kind, title: _title, description: _description, smootherClasses: _classes, ...args } = spec;
+    const pick = key => (section[key] !== undefined ? section[key] : spec[key]);
+    const smoothing = isSmoothed(kind) ? selectedSmoother(app, spec, section.smoother, smootherClasses) : {};
+    const angleRange = pick('angleRange') ?? defaultAngleRange(kind);
+    const { subscribeOptions = { excludeSelf: true }, context, policy, period, minPeriod, validation } = spec;
+
+    switch (kind) {
+      case 'handler': {
+        const handler = new MessageHandler(app, pluginId, spec.id);
+        if (spec.timeSource) handler.timeSource = spec.timeSource;
+        handler.configure(pick('path'), subscribeOptions, { context, policy, period, minPeriod, validation });
+        handler.subscribe();
+        result[spec.id] = handler;
+        break;
+      }
+      case 'smoothedHandler':
+        result[spec.id] = createSmoothedHandler({ ...args, app, pluginId, path: pick('path'), subscribe: true, ...smoothing });
+        break;
+      case 'polar': {
+        const polar = new Polar(app, pluginId, spec.id);
+        if (spec.timeSource) polar.timeSource = spec.timeSource;
+        const options = { context, policy, period, minPeriod };
+        polar.configureMagnitude(pick('pathMagnitude'), subscribeOptions, { ...options, validation: validation?.magnitude ?? null });
+        polar.configureAngle(pick('pathAngle'), subscribeOptions, { ...options, validation: validation?.angle ?? null });
+        polar.setAngleRange(angleRange);
+        if (spec.meta) polar.setMeta(spec.meta);
+        polar.subscribe();
+        result[spec.id] = polar;
+        break;
+      }
+      case 'smoothedPolar': {
+        const threshold = pick('magnitudeThreshold');
+        result[spec.id] = createSmoothedPolar({
+          ...args, app, pluginId, pathMagnitude: pick('pathMagnitude'), pathAngle: pick('pathAngle'), angleRange,
+          ...(threshold !== undefined ? { magnitudeThreshold: threshold } : {}), subscribe: true, ...smoothing,
+        });
+        break;
+      }
+      case 'smoothedAngle': {
+        const { id, path, ...options } = args;
+        result[spec.id] = new SmoothedAngle(app, pluginId, id, pick('path'), { ...options, angleRange, ...smoothing });
+        break;
+      }
+      default:
+        throw new Error(`createFromConfig: unknown kind '${kind}' for ${spec.id}`);
+    }
+  }
+  return result;
+}
+
+module.exports = { createConfigSchema, createFromConfig };
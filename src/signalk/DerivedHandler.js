@@ -0,0 +1,260 @@
+const EventEmitter = require('events');
+const SI = require('../general/SI');
+const { Clock } = require('../general/Clock');
+
+/**
+ * DerivedHandler computes a value from other handlers, smoothers or polars and
+ * recomputes it whenever one of its inputs emits 'value'.
+ *
+ * `compute` receives the inputs themselves (an object or array, as declared), so it can
+ * read `.value`, `.magnitude`, `.angle` or anything else the inputs expose. Returning
+ * `undefined` keeps the previous value.
+ *
+ * `ready` is true once a value was computed and all inputs are ready, or with
+ * `requireAll: false` any input; `stale` is true when all inputs are stale. It follows the meta / state / report() contract and emits the
+ * same events as MessageHandler, so it can be added to a Reporter or a Publisher.
+ *
+ * @example
+ * const trueWind = new Polar(app, pluginId, 'trueWind');
+ * const tws = new DerivedHandler(app, pluginId, 'trueWindSpeed', {
+ *   inputs: { apparentWind, boatSpeed },     // PolarSmoothers
+ *   compute: ({ apparentWind, boatSpeed }) => {
+ *     trueWind.copyFrom(apparentWind);
+ *     trueWind.substract(boatSpeed);
+ *     return trueWind.magnitude;
+ *   },
+ *   path: 'environment.wind.speedTrue',
+ *   meta: { units: 'm/s', displayName: 'TWS' },
+ * });
+ */
+class DerivedHandler extends EventEmitter {
+  /**
+   * @param {Object} app - The app instance.
+   * @param {string} pluginId - Plugin identifier.
+   * @param {string} id - Identifier for this handler.
+   * @param {Object} options
+   * @param {Object|Array} options.inputs - Input handlers, smoothers or polars, by name or as an array.
+   * @param {Function} options.compute - Called with the inputs; returns the new value.
+   * @param {string|null} [options.path=null] - SK path the value is published to.
+   * @param {string} [options.context='vessels.self'] - Context the value is published in.
+   * @param {boolean} [options.requireAll=true] - Only compute, and only be ready, when all inputs are ready.
+   *   When false, any ready input is enough.
+   * @param {Object} [options.meta={}] - Plugin-owned meta (units, displayName, description, ...).
+   */
+  constructor(app, pluginId, id, {
+    inputs,
+    compute,
+    path = null,
+    context = 'vessels.self',
+    requireAll = true,
+    meta = {},
+  } = {}) {
+    super();
+    if (typeof compute !== 'function') {
+      throw new Error(`DerivedHandler[${id}]: a compute function is required`);
+    }
+    this._app = app;
+    this._pluginId = pluginId;
+    this._id = id;
+    this._inputs = inputs ?? {};
+    this._compute = compute;
+    this.path = path;
+    this.context = context;
+    this.requireAll = requireAll;
+    this._derivedMeta = meta;
+    this._value = null;
+    this.timestamp = null;
+    this.n = 0;
+    this.computeErrors = 0;
+    this.lastError = null;
+    this.onChange = null;
+    this._wasStale = false;
+    this._onInputValue = () => this.recompute();
+    this._onInputStale = () => this._checkStale();
+    for (const input of this._inputList()) {
+      input.on('value', this._onInputValue);
+      input.on('stale', this._onInputStale);
+    }
+  }
+
+  /**
+   * Gets the handler id.
+   * @returns {string}
+   */
+  get id() {
+    return this._id;
+  }
+
+  /**
+   * @private
+   * @returns {Array<[string, Object]>}
+   */
+  _inputEntries() {
+    return Array.isArray(this._inputs) ? this._inputs.map((input, i) => [String(i), input]) : Object.entries(this._inputs);
+  }
+
+  /**
+   * @private
+   */
+  _inputList() {
+    return this._inputEntries().map(([, input]) => input);
+  }
+
+  get value() {
+    return this._value;
+  }
+
+  /**
+   * True when all inputs are ready.
+   * @returns {boolean}
+   */
+  get inputsReady() {
+    return this._inputList().every(input => input.ready);
+  }
+
+  /**
+   * True once a value was computed and all inputs are ready; with `requireAll: false`,
+   * once a value was computed and any input is ready.
+   * @returns {boolean}
+   */
+  get ready() {
+    if (this.n === 0) return false;
+    return this.requireAll ? this.inputsReady : this._inputList().some(input => input.ready);
+  }
+
+  /**
+   * True when all inputs are stale.
+   * @returns {boolean}
+   */
+  get stale() {
+    const inputs = this._inputList();
+    return inputs.length > 0 && inputs.every(input => input.stale);
+  }
+
+  /**
+   * Emits 'stale' when the last fresh input goes stale.
+   * @private
+   */
+  _checkStale() {
+    const stale = this.stale;
+    if (stale && !this._wasStale) this.emit('stale', this);
+    this._wasStale = stale;
+  }
+
+  /**
+   * Computes the value from the current inputs. Called automatically on input changes.
+   * @returns {this}
+   */
+  recompute() {
+    if (this.requireAll && !this.inputsReady) return this;
+    const wasReady = this.ready;
+    let value;
+    try {
+      value = this._compute(this._inputs);
+    } catch (err) {
+      this.computeErrors++;
+      this.lastError = { message: err.message, timestamp: Clock.current.now() };
+      this._app.debug(`DerivedHandler[${this.id}]: compute failed: ${err.message}`);
+      return this;
+    }
+    if (value === undefined) return this;
+    this._value = value;
+    this.timestamp = Clock.current.now();
+    this.n++;
+    this._wasStale = this.stale;
+    if (typeof this.onChange === 'function') {
+      this.onChange();
+    }
+    this.emit('value', this);
+    if (!wasReady && this.ready) this.emit('ready', this);
+    return this;
+  }
+
+  /**
+   * Current value converted to a unit, using the units in meta; see MessageHandler.valueIn().
+   * @param {string} [unit]
+   * @returns {number|Object|null}
+   */
+  valueIn(unit) {
+    return SI.toDisplay(this.value, this.meta, unit)?.value ?? null;
+  }
+
+  /**
+   * Current value as display text; see MessageHandler.formatted().
+   * @param {string} [unit]
+   * @param {number} [decimals]
+   * @returns {string|Object|null}
+   */
+  formatted(unit, decimals) {
+    return SI.format(this.value, this.meta, unit, decimals);
+  }
+
+  /**
+   * Stops listening to the inputs and removes all listeners. The inputs are not terminated.
+   * @returns {null}
+   */
+  terminate() {
+    for (const input of this._inputList()) {
+      input.off('value', this._onInputValue);
+      input.off('stale', this._onInputStale);
+    }
+    this.onChange = null;
+    this.removeAllListeners();
+    return null;
+  }
+
+  /**
+   * Gets static metadata for this handler.
+   * @returns {Object}
+   */
+  get meta() {
+    return {
+      id: this.id,
+      context: this.context,
+      path: this.path,
+      requireAll: this.requireAll,
+      inputs: Object.fromEntries(this._inputEntries().map(([name, input]) => [name, input.id])),
+      ...this._derivedMeta,
+    };
+  }
+
+  /**
+   * Gets dynamic state for this handler.
+   * @returns {Object}
+   */
+  get state() {
+    const lastDelta = this.timestamp;
+    return {
+      id: this.id,
+      ready: this.ready,
+      isStale: this.stale,
+      hasDelta: this.n > 0,
+      nComputations: this.n,
+      lastDelta,
+      deltaAge: lastDelta ? Clock.current.now() - lastDelta : null,
+      computeErrors: this.computeErrors,
+      lastError: this.lastError,
+      inputs: Object.fromEntries(this._inputEntries().map(([name, input]) => [name, { id: input.id, ready: input.ready, isStale: input.stale }])),
+    };
+  }
+
+  /**
+   * Returns a summary object for reporting.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.displayUnits=false] - Include `display: { value, formatted }` in display units.
+   * @returns {Object}
+   */
+  report({ displayUnits = false } = {}) {
+    const report = {
+      id: this.id,
+      context: this.context,
+      path: this.path,
+      value: this.value,
+      state: this.state
+    };
+    if (displayUnits) report.display = { value: this.valueIn(), formatted: this.formatted() };
+    return report;
+  }
+}
+
+module.exports = { DerivedHandler };
@@ -0,0 +1,388 @@
+const { MessageHandler, MessageSmoother } = require('./MessageHandler');
+const { Clock } = require('../general/Clock');
+
+/**
+ * HandlerCollection subscribes to a wildcard Signal K path such as
+ * `propulsion.*.revolutions` or `tanks.*.*.currentLevel` and creates a
+ * MessageHandler (optionally wrapped in a MessageSmoother) for every concrete
+ * path as it first appears.
+ *
+ * Instances are keyed by the wildcard captures joined with '.', e.g. the path
+ * `tanks.fuel.0.currentLevel` matched against `tanks.*.*.currentLevel` has key
+ * `fuel.0`. With a wildcard context such as `vessels.*` the key is prefixed with the
+ * context of the delta, e.g. `vessels.urn:mrn:imo:mmsi:244123456.fuel.0`, so every
+ * vessel gets its own instances, configured with its concrete context.
+ * Instance ids are `<id>.<key>`.
+ *
+ * The collection owns a single subscription and passes matching deltas to its
+ * children through MessageHandler.handleDelta(), so child handlers have no
+ * subscription of their own (`subscribed` is false). Do not reconfigure a child;
+ * reconfigure the collection instead.
+ *
+ * @example
+ * const batteries = new HandlerCollection(app, pluginId, 'batteryVoltage', 'electrical.batteries.*.voltage', {
+ *   SmootherClass: ExponentialSmoother,
+ *   smootherOptions: { timeConstant: 5 },
+ *   reporter,
+ * });
+ * batteries.subscribe();
+ * batteries.get('house')?.value;
+ */
+class HandlerCollection {
+  /**
+   * @param {Object} app - The app instance.
+   * @param {string} pluginId - Plugin identifier.
+   * @param {string} id - Identifier for this collection; prefix of all instance ids.
+   * @param {string} pathPattern - SK path with one or more '*' segments.
+   * @param {Object} [options={}]
+   * @param {Function|null} [options.SmootherClass=null] - If set, each instance is a MessageSmoother using this class.
+   * @param {Object} [options.smootherOptions={}] - Options for the smoother.
+   * @param {Object} [options.subscribeOptions={ excludeSelf: true }] - Options passed to the subscription manager.
+   * @param {string} [options.context='vessels.self'] - Signal K context to subscribe to.
+   * @param {string} [options.timeSource='reception'] - 'reception' or 'source'; see MessageHandler.timeSource.
+   * @param {string} [options.policy='instant'] - Subscription policy: 'instant', 'ideal' or 'fixed'.
+   * @param {number|null} [options.period=null] - Delivery period in ms for 'ideal' and 'fixed'.
+   * @param {number} [options.minPeriod=0] - Minimum interval in ms between deliveries.
+   * @param {Object|null} [options.validation=null] - Validation rules for every instance; see MessageHandler.setValidation.
+   * @param {Reporter} [options.reporter=null] - Instances are added to (and removed from) this Reporter's deltas.
+   * @param {number|null} [options.expireAfter=null] - Remove an instance after this many ms without data. null keeps instances forever.
+   * @param {Function} [options.onAdd] - Called with (key, instance) when an instance is created.
+   * @param {Function} [options.onRemove] - Called with (key, instance) when an instance is removed.
+   */
+  constructor(app, pluginId, id, pathPattern, {
+    SmootherClass = null,
+    smootherOptions = {},
+    subscribeOptions = { excludeSelf: true },
+    context = 'vessels.self',
+    timeSource = 'reception',
+    policy = 'instant',
+    period = null,
+    minPeriod = 0,
+    validation = null,
+    reporter = null,
+    expireAfter = null,
+    onAdd = null,
+    onRemove = null,
+  } = {}) {
+    this._app = app;
+    this._pluginId = pluginId;
+    this._id = id;
+    this.SmootherClass = SmootherClass;
+    this.smootherOptions = smootherOptions;
+    this._subscribeOptions = subscribeOptions;
+    this._context = context;
+    this._wildcardContext = context.includes('*');
+    this._timeSource = timeSource;
+    this._policyOptions = { policy, period, minPeriod };
+    this.validation = validation;
+    this.reporter = reporter;
+    this.expireAfter = expireAfter;
+    this.onAdd = onAdd;
+    this.onRemove = onRemove;
+    this.subscribed = false;
+    this._unsubscribes = [];
+    this._items = new Map();        // key → { handler, instance, captures, context, expiryTimer }
+    this.pathPattern = pathPattern;
+  }
+
+  /**
+   * Gets the collection id.
+   * @returns {string}
+   */
+  get id() {
+    return this._id;
+  }
+
+  /**
+   * Sets the wildcard path. Existing instances are removed; resubscribes when subscribed.
+   * @param {string} pattern
+   */
+  set pathPattern(pattern) {
+    this._pathPattern = pattern;
+    this._regex = HandlerCollection._patternToRegex(pattern);
+    this.clear();
+    if (this.subscribed) {
+      this._unsubscribe();
+      this.subscribe();
+    }
+  }
+
+  get pathPattern() {
+    return this._pathPattern;
+  }
+
+  /**
+   * Converts a wildcard path into a RegExp with one capture group per '*'.
+   * @private
+   */
+  static _patternToRegex(pattern) {
+    const body = (pattern ?? '').split('.')
+      .map(part => part === '*' ? '([^.]+)' : part.replace(/[.+?^${}()|[\]\\*]/g, '\\$&'))
+      .join('\\.');
+    return new RegExp(`^${body}$`);
+  }
+
+  /**
+   * Subscribes to the wildcard path via the subscription manager.
+   * Does nothing when already subscribed.
+   * @returns {this}
+   */
+  subscribe() {
+    const app = this._app;
+    if (this.subscribed) {
+      app.debug(`HandlerCollection[${this.id}] is already subscribed`);
+      return this;
+    }
+    if (!this._pathPattern) {
+      app.debug(`${this.id} is trying to subscribe to an empty path, subscription aborted`);
+      return;
+    }
+    app.debug(`Subscribing to ${this._pathPattern}`);
+    app.subscriptionmanager.subscribe(
+      { ...this._subscribeOptions, context: this._context, subscribe: [this._subscriptionEntry()] },
+      this._unsubscribes,
+      err => app.debug(`HandlerCollection[${this.id}] subscription error: ${err}`),
+      delta => this._handleDelta(delta)
+    );
+    this.subscribed = true;
+    return this;
+  }
+
+  /**
+   * Builds the `subscribe` entry for the wildcard path.
+   * @private
+   */
+  _subscriptionEntry() {
+    const { policy, period, minPeriod } = this._policyOptions;
+    const entry = { path: this._pathPattern, policy, minPeriod };
+    if (period !== null && policy !== 'instant') entry.period = period;
+    return entry;
+  }
+
+  /**
+   * Changes the subscription policy, resubscribing when subscribed.
+   * Omitted fields keep their current value. Existing instances are updated too.
+   * @param {Object} options - { policy, period, minPeriod }
+   * @returns {this}
+   */
+  setSubscriptionPolicy({ policy, period, minPeriod } = {}) {
+    if (policy !== undefined) this._policyOptions.policy = policy;
+    if (period !== undefined) this._policyOptions.period = period;
+    if (minPeriod !== undefined) this._policyOptions.minPeriod = minPeriod;
+    for (const item of this._items.values()) {
+      item.handler.setSubscriptionPolicy(this._policyOptions);
+    }
+    if (this.subscribed) {
+      this._unsubscribe();
+      this.subscribe();
+    }
+    return this;
+  }
+
+  /**
+   * Instance key of a concrete path: the wildcard captures, prefixed with the delta's
+   * context when the collection's context is a wildcard.
+   * @private
+   */
+  _keyOf(captures, context) {
+    if (!this._wildcardContext || !context) return captures.join('.');
+    return [context, ...captures].join('.');
+  }
+
+  /**
+   * Creates instances for new concrete paths and forwards the delta to every matching instance.
+   * Meta-only updates are forwarded to existing instances but do not create new ones.
+   * @private
+   */
+  _handleDelta(delta) {
+    const touched = new Set();
+    const metaOnly = new Set();
+    delta?.updates?.forEach(update => {
+      if (Array.isArray(update?.meta)) {
+        for (const entry of update.meta) {
+          const match = typeof entry?.path === 'string' ? this._regex.exec(entry.path) : null;
+          const key = match ? this._keyOf(match.slice(1), delta.context) : null;
+          if (match && this._items.has(key)) metaOnly.add(key);
+        }
+      }
+      if (!Array.isArray(update?.values)) return;
+      for (const entry of update.values) {
+        const match = typeof entry?.path === 'string' ? this._regex.exec(entry.path) : null;
+        if (!match) continue;
+        const captures = match.slice(1);
+        const key = this._keyOf(captures, delta.context);
+        if (!this._items.has(key)) this._create(key, entry.path, captures, delta.context);
+        touched.add(key);
+      }
+    });
+    for (const key of touched) {
+      const item = this._items.get(key);
+      if (item.handler.handleDelta(delta)) this._resetExpiry(key, item);
+    }
+    // Meta changes of known instances arrive without values.
+    for (const key of metaOnly) {
+      if (!touched.has(key)) this._items.get(key)?.handler.handleDelta(delta);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _create(key, path, captures, deltaContext) {
+    const context = this._wildcardContext && deltaContext ? deltaContext : this._context;
+    const handler = new MessageHandler(this._app, this._pluginId, `${this.id}.${key}`);
+    handler.timeSource = this._timeSource;
+    handler.configure(path, this._subscribeOptions, { context, ...this._policyOptions, validation: this.validation });
+    let instance = handler;
+    if (this.SmootherClass) {
+      const smoother = new MessageSmoother(handler, this.SmootherClass, this.smootherOptions);
+      handler.on('value', () => { smoother.sample(); });
+      instance = smoother;
+    }
+    const item = { handler, instance, captures, context, expiryTimer: null };
+    this._items.set(key, item);
+    this._app.debug(`HandlerCollection[${this.id}]: added ${path}`);
+    if (this.reporter) this.reporter.addDelta(instance);
+    if (typeof this.onAdd === 'function') this.onAdd(key, instance);
+    return item;
+  }
+
+  /**
+   * @private
+   */
+  _resetExpiry(key, item) {
+    if (this.expireAfter === null || this.expireAfter === undefined) return;
+    if (item.expiryTimer) Clock.cancel(item.expiryTimer);
+    item.expiryTimer = Clock.timeout(() => this.remove(key), this.expireAfter);
+  }
+
+  /**
+   * Removes and terminates a single instance.
+   * @param {string} key - Instance key (joined wildcard captures).
+   * @returns {boolean} true if an instance was removed.
+   */
+  remove(key) {
+    const item = this._items.get(key);
+    if (!item) return false;
+    if (item.expiryTimer) Clock.cancel(item.expiryTimer);
+    this._items.delete(key);
+    item.instance.terminate();
+    if (this.reporter) this.reporter.removeDelta(item.instance);
+    this._app.debug(`HandlerCollection[${this.id}]: removed ${item.handler.path}`);
+    if (typeof this.onRemove === 'function') this.onRemove(key, item.instance);
+    return true;
+  }
+
+  /**
+   * Removes all instances.
+   */
+  clear() {
+    for (const key of [...(this._items?.keys() ?? [])]) {
+      this.remove(key);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _unsubscribe() {
+    this._unsubscribes.forEach(fn => fn());
+    this._unsubscribes = [];
+    this.subscribed = false;
+  }
+
+  /**
+   * Unsubscribes and removes all instances.
+   * @returns {null}
+   */
+  terminate() {
+    this._unsubscribe();
+    this.clear();
+    return null;
+  }
+
+  /**
+   * Gets a single instance by key.
+   * @param {string} key
+   * @returns {MessageHandler|MessageSmoother|undefined}
+   */
+  get(key) {
+    return this._items.get(key)?.instance;
+  }
+
+  /**
+   * All instances keyed by their wildcard captures.
+   * @returns {Object<string, MessageHandler|MessageSmoother>}
+   */
+  get instances() {
+    const result = {};
+    for (const [key, item] of this._items) {
+      result[key] = item.instance;
+    }
+    return result;
+  }
+
+  /**
+   * The wildcard captures of every instance, e.g. { 'fuel.0': ['fuel', '0'] }.
+   * @returns {Object<string, string[]>}
+   */
+  get captures() {
+    const result = {};
+    for (const [key, item] of this._items) {
+      result[key] = item.captures;
+    }
+    return result;
+  }
+
+  get size() {
+    return this._items.size;
+  }
+
+  /**
+   * Gets static metadata for this collection.
+   * @returns {Object}
+   */
+  get meta() {
+    return {
+      id: this.id,
+      context: this._context,
+      pathPattern: this._pathPattern,
+      subscription: { ...this._policyOptions },
+      expireAfter: this.expireAfter,
+      smoother: this.SmootherClass ? { type: this.SmootherClass.name, ...this.smootherOptions } : null,
+    };
+  }
+
+  /**
+   * Gets dynamic state for this collection.
+   * @returns {Object}
+   */
+  get state() {
+    return {
+      id: this.id,
+      subscribed: this.subscribed,
+      nInstances: this._items.size,
+      keys: [...this._items.keys()],
+    };
+  }
+
+  /**
+   * Returns a summary object for reporting, including a report of every instance.
+   * @returns {Object}
+   */
+  report() {
+    const instances = {};
+    for (const [key, item] of this._items) {
+      instances[key] = item.instance.report();
+    }
+    return {
+      id: this.id,
+      context: this._context,
+      pathPattern: this._pathPattern,
+      instances,
+      state: this.state,
+    };
+  }
+}
+
+module.exports = { HandlerCollection };
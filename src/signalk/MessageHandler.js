@@ -1,22 +1,158 @@
 // Statistical smoothing and variance tracking for MessageHandler values, using Smoother classes
 
 const { MovingAverageSmoother, ExponentialSmoother, KalmanSmoother } = require('./smoothers');
+const EventEmitter = require('events');
+const SI = require('../general/SI');
+const History = require('../general/History');
+const { Clock } = require('../general/Clock');
+const { stateFile, writeState, readState } = require('../general/StateFile');
+
+/**
+ * Library configuration that the `meta` of handlers, smoothers, polars and derived handlers
+ * carries next to the SK meta. sendMeta() never sends these fields to the server.
+ */
+const CONFIG_META_KEYS = [
+  'id', 'context', 'path', 'idlePeriod', 'timeSource', 'subscription', 'validation',
+  'smoother', 'inputs', 'requireAll', 'angleRange', 'originRadius', 'minCourseSpeed',
+];
+
+/**
+ * Dotted keys of all numeric leaves of an object, e.g. ['roll', 'pitch', 'position.x'].
+ * @private
+ */
+function numericLeaves(value, prefix = '', result = []) {
+  for (const [key, member] of Object.entries(value)) {
+    const dotted = prefix ? `${prefix}.${key}` : key;
+    if (typeof member === 'number') {
+      result.push(dotted);
+    } else if (member && typeof member === 'object' && !Array.isArray(member)) {
+      numericLeaves(member, dotted, result);
+    }
+  }
+  return result;
+}
+
+/**
+ * @private
+ */
+function getLeaf(obj, dotted) {
+  return dotted.split('.').reduce((o, key) => o?.[key], obj);
+}
+
+/**
+ * @private
+ */
+function setLeaf(obj, dotted, value) {
+  const keys = dotted.split('.');
+  let o = obj;
+  for (const key of keys.slice(0, -1)) {
+    if (!o[key] || typeof o[key] !== 'object') o[key] = {};
+    o = o[key];
+  }
+  o[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Smooths an angle through the cosine and sine of its samples, so wraparound at ±π or 0/2π
+ * does not disturb the result. Used by MessageSmoother for angular object members.
+ * The estimate follows the convention of the input: 0..2π once a value above π was seen,
+ * −π..π once a negative value was seen.
+ * @private
+ */
+class AngleSmoother {
+  constructor(SmootherClass, options) {
+    this.x = new SmootherClass(options);
+    this.y = new SmootherClass(options);
+    this._range = '-piToPi';
+  }
+
+  get options() {
+    return this.x.options;
+  }
+
+  set options(opts) {
+    this.x.options = opts;
+    this.y.options = opts;
+  }
+
+  reset() {
+    this.x.reset();
+    this.y.reset();
+  }
+
+  add(angle, variance, timestamp) {
+    if (angle > Math.PI) this._range = '0to2pi';
+    else if (angle < 0) this._range = '-piToPi';
+    this.x.add(Math.cos(angle), undefined, timestamp);
+    this.y.add(Math.sin(angle), undefined, timestamp);
+  }
+
+  get estimate() {
+    const angle = Math.atan2(this.y.estimate, this.x.estimate);
+    return this._range === '0to2pi' && angle < 0 ? angle + 2 * Math.PI : angle;
+  }
+
+  /**
+   * Angular variance (rad²), approximated as the x/y variance over the squared mean resultant length.
+   */
+  get variance() {
+    const r2 = this.x.estimate ** 2 + this.y.estimate ** 2;
+    return r2 > 0 ? (this.x.variance + this.y.variance) / r2 : null;
+  }
+
+  get standardError() {
+    const variance = this.variance;
+    return variance === null ? null : Math.sqrt(variance);
+  }
+
+  /**
+   * Angular rate (rad/s) from the x/y rates, (x·ẏ − y·ẋ) / (x² + y²), for smoother classes
+   * that estimate rates (KalmanRateSmoother); undefined otherwise.
+   */
+  get rate() {
+    if (typeof this.x.rate !== 'number' || typeof this.y.rate !== 'number') return undefined;
+    const r2 = this.x.estimate ** 2 + this.y.estimate ** 2;
+    return r2 > 0 ? (this.x.estimate * this.y.rate - this.y.estimate * this.x.rate) / r2 : null;
+  }
+
+  toJSON() {
+    return { type: 'angle', range: this._range, x: this.x.toJSON(), y: this.y.toJSON() };
+  }
+
+  static fromJSON(data, SmootherClass, options) {
+    const smoother = new AngleSmoother(SmootherClass, options);
+    smoother._range = data.range ?? '-piToPi';
+    smoother.x = SmootherClass.fromJSON(data.x, options);
+    smoother.y = SmootherClass.fromJSON(data.y, options);
+    return smoother;
+  }
+}
 
 /**
  * MessageSmoother wraps a MessageHandler and applies a smoothing algorithm
- * using a specified Smoother class (MovingAverageSmoother, ExponentialSmoother, KalmanSmoother).
+ * using a specified Smoother class (MovingAverageSmoother, ExponentialSmoother, KalmanSmoother, ...).
  * It supports both scalar and object values, automatically creating smoothers for numeric properties in objects.
  * The MessageSmoother passes on configuration changes to the underlying MessageHandler.
- * 
+ *
+ * Object values (e.g. navigation.attitude) are smoothed per numeric leaf, addressed by dotted
+ * keys such as 'roll' or 'position.x'. Angular leaves — 'roll', 'pitch', 'yaw', or all leaves
+ * when meta.units is 'rad' (or meta.properties declares them 'rad'), or those listed in
+ * `angularKeys` — are smoothed wraparound-safe through their cosine and sine. The key set is
+ * rebuilt when the shape of the value changes; leaves that persist keep their state.
+ *
+ * Events: 'value' after each sample, 'ready' when it becomes ready, 'stale' when its
+ * idle timer expires, and 'meta' when the handler's meta changes. `onChange` still
+ * works as a single-listener shortcut for 'value'.
  **/
 
-class MessageSmoother {
+class MessageSmoother extends EventEmitter {
   /**
    * @param {MessageHandler} handler - The underlying MessageHandler instance.
    * @param {Function} [SmootherClass=ExponentialSmoother] - The smoother class to use.
    * @param {Object} [smootherOptions={}] - Options to pass to the smoother.
    */
   constructor(handler, SmootherClass = ExponentialSmoother, smootherOptions = {}) {
+    super();
     this.id = handler.id + '.smoothed';
     this.handler = handler;
     this.SmootherClass = SmootherClass;
@@ -26,61 +162,108 @@ class MessageSmoother {
     this.n = 0;
     this._isObject = false;
     this._propertyKeys = null;
+    this.angularKeys = null;    // dotted keys smoothed as angles; null detects them, see _isAngular()
     this.onChange = null;
     this._stale = true;
     this._idleTimer = null;
+    this._idleSince = null;     // local time the idle timer counts from
     this.idlePeriod = this._derivedIdlePeriod(smootherOptions);
     this._stalenessDetection = true;
+    this._history = null;
+    this.historyReportPoints = 0;
+    handler.on('meta', () => this.emit('meta', this));
   }
 
   /**
    * Resets the smoother(s) and determines the value type (scalar or object).
    * Initializes appropriate smoother(s) for the value type.
+   * @param {number|Object} [handlerValue=this.handler.value] - Value that determines the type.
    */
-  reset() {
+  reset(handlerValue = this.handler.value) {
     this.timestamp = null;
     this.n = 0;
     this._isObject = false;
     this._propertyKeys = null;
     this.smoother = null;
 
-    const handlerValue = this.handler.value;
     if (typeof handlerValue === 'number') {
       this._isObject = false;
       this.smoother = new this.SmootherClass(this.smootherOptions);
     } else if (handlerValue && typeof handlerValue === 'object') {
       this._isObject = true;
-      this._propertyKeys = Object.keys(handlerValue).filter(
-        key => typeof handlerValue[key] === 'number'
-      );
+      this._propertyKeys = [];
       this.smoother = {};
-      for (const key of this._propertyKeys) {
-        this.smoother[key] = new this.SmootherClass(this.smootherOptions);
-      }
+      this._updateKeys(handlerValue);
     } else {
       this.smoother = null; // No valid value yet
     }
   }
 
+  /**
+   * Rebuilds the key set when the numeric leaves of an object value change.
+   * Smoothers of keys that remain are kept; new keys get a fresh smoother.
+   * @private
+   */
+  _updateKeys(value) {
+    const keys = numericLeaves(value);
+    if (keys.length === this._propertyKeys.length && keys.every((key, i) => key === this._propertyKeys[i])) return;
+    const smoothers = {};
+    for (const key of keys) {
+      smoothers[key] = this.smoother[key] ?? (this._isAngular(key)
+        ? new AngleSmoother(this.SmootherClass, this.smootherOptions)
+        : new this.SmootherClass(this.smootherOptions));
+    }
+    this._propertyKeys = keys;
+    this.smoother = smoothers;
+  }
+
+  /**
+   * Whether a dotted key holds an angle.
+   * @private
+   */
+  _isAngular(key) {
+    if (Array.isArray(this.angularKeys)) return this.angularKeys.includes(key);
+    const meta = this.handler.meta;
+    const propertyUnits = key.split('.').reduce((m, k) => m?.properties?.[k], meta)?.units;
+    if (propertyUnits !== undefined) return propertyUnits === 'rad';
+    if (meta?.units === 'rad') return true;
+    return ['roll', 'pitch', 'yaw'].includes(key.split('.').pop());
+  }
+
   /**
    * Terminates the underlying handler and clears the idle timer.
    * @returns {null}
    */
   terminate(clearCallback = true) {
     if (this._idleTimer) {
-      clearTimeout(this._idleTimer);
+      Clock.cancel(this._idleTimer);
       this._idleTimer = null;
     }
+    if (clearCallback) {
+      this.onChange = null;
+      this.removeAllListeners();
+    }
     return this.handler.terminate(clearCallback);
   }
 
+  /**
+   * Marks the smoother stale and emits 'stale' on the transition.
+   * @private
+   */
+  _markStale() {
+    const wasStale = this._stale;
+    this._stale = true;
+    if (!wasStale) this.emit('stale', this);
+  }
+
   _derivedIdlePeriod(opts) {
     const MIN_IDLE = 5000;
+    opts = { ...this.SmootherClass?.defaults, ...opts }; // e.g. the default timeSpan of HampelSmoother
     if (typeof opts.timeConstant === 'number') return Math.max(opts.timeConstant * 3000, MIN_IDLE);
     if (typeof opts.tau === 'number') return Math.max(opts.tau * 3000, MIN_IDLE);
     if (typeof opts.timeSpan === 'number') return Math.max(opts.timeSpan * 3000, MIN_IDLE);
-    // KalmanSmoother (processVariance/measurementVariance/steadyState) has no
-    // time-based parameter — use a sensible default.
+    // KalmanSmoother (processVariance/measurementVariance/steadyState) and count-bounded
+    // HampelSmoother windows have no time-based parameter — use a sensible default.
     return 10000;
   }
 
@@ -93,7 +276,7 @@ class MessageSmoother {
     this.handler.stalenessDetection = val;
     if (!val) {
       if (this._idleTimer) {
-        clearTimeout(this._idleTimer);
+        Clock.cancel(this._idleTimer);
         this._idleTimer = null;
       }
       this._stale = false;
@@ -102,22 +285,41 @@ class MessageSmoother {
       if (this.timestamp === null) {
         this._stale = true;
       } else {
-        const age = Date.now() - this.timestamp;
+        const age = Clock.current.now() - (this._idleSince ?? this.timestamp);
         if (age >= this.idlePeriod) {
-          this._stale = true;
+          this._markStale();
         } else {
           this._stale = false;
-          this._idleTimer = setTimeout(() => { this._stale = true; }, this.idlePeriod - age);
+          this._idleTimer = Clock.timeout(() => { this._markStale(); }, this.idlePeriod - age);
         }
       }
     }
   }
 
-  _resetIdleTimer() {
+  /**
+   * Restarts the idle timer. Staleness is measured from the time data arrived, not from
+   * source timestamps; `age` is how long ago that was, for primed or restored samples.
+   * @private
+   * @param {number} [age=0] - Age in ms of the data.
+   */
+  _resetIdleTimer(age = 0) {
     if (!this._stalenessDetection) return;
-    if (this._idleTimer) clearTimeout(this._idleTimer);
+    if (this._idleTimer) Clock.cancel(this._idleTimer);
     this._stale = false;
-    this._idleTimer = setTimeout(() => { this._stale = true; }, this.idlePeriod);
+    this._idleSince = Clock.current.now() - age;
+    this._idleTimer = Clock.timeout(() => { this._markStale(); }, Math.max(0, this.idlePeriod - age));
+  }
+
+  /**
+   * Time of the sample being added, in ms since epoch.
+   * In 'source' time mode this is the handler's (source) timestamp, otherwise the current time.
+   * @private
+   */
+  _sampleTime() {
+    if (this.handler.timeSource === 'source' && typeof this.handler.timestamp === 'number') {
+      return this.handler.timestamp;
+    }
+    return Clock.current.now();
   }
 
   /**
@@ -126,33 +328,187 @@ class MessageSmoother {
    */
   sample() {
     if (!this.handler.ready) return this;
+    const wasReady = this.ready;
     if (this._stale) {
       this.reset();
     } else if (this.n === 0) {
       this.reset();
     }
-    const now = Date.now();
+    const now = this._sampleTime();
     const handlerValue = this.handler.value;
     const handlerVariance = this.handler.variance;
-    if (!this.smoother) {
+    if (!this.smoother || this._isObject !== (!!handlerValue && typeof handlerValue === 'object')) {
       this.reset();
     }
-    if (!this._isObject) {
-      this.smoother.add(handlerValue, handlerVariance);
-    } else if (handlerValue && typeof handlerValue === 'object') {
-      for (const key of this._propertyKeys) {
-        this.smoother[key].add(handlerValue[key]);
-      }
-    }
+    this._add(handlerValue, handlerVariance, now);
     this.timestamp = now;
     this.n++;
+    this._recordHistory(now);
     this._resetIdleTimer();
     if (typeof this.onChange === 'function') {
       this.onChange();
     }
+    this.emit('value', this);
+    if (!wasReady && this.ready) this.emit('ready', this);
     return this;
   }
 
+  /**
+   * Adds one value to the smoother(s).
+   * @private
+   */
+  _add(value, variance, timestamp) {
+    if (!this._isObject) {
+      this.smoother.add(value, variance, timestamp);
+    } else if (value && typeof value === 'object') {
+      this._updateKeys(value);
+      for (const key of this._propertyKeys) {
+        this.smoother[key].add(getLeaf(value, key), undefined, timestamp);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _recordHistory(timestamp) {
+    this._history?.add(timestamp, this.value);
+  }
+
+  /**
+   * Warm-starts the smoother with past values, e.g. from the server's history API, so it
+   * does not start from scratch after a restart. Samples are added with their own
+   * timestamps. Does nothing once live samples were taken.
+   * When the last sample is older than idlePeriod, the smoother is stale right away and
+   * the next live sample starts afresh. See warmStart().
+   * @param {Array<{t: number, value: number|Object}>} samples - Past values, t in ms since epoch.
+   * @returns {number} Number of samples used.
+   */
+  prime(samples) {
+    if (this.n > 0) return 0;
+    const valid = (samples ?? [])
+      .filter(s => Number.isFinite(s?.t) && s.value !== null && s.value !== undefined)
+      .sort((a, b) => a.t - b.t);
+    if (valid.length === 0) return 0;
+    this.reset(valid[0].value);
+    if (!this.smoother) return 0;
+    for (const { t, value } of valid) {
+      if (this._isObject ? typeof value !== 'object' : typeof value !== 'number') continue;
+      this._add(value, undefined, t);
+      this.timestamp = t;
+      this.n++;
+      this._recordHistory(t);
+    }
+    if (this.n === 0) return 0;
+    this._resetIdleTimer(Math.max(0, Clock.current.now() - this.timestamp));
+    if (typeof this.onChange === 'function') {
+      this.onChange();
+    }
+    this.emit('value', this);
+    if (this.ready) this.emit('ready', this);
+    return this.n;
+  }
+
+  /**
+   * Smoother state as a plain object for save(): the smoother class, the last sample time
+   * and the state of each smoother. History is not included.
+   * @returns {Object}
+   */
+  serialize() {
+    const smoother = !this.smoother ? null
+      : this._isObject ? Object.fromEntries(this._propertyKeys.map(key => [key, this.smoother[key].toJSON()]))
+      : this.smoother.toJSON();
+    return {
+      id: this.id,
+      path: this.handler.path,
+      type: this.SmootherClass.name,
+      savedAt: Clock.current.now(),
+      timestamp: this.timestamp,
+      n: this.n,
+      isObject: this._isObject,
+      smoother,
+    };
+  }
+
+  /**
+   * Restores state from serialize(). State is discarded when the smoother already took
+   * samples, when the path or smoother class differ, or when the last sample is older than
+   * maxAge. The current smootherOptions apply to the restored state.
+   * @param {Object} data - Output of serialize().
+   * @param {Object} [options={}]
+   * @param {number} [options.maxAge=this.idlePeriod] - Maximum age in ms of the last sample.
+   * @returns {boolean} True when the state was restored.
+   */
+  deserialize(data, { maxAge = this.idlePeriod } = {}) {
+    if (this.n > 0 || !data?.smoother || !(data.n > 0)) return false;
+    if (data.type !== this.SmootherClass.name || data.path !== this.handler.path) return false;
+    if (!Number.isFinite(data.timestamp) || Clock.current.now() - data.timestamp > maxAge) return false;
+    this._applyState(data);
+    this._resetIdleTimer(Math.max(0, Clock.current.now() - this.timestamp));
+    if (typeof this.onChange === 'function') {
+      this.onChange();
+    }
+    this.emit('value', this);
+    if (this.ready) this.emit('ready', this);
+    return true;
+  }
+
+  /**
+   * Rebuilds the smoother(s) from serialize() output.
+   * @protected
+   */
+  _applyState(data) {
+    const fromJSON = json => (json?.type === 'angle'
+      ? AngleSmoother.fromJSON(json, this.SmootherClass, this.smootherOptions)
+      : this.SmootherClass.fromJSON(json, this.smootherOptions));
+    this._isObject = !!data.isObject;
+    if (this._isObject) {
+      this._propertyKeys = Object.keys(data.smoother);
+      this.smoother = Object.fromEntries(this._propertyKeys.map(key => [key, fromJSON(data.smoother[key])]));
+    } else {
+      this._propertyKeys = null;
+      this.smoother = fromJSON(data.smoother);
+    }
+    this.timestamp = data.timestamp;
+    this.n = data.n;
+  }
+
+  /**
+   * Saves the smoother state to `<dataDir>/<id>.json`, e.g. when the plugin stops.
+   * Errors are logged with app.debug.
+   * @param {string} [dataDir=app.getDataDirPath()] - Directory for the state file; the plugin's data directory by default.
+   * @returns {boolean} True when the state was written.
+   */
+  save(dataDir = this.handler._app.getDataDirPath?.()) {
+    if (!this.smoother || this.n === 0 || !dataDir) return false;
+    try {
+      writeState(stateFile(dataDir, this.id), this.serialize());
+      return true;
+    } catch (err) {
+      this.handler._app.debug(`MessageSmoother[${this.id}]: saving state failed: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Restores the state written by save(), e.g. when the plugin starts; see deserialize().
+   * Errors are logged with app.debug.
+   * @param {string} [dataDir=app.getDataDirPath()]
+   * @param {Object} [options={}]
+   * @param {number} [options.maxAge=this.idlePeriod] - Maximum age in ms of the last saved sample.
+   * @returns {boolean} True when the state was restored.
+   */
+  restore(dataDir = this.handler._app.getDataDirPath?.(), { maxAge = this.idlePeriod } = {}) {
+    if (!dataDir) return false;
+    try {
+      const data = readState(stateFile(dataDir, this.id));
+      return !!data && this.deserialize(data, { maxAge });
+    } catch (err) {
+      this.handler._app.debug(`MessageSmoother[${this.id}]: restoring state failed: ${err.message}`);
+      return false;
+    }
+  }
+
   /**
    * Gets the current smoothed value.
    * @returns {number|Object|undefined}
@@ -161,7 +517,7 @@ class MessageSmoother {
     if (this._isObject && this.smoother) {
       const result = {};
       for (const key of this._propertyKeys) {
-        result[key] = this.smoother[key].estimate;
+        setLeaf(result, key, this.smoother[key].estimate);
       }
       return result;
     }
@@ -176,7 +532,7 @@ class MessageSmoother {
     if (this._isObject && this.smoother) {
       const result = {};
       for (const key of this._propertyKeys) {
-        result[key] = this.smoother[key].variance;
+        setLeaf(result, key, this.smoother[key].variance);
       }
       return result;
     }
@@ -191,8 +547,8 @@ class MessageSmoother {
     if (this._isObject && this.smoother) {
       const result = {};
       for (const key of this._propertyKeys) {
-        if (typeof this.smoother[key].standardError === 'function') {
-          result[key] = this.smoother[key].standardError;
+        if (this.smoother[key].standardError !== undefined) {
+          setLeaf(result, key, this.smoother[key].standardError);
         }
       }
       return result;
@@ -200,6 +556,41 @@ class MessageSmoother {
     return this.smoother ? this.smoother.standardError : undefined;
   }
 
+  /**
+   * Gets the estimated rate of change per second, for smoother classes that estimate rates
+   * (KalmanRateSmoother); angular members give rad/s. Undefined for other smoother classes.
+   * @returns {number|Object|undefined}
+   */
+  get rate() {
+    if (this._isObject && this.smoother) {
+      const result = {};
+      for (const key of this._propertyKeys) {
+        if (this.smoother[key].rate !== undefined) {
+          setLeaf(result, key, this.smoother[key].rate);
+        }
+      }
+      return Object.keys(result).length > 0 ? result : undefined;
+    }
+    return this.smoother ? this.smoother.rate : undefined;
+  }
+
+  /**
+   * Signal K context of the underlying handler.
+   * @returns {string}
+   */
+  get context() {
+    return this.handler.context;
+  }
+
+  /**
+   * Concrete context of the handler's last accepted delta; outputs of a wildcard
+   * context are sent to it.
+   * @returns {string|null}
+   */
+  get deltaContext() {
+    return this.handler.deltaContext;
+  }
+
   /**
    * Returns true if the underlying handler is stale.
    * @returns {boolean}
@@ -268,24 +659,150 @@ class MessageSmoother {
       nSamples: this.n,
       stalenessDetection: this._stalenessDetection,
       lastDelta,
-      deltaAge: lastDelta ? Date.now() - lastDelta : null,
+      deltaAge: lastDelta ? Clock.current.now() - lastDelta : null,
       frequency: this.handler.frequency,
       handler: this.handler.state,
+      ...this._outliers(),
     };
   }
 
+  /**
+   * `{ outliers }` for smoothers that count outliers (HampelSmoother): a number for scalar
+   * values, per key for objects. Empty otherwise.
+   * @private
+   */
+  _outliers() {
+    const count = s => (s instanceof AngleSmoother
+      ? (typeof s.x.rejectionCount === 'number' ? Math.max(s.x.rejectionCount, s.y.rejectionCount) : undefined)
+      : s?.rejectionCount);
+    if (!this.smoother) return {};
+    if (!this._isObject) {
+      const outliers = count(this.smoother);
+      return typeof outliers === 'number' ? { outliers } : {};
+    }
+    const outliers = {};
+    for (const key of this._propertyKeys) {
+      const n = count(this.smoother[key]);
+      if (typeof n === 'number') outliers[key] = n;
+    }
+    return Object.keys(outliers).length > 0 ? { outliers } : {};
+  }
+
+  /**
+   * Keeps a bounded history of smoothed values, indexed by sample timestamp.
+   * Non-numeric values are not recorded. Calling it again replaces the history.
+   * @param {Object} [options={}]
+   * @param {number|null} [options.duration=null] - Time span to keep in ms; null keeps maxSamples samples.
+   * @param {number} [options.maxSamples=1000] - Capacity of the ring buffer.
+   * @param {number} [options.reportPoints=0] - When > 0, report() includes the history downsampled to this many points.
+   * @returns {this}
+   */
+  enableHistory({ duration = null, maxSamples = 1000, reportPoints = 0 } = {}) {
+    this._history = new History({ duration, maxSamples });
+    this.historyReportPoints = reportPoints;
+    return this;
+  }
+
+  disableHistory() {
+    this._history = null;
+    return this;
+  }
+
+  /**
+   * The History buffer, or null when history is disabled.
+   * @returns {History|null}
+   */
+  get history() {
+    return this._history;
+  }
+
+  /**
+   * Value at time t, interpolated between recorded samples.
+   * @param {number} t - Time in ms since epoch.
+   * @returns {number|null} null without history or before the oldest sample.
+   */
+  valueAt(t) {
+    return this._history?.valueAt(t) ?? null;
+  }
+
+  /**
+   * Recorded samples with t0 <= t <= t1: [{ t, value }].
+   * @param {number} [t0]
+   * @param {number} [t1]
+   * @returns {Array<{t: number, value: number}>}
+   */
+  range(t0, t1) {
+    return this._history?.range(t0, t1) ?? [];
+  }
+
+  /**
+   * Minimum over the last `window` ms, or over the whole history.
+   * @param {number} [window]
+   * @returns {number|null}
+   */
+  min(window) {
+    return this._history?.recent(window)?.min ?? null;
+  }
+
+  /**
+   * Maximum over the last `window` ms, or over the whole history.
+   * @param {number} [window]
+   * @returns {number|null}
+   */
+  max(window) {
+    return this._history?.recent(window)?.max ?? null;
+  }
+
+  /**
+   * Mean of the recorded samples over the last `window` ms, or over the whole history.
+   * @param {number} [window]
+   * @returns {number|null}
+   */
+  mean(window) {
+    return this._history?.recent(window)?.mean ?? null;
+  }
+
+  /**
+   * Current value converted to a unit. Without a unit the user's display unit
+   * from meta.displayUnits is used, or the SI unit when the server has none.
+   * @param {string} [unit] - Target unit, e.g. 'kn', 'deg', '°C'.
+   * @returns {number|Object|null} null when there is no value or the conversion is unknown.
+   */
+  valueIn(unit) {
+    return SI.toDisplay(this.value, this.meta, unit)?.value ?? null;
+  }
+
+  /**
+   * Current value as display text with unit symbol, e.g. '6.2 kn'.
+   * @param {string} [unit] - Target unit; defaults to the display unit.
+   * @param {number} [decimals] - Defaults to meta.displayUnits.displayFormat, else 2.
+   * @returns {string|Object|null}
+   */
+  formatted(unit, decimals) {
+    return SI.format(this.value, this.meta, unit, decimals);
+  }
+
   /**
    * Returns a summary object for reporting.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.displayUnits=false] - Include `display: { value, formatted }` in display units.
    * @returns {Object}
    */
-  report() {
-    return {
+  report({ displayUnits = false } = {}) {
+    const report = {
       id: this.id,
+      context: this.handler.context,
       path: this.handler.path,
       value: this.value,
       variance: this.variance,
+      currentSource: this.handler.currentSource,
       state: this.state
     };
+    const rate = this.rate;
+    if (rate !== undefined) report.rate = rate;
+    if (displayUnits) report.display = { value: this.valueIn(), formatted: this.formatted() };
+    if (this._history && this.historyReportPoints > 0) report.history = this._history.columns(this.historyReportPoints);
+    return report;
   }
 
   /**
@@ -299,9 +816,24 @@ class MessageSmoother {
 
 /**
  * Handles subscription to a Signal K path, tracks value, frequency, and staleness.
+ *
+ * Events: 'value' for every accepted value, 'ready' when the handler becomes ready,
+ * 'stale' when no data arrived within idlePeriod, and 'meta' when meta from the
+ * server changes. `onChange` still works as a single-listener shortcut for 'value'.
  * @class
  */
-class MessageHandler {
+class MessageHandler extends EventEmitter {
+  /**
+   * Settings for the REST fallback of meta loading, shared by all handlers.
+   * - baseUrl: server URL, e.g. 'http://127.0.0.1:3000'. null derives it from app.config (localhost).
+   * - token: bearer token for servers with security enabled.
+   * - retries: number of retries after a failed request.
+   * - retryDelay: delay in ms before the first retry; doubles on each retry.
+   * - maxRetryDelay: upper bound in ms of the retry delay.
+   * - fetch: function used instead of the global fetch(), e.g. MockApp.fetch in tests.
+   */
+  static metaOptions = { baseUrl: null, token: null, retries: 5, retryDelay: 1000, maxRetryDelay: 60000, fetch: null };
+
   /**
    * Constructs the messagehandler.
    * @param {Object} app - The app instance.
@@ -310,7 +842,7 @@ class MessageHandler {
    */
 
   constructor(app, pluginId, id) {
-
+    super();
     this._app = app;
     this._id = id;
     this._pluginId = pluginId;
@@ -318,21 +850,43 @@ class MessageHandler {
     this._value = null;
     this._ready = false;
     this.timestamp = null;
+    this.sourceTimestamp = null;   // update.timestamp of the last accepted delta (ms)
+    this.receivedTimestamp = null; // local time the last accepted delta arrived (ms)
+    this._timeSource = 'reception';
     this.frequency = null;
     this.freqAlpha = 0.2;
     this.onChange = null;
     this.subscribed = false;
     this.n = 0;
-    this.idlePeriod = 4000; // ms
+    this._baseIdlePeriod = 4000; // ms, as configured; see idlePeriod
+    this._idlePeriod = 4000;
     this._idleTimer = null;
     this._path="";
+    this._context = 'vessels.self';
+    this.deltaContext = null;     // concrete context of the last accepted delta
+    this.currentSource = null;    // $source of the last accepted value, as delivered by the server
+    this._sourceChanges = [];     // most recent source switches, oldest first
+    this.sourceHistoryLength = 10;
+    this.onSourceChange = null;
+    this._validation = null;
+    this.rejectedCount = 0;
+    this.lastRejection = null;    // { reason, value, timestamp } of the most recent rejected sample
+    this._history = null;         // History of accepted values, see enableHistory()
+    this.historyReportPoints = 0;
     this._unsubscribes = [];      // holds unsubscribe fns pushed by subscriptionmanager
-    this._restMeta = null;
+    this._restMeta = null;        // meta from a provider, REST or deltas; see _loadMeta()
+    this.metaSource = null;       // 'provider', 'rest' or 'delta'
     this._fetchPending = false;
+    this._metaGeneration = 0;     // bumped on reset so late REST responses are ignored
+    this._metaRetryTimer = null;
+    this._metaNextAttempt = 0;
     this._metaCache = null;
     this._stale = false;
     this._stalenessDetection = true;
     this._subscribeOptions = { excludeSelf: true };
+    this._policy = 'instant';
+    this._period = null;
+    this._minPeriod = 0;
   }
 
   /**
@@ -363,12 +917,28 @@ class MessageHandler {
     return this;
   }
 
+  /**
+   * Selects the clock used for frequency, staleness and downstream smoothing.
+   * 'reception' (default) uses the local time a delta arrives; 'source' uses the
+   * `timestamp` of the Signal K update, so server-side buffering and batching
+   * jitter do not distort the frequency estimate. Updates without a valid
+   * timestamp fall back to reception time.
+   * @param {'reception'|'source'} mode
+   */
+  set timeSource(mode) {
+    if (mode === 'reception' || mode === 'source') {
+      this._timeSource = mode;
+    }
+  }
+
+  get timeSource() {
+    return this._timeSource;
+  }
+
   set path(newPath) {
     this._path = newPath;
-    this._restMeta = null;
-    this._metaCache = null;
-    this._fetchPending = false;
-    this._fetchRestMeta(newPath);
+    this._resetSource();
+    this._resetMeta(newPath);
     if (this.subscribed ) {
       this.terminate(false);
       this.subscribe();
@@ -379,6 +949,27 @@ class MessageHandler {
     return this._path;
   }
 
+  /**
+   * The Signal K context to subscribe to, e.g. 'vessels.self',
+   * 'vessels.urn:mrn:imo:mmsi:244123456' or 'atons.*'.
+   * Changing it clears cached meta and resubscribes when subscribed.
+   * @param {string} newContext
+   */
+  set context(newContext) {
+    this._context = newContext || 'vessels.self';
+    this.deltaContext = null;
+    this._resetSource();
+    this._resetMeta(this._path);
+    if (this.subscribed) {
+      this.terminate(false);
+      this.subscribe();
+    }
+  }
+
+  get context() {
+    return this._context;
+  }
+
   set onChange(newOnChange) {
     this._onChange = newOnChange;
   }
@@ -393,15 +984,24 @@ class MessageHandler {
    * @param {Object} [subscribeOptions={ excludeSelf: true }] - Options passed to the subscription manager.
    *   Supports `excludeSelf` (boolean) and `excludeSources` (string[]).
    *   Pass `{}` to receive the plugin's own output alongside other sources.
+   * @param {Object} [options={}]
+   * @param {string} [options.context='vessels.self'] - Signal K context to subscribe to.
+   *   Wildcards such as 'vessels.*' are passed to the subscription manager as-is.
+   * @param {string} [options.policy='instant'] - Subscription policy: 'instant', 'ideal' or 'fixed'.
+   * @param {number|null} [options.period=null] - Delivery period in ms for 'ideal' and 'fixed'; null leaves the server default.
+   * @param {number} [options.minPeriod=0] - Minimum interval in ms between deliveries for 'instant'.
+   * @param {Object|null} [options.validation] - Validation rules; see setValidation(). Omit to keep the current rules.
    * @returns {this}
    */
-  configure(path, subscribeOptions = { excludeSelf: true }) {
+  configure(path, subscribeOptions = { excludeSelf: true }, { context, policy, period, minPeriod, validation } = {}) {
+    if (validation !== undefined) this.setValidation(validation);
     this._path = path;
     this._subscribeOptions = subscribeOptions;
-    this._restMeta = null;
-    this._metaCache = null;
-    this._fetchPending = false;
-    this._fetchRestMeta(path);
+    this._context = context ?? subscribeOptions?.context ?? 'vessels.self';
+    this.deltaContext = null;
+    this._resetSource();
+    this._applyPolicy({ policy, period, minPeriod });
+    this._resetMeta(path);
     if (this.subscribed) {
       this.terminate(false);
       this.subscribe();
@@ -412,12 +1012,20 @@ class MessageHandler {
 
   /**
    * Terminates the handler, unsubscribes and clears timers.
-   * @param {boolean} [clearCallback=true] - If false, preserves _onChange (used for internal resubscribes).
+   * @param {boolean} [clearCallback=true] - If false, preserves _onChange and event listeners (used for internal resubscribes).
    */
   terminate(clearCallback = true) {
-    if (clearCallback) this._onChange = null;
+    if (clearCallback) {
+      this._onChange = null;
+      this.onSourceChange = null;
+      this.removeAllListeners();
+      // Ignore a REST meta request still in flight; it would otherwise schedule retries.
+      this._metaGeneration++;
+      this._fetchPending = false;
+      this._cancelMetaRetry();
+    }
     if (this._idleTimer) {
-      clearTimeout(this._idleTimer);
+      Clock.cancel(this._idleTimer);
       this._idleTimer = null;
     }
     // Release subscriptionmanager subscription
@@ -430,42 +1038,56 @@ class MessageHandler {
 
   /**
    * Sends a batch of messages to Signal K.
+   * Values are grouped by the context of each handler; one delta is sent per context.
    * @static
    * @param {Object} app - The app instance.
    * @param {string} pluginId - Plugin identifier.
    * @param {Array<{path: string, value: *}>} messages - Array of messages.
    */
   static send(app, pluginId, messages) {
-    let values = [];
+    const byContext = new Map();
     messages.forEach(delta => {
 
       if (delta.ready) {
-        values.push({
-          path: delta._path,
+        // A wildcard context is not a valid destination; use the concrete context last seen.
+        const context = (delta.context?.includes('*') ? delta.deltaContext : delta.context) ?? 'vessels.self';
+        if (!byContext.has(context)) byContext.set(context, []);
+        byContext.get(context).push({
+          path: delta.path ?? delta.handler?.path,
           value: delta.value
         });
       }
 
     });
-    const message = {
-      context: 'vessels.self',
-      updates: [
-        {
-          $source: pluginId,
-          values: values
-        }]
-    };
-    if (values.length > 0) app.handleMessage(pluginId, message);
+    for (const [context, values] of byContext) {
+      const message = {
+        context,
+        updates: [
+          {
+            $source: pluginId,
+            values: values
+          }]
+      };
+      app.handleMessage(pluginId, message);
+    }
   }
 
-  // Send meta updates for one or more paths
-  static sendMeta(app, pluginId, metaEntries) {
+  /**
+   * Sends meta updates for one or more paths. Library configuration such as `id`,
+   * `subscription` or `validation` is dropped, so the `meta` of a handler can be passed as is.
+   * @static
+   * @param {Object} app - The app instance.
+   * @param {string} pluginId - Plugin identifier.
+   * @param {Array<{path: string, value?: Object, meta?: Object}>} metaEntries - Meta per path.
+   * @param {string} [context='vessels.self'] - Signal K context.
+   */
+  static sendMeta(app, pluginId, metaEntries, context = 'vessels.self') {
     const meta = metaEntries.map(entry => ({
       path: entry.path,
-      value: entry.value ?? entry.meta
+      value: MessageHandler._withoutConfig(entry.value ?? entry.meta)
     }));
     const message = {
-      context: 'vessels.self',
+      context,
       updates: [
         {
           $source: pluginId,
@@ -476,9 +1098,74 @@ class MessageHandler {
     app.handleMessage(pluginId, message);
   }
 
+  /**
+   * Meta without the library configuration fields.
+   * @private
+   */
+  static _withoutConfig(meta) {
+    if (!meta || typeof meta !== 'object') return meta;
+    const result = { ...meta };
+    for (const key of CONFIG_META_KEYS) delete result[key];
+    return result;
+  }
+
   // Convenience for a single path
-  static setMeta(app, pluginId, path, value) {
-    return MessageHandler.sendMeta(app, pluginId, [{ path, value }]);
+  static setMeta(app, pluginId, path, value, context = 'vessels.self') {
+    return MessageHandler.sendMeta(app, pluginId, [{ path, value }], context);
+  }
+
+  /**
+   * Changes the subscription policy, period and minPeriod, resubscribing when subscribed.
+   * Omitted fields keep their current value.
+   * @param {Object} options
+   * @param {string} [options.policy] - 'instant', 'ideal' or 'fixed'.
+   * @param {number|null} [options.period] - Delivery period in ms.
+   * @param {number} [options.minPeriod] - Minimum interval in ms between deliveries.
+   * @returns {this}
+   */
+  setSubscriptionPolicy({ policy, period, minPeriod } = {}) {
+    this._applyPolicy({ policy, period, minPeriod });
+    if (this.subscribed) {
+      this.terminate(false);
+      this.subscribe();
+    }
+    return this;
+  }
+
+  /**
+   * Stores policy settings and derives idlePeriod from the configured one, widened so
+   * that a slow delivery rate does not make the handler stale between deliveries.
+   * @private
+   */
+  _applyPolicy({ policy, period, minPeriod }) {
+    if (policy === 'instant' || policy === 'ideal' || policy === 'fixed') this._policy = policy;
+    if (period !== undefined) this._period = period;
+    if (typeof minPeriod === 'number') this._minPeriod = minPeriod;
+    const interval = this._policy === 'instant' ? this._minPeriod : (this._period ?? 0);
+    this._idlePeriod = Math.max(this._baseIdlePeriod, 2 * interval);
+  }
+
+  /**
+   * Time in ms without data after which the handler goes stale. Assigning it sets the
+   * configured period; the effective period is at least twice the delivery interval of
+   * the subscription policy, and follows it when the policy changes.
+   * @type {number}
+   */
+  get idlePeriod() {
+    return this._idlePeriod;
+  }
+
+  set idlePeriod(ms) {
+    this._baseIdlePeriod = ms;
+    this._applyPolicy({});
+  }
+
+  /**
+   * The subscription policy in effect: { policy, period, minPeriod }.
+   * @returns {Object}
+   */
+  get subscriptionPolicy() {
+    return { policy: this._policy, period: this._period, minPeriod: this._minPeriod };
   }
 
   // subscribes to a single path and source.
@@ -494,7 +1181,7 @@ class MessageHandler {
 
     app.debug(`Subscribing to ${path}`);
     if (this._idleTimer) {
-      clearTimeout(this._idleTimer);
+      Clock.cancel(this._idleTimer);
       this._stale = false;
     }
 
@@ -510,32 +1197,260 @@ class MessageHandler {
   _subscribeViaManager(path) {
     const app = this._app;
     app.subscriptionmanager.subscribe(
-      { context: 'vessels.self', ...this._subscribeOptions, subscribe: [{ path, policy: 'instant', minPeriod: 0 }] },
+      { ...this._subscribeOptions, context: this._context, subscribe: [this._subscriptionEntry(path)] },
       this._unsubscribes,
       err => app.debug(`MessageHandler[${this.id}] subscription error: ${err}`),
-      delta => {
-        let found = false;
-        delta?.updates?.forEach(update => {
-          if (Array.isArray(update?.values)) {
-            for (const entry of update.values) {
-              if (path === entry.path) {
-                this._value = entry.value;
-                this._ready = true;
-                this.updateFrequency();
-                found = true;
-              }
-            }
+      delta => this._handleDelta(delta)
+    );
+  }
+
+  /**
+   * Builds the `subscribe` entry for the subscription manager.
+   * @private
+   */
+  _subscriptionEntry(path) {
+    const entry = { path, policy: this._policy, minPeriod: this._minPeriod };
+    if (this._period !== null && this._policy !== 'instant') entry.period = this._period;
+    return entry;
+  }
+
+  /**
+   * Applies a delta received through another subscription, e.g. the shared wildcard
+   * subscription of a HandlerCollection. Only values and meta for this handler's path and
+   * context are used, exactly as for deltas from its own subscription.
+   * @param {Object} delta - A Signal K delta message.
+   * @returns {boolean} true if a value was accepted.
+   */
+  handleDelta(delta) {
+    return this._handleDelta(delta);
+  }
+
+  /**
+   * Applies the values in a delta that match this handler's context and path.
+   * @private
+   * @param {Object} delta - A Signal K delta message.
+   * @returns {boolean} true if a value was accepted.
+   */
+  _handleDelta(delta) {
+    if (!this._matchesContext(delta?.context)) return false;
+    const path = this._path;
+    const wasReady = this.ready;
+    let found = false;
+    delta?.updates?.forEach(update => {
+      if (Array.isArray(update?.meta)) {
+        for (const entry of update.meta) {
+          if (path === entry?.path && entry.value && typeof entry.value === 'object') {
+            if (delta.context) this.deltaContext = delta.context;
+            this._applyMeta({ ...(this._restMeta ?? {}), ...entry.value }, 'delta');
           }
-        });
-        if (found) {
-          this._resetIdleTimer();
-          if (this._restMeta === null) this._fetchRestMeta(this._path);
-          if (typeof this._onChange === 'function') {
-            this._onChange();
+        }
+      }
+      if (Array.isArray(update?.values)) {
+        for (const entry of update.values) {
+          if (path === entry.path) {
+            const reason = this._validate(entry.value, update.timestamp);
+            if (reason !== null) {
+              this._reject(entry.value, reason);
+              continue;
+            }
+            this._value = entry.value;
+            this._ready = true;
+            const sampleTime = this._updateTimestamps(update.timestamp);
+            this._updateSource(update);
+            this._history?.add(sampleTime, entry.value);
+            found = true;
           }
         }
       }
-    );
+    });
+    if (found) {
+      if (delta.context) this.deltaContext = delta.context;
+      this._resetIdleTimer();
+      if (this._restMeta === null) this._loadMeta(this._path);
+      if (typeof this._onChange === 'function') {
+        this._onChange();
+      }
+      this.emit('value', this);
+      if (!wasReady && this.ready) this.emit('ready', this);
+    }
+    return found;
+  }
+
+  /**
+   * Sets the rules incoming values must pass before they are accepted.
+   * Rejected values do not change value, timestamps or staleness and do not fire onChange;
+   * they are counted in rejectedCount and described in lastRejection.
+   * @param {Object|null} rules - null disables validation.
+   * @param {string} [rules.type] - Required type: 'number' (finite), 'string', 'boolean' or 'object' (non-null).
+   * @param {number} [rules.min] - Lowest accepted numeric value.
+   * @param {number} [rules.max] - Highest accepted numeric value.
+   * @param {number} [rules.maxRate] - Highest accepted rate of change, in units per second,
+   *   relative to the last accepted value.
+   * @param {boolean} [rules.useMetaBounds=false] - Also enforce displayScale.lower/upper from SK meta.
+   *   Zones are never used as bounds: they describe abnormal ranges, not the valid one.
+   * @param {Function} [rules.validate] - Custom check (value, handler) → true to accept, or a rejection reason string.
+   * @returns {this}
+   */
+  setValidation(rules) {
+    this._validation = rules ? { ...rules } : null;
+    return this;
+  }
+
+  get validation() {
+    return this._validation;
+  }
+
+  /**
+   * Validation rules as exposed in meta: function-valued rules such as `validate` are
+   * left out, so they do not leak into published meta or serialized reports.
+   * @private
+   */
+  _publicValidation() {
+    if (!this._validation) return null;
+    return Object.fromEntries(Object.entries(this._validation).filter(([, rule]) => typeof rule !== 'function'));
+  }
+
+  /**
+   * Checks a value against the validation rules.
+   * @private
+   * @returns {string|null} Rejection reason, or null when the value is accepted.
+   */
+  _validate(value, updateTimestamp) {
+    const rules = this._validation;
+    if (!rules) return null;
+    if (rules.type) {
+      const ok = rules.type === 'number' ? (typeof value === 'number' && Number.isFinite(value))
+        : rules.type === 'object' ? (value !== null && typeof value === 'object')
+        : typeof value === rules.type;
+      if (!ok) return `expected ${rules.type}, got ${value === null ? 'null' : typeof value}`;
+    }
+    if (typeof value === 'number') {
+      if (Number.isNaN(value)) return 'NaN';
+      const bounds = this._bounds();
+      if (bounds.min !== undefined && value < bounds.min) return `below minimum ${bounds.min}`;
+      if (bounds.max !== undefined && value > bounds.max) return `above maximum ${bounds.max}`;
+      if (typeof rules.maxRate === 'number' && this._ready && typeof this._value === 'number' && this.timestamp !== null) {
+        const parsed = typeof updateTimestamp === 'string' ? Date.parse(updateTimestamp) : NaN;
+        const t = this._timeSource === 'source' && Number.isFinite(parsed) ? parsed : Clock.current.now();
+        const dt = (t - this.timestamp) / 1000;
+        if (dt > 0 && Math.abs(value - this._value) / dt > rules.maxRate) {
+          return `rate of change above ${rules.maxRate}/s`;
+        }
+      }
+    }
+    if (typeof rules.validate === 'function') {
+      const result = rules.validate(value, this);
+      if (result !== true && result !== undefined) return typeof result === 'string' ? result : 'rejected by validator';
+    }
+    return null;
+  }
+
+  /**
+   * Effective numeric bounds: explicit min/max, narrowed by meta.displayScale when useMetaBounds is set.
+   * @private
+   */
+  _bounds() {
+    const rules = this._validation;
+    let min = rules.min;
+    let max = rules.max;
+    if (rules.useMetaBounds) {
+      const meta = this.meta;
+      const lower = meta.displayScale?.lower;
+      const upper = meta.displayScale?.upper;
+      if (typeof lower === 'number') min = min === undefined ? lower : Math.max(min, lower);
+      if (typeof upper === 'number') max = max === undefined ? upper : Math.min(max, upper);
+    }
+    return { min, max };
+  }
+
+  /**
+   * @private
+   */
+  _reject(value, reason) {
+    this.rejectedCount++;
+    this.lastRejection = { reason, value, timestamp: Clock.current.now() };
+    this._app.debug(`MessageHandler[${this.id}]: rejected ${JSON.stringify(value)} for ${this.path}: ${reason}`);
+  }
+
+  /**
+   * Derives a source reference from an update: `$source` when present, otherwise
+   * `label.src` (NMEA 2000) or `label.talker` (NMEA 0183) from the `source` object.
+   * @private
+   * @returns {string|null}
+   */
+  static _sourceRef(update) {
+    if (typeof update?.$source === 'string') return update.$source;
+    const src = update?.source;
+    if (!src || typeof src !== 'object') return null;
+    const id = src.src ?? src.talker;
+    if (src.label && id !== undefined) return `${src.label}.${id}`;
+    return src.label ?? null;
+  }
+
+  /**
+   * Records the delivering source of an accepted value and keeps a short history of switches.
+   * Calls onSourceChange(source, previous) on every switch, not on the first value.
+   * @private
+   */
+  _updateSource(update) {
+    const source = MessageHandler._sourceRef(update);
+    if (source === null || source === this.currentSource) return;
+    const previous = this.currentSource;
+    this.currentSource = source;
+    if (previous === null) return;
+    this._sourceChanges.push({ timestamp: this.receivedTimestamp ?? Clock.current.now(), from: previous, to: source });
+    if (this._sourceChanges.length > this.sourceHistoryLength) {
+      this._sourceChanges.splice(0, this._sourceChanges.length - this.sourceHistoryLength);
+    }
+    this._app.debug(`MessageHandler[${this.id}]: source changed from ${previous} to ${source}`);
+    if (typeof this.onSourceChange === 'function') {
+      this.onSourceChange(source, previous);
+    }
+  }
+
+  /**
+   * Forgets the current source, its switches and the value history; used when path or context change.
+   * @private
+   */
+  _resetSource() {
+    this.currentSource = null;
+    this._sourceChanges = [];
+    this._history?.clear();
+  }
+
+  /**
+   * Most recent source switches, oldest first: [{ timestamp, from, to }].
+   * @returns {Array<Object>}
+   */
+  get sourceChanges() {
+    return this._sourceChanges.slice();
+  }
+
+  /**
+   * Returns true if a delta with the given context belongs to this handler's context.
+   * Deltas without a context are accepted; the subscription manager already filters them.
+   * @private
+   */
+  _matchesContext(deltaContext) {
+    const ctx = this._context;
+    if (!deltaContext || deltaContext === ctx) return true;
+    if (ctx === 'vessels.self') {
+      return !this._app.selfContext || deltaContext === this._app.selfContext;
+    }
+    if (ctx.includes('*')) {
+      const pattern = ctx.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^.]*');
+      return new RegExp(`^${pattern}$`).test(deltaContext);
+    }
+    return false;
+  }
+
+  /**
+   * The concrete context used to look up meta: the configured context, or for
+   * wildcard contexts the context of the last delta received (null until then).
+   * @private
+   */
+  _metaContext() {
+    return this._context.includes('*') ? this.deltaContext : this._context;
   }
 
   get stalenessDetection() {
@@ -546,7 +1461,7 @@ class MessageHandler {
     this._stalenessDetection = val;
     if (!val) {
       if (this._idleTimer) {
-        clearTimeout(this._idleTimer);
+        Clock.cancel(this._idleTimer);
         this._idleTimer = null;
       }
       this._stale = false;
@@ -555,14 +1470,14 @@ class MessageHandler {
       if (this.timestamp === null) {
         this._stale = true;
       } else {
-        const age = Date.now() - this.timestamp;
+        const age = Clock.current.now() - (this.receivedTimestamp ?? this.timestamp);
         if (age >= this.idlePeriod) {
-          this._stale = true;
+          this._markStale();
         } else {
           this._stale = false;
-          this._idleTimer = setTimeout(() => {
+          this._idleTimer = Clock.timeout(() => {
             this._app.debug(`No data for ${this.path}`);
-            this._stale = true;
+            this._markStale();
           }, this.idlePeriod - age);
         }
       }
@@ -574,58 +1489,200 @@ class MessageHandler {
   }
 
   /**
-   * Resets the idle timer for staleness detection.
+   * Marks the handler stale and emits 'stale' on the transition.
+   * @private
+   */
+  _markStale() {
+    const wasStale = this._stale;
+    this._stale = true;
+    if (!wasStale) this.emit('stale', this);
+  }
+
+  /**
+   * Resets the idle timer for staleness detection. Staleness is measured from reception,
+   * also in 'source' mode: a sensor whose clock lags the server's must not make every
+   * delta stale on arrival. Source timestamps only drive the frequency estimate.
    * @private
    */
   _resetIdleTimer() {
     if (!this._stalenessDetection) return;
     if (this._idleTimer) {
-      clearTimeout(this._idleTimer);
+      Clock.cancel(this._idleTimer);
       if (this._stale) {
         this._app.debug(`Data received for ${this.path}, clearing stale state.`);
       }
       this._stale = false;
     }
-    this._idleTimer = setTimeout(() => {
+    this._idleTimer = Clock.timeout(() => {
       this._app.debug(`No data for ${this.path}`);
-      this._stale = true;
+      this._markStale();
     }, this.idlePeriod);
   }
 
   /**
-   * Fetches metadata for the given path from the SK REST API and caches it.
-   * Fire-and-forget; called whenever the path changes.
+   * Clears cached meta and starts loading meta for a new path or context.
+   * @private
+   */
+  _resetMeta(path) {
+    this._restMeta = null;
+    this.metaSource = null;
+    this._metaCache = null;
+    this._fetchPending = false;
+    this._metaGeneration++;
+    this._metaNextAttempt = 0;
+    this._cancelMetaRetry();
+    this._loadMeta(path);
+  }
+
+  /**
+   * Loads meta for the given path, trying in turn:
+   * 1. `app.getMetadata()` where the server provides it,
+   * 2. the meta of the live node (`getSelfPath()` / `getPath()`),
+   * 3. the SK REST API, see _fetchRestMeta().
+   * Fire-and-forget; called when the path or context changes, and on accepted
+   * deltas while no meta is known.
+   * @private
+   */
+  _loadMeta(path) {
+    const context = this._metaContext();
+    if (!path || !context) return;
+    const local = this._providerMeta(path, context);
+    if (local) {
+      this._applyMeta(local, 'provider');
+      return;
+    }
+    if (this._fetchPending || this._metaRetryTimer || Clock.current.now() < this._metaNextAttempt) return;
+    this._fetchRestMeta(path, context, 0);
+  }
+
+  /**
+   * Meta from the in-process providers, or null when none has any.
+   * @private
+   */
+  _providerMeta(path, context) {
+    const app = this._app;
+    try {
+      if (typeof app.getMetadata === 'function') {
+        const meta = app.getMetadata(`${context}.${path}`);
+        if (MessageHandler._hasMeta(meta)) return meta;
+      }
+      const meta = this._liveNode()?.meta;
+      if (MessageHandler._hasMeta(meta)) return meta;
+    } catch (err) {
+      app.debug(`MessageHandler[${this.id}]: meta provider failed for ${path}: ${err.message}`);
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  static _hasMeta(meta) {
+    return !!meta && typeof meta === 'object' && Object.keys(meta).length > 0;
+  }
+
+  /**
+   * Fetches metadata for the given path from the SK REST API.
+   * Uses MessageHandler.metaOptions for the base URL and bearer token. Network errors
+   * and HTTP errors other than 404 are retried with exponential backoff; after the
+   * last retry, or on 404, the next attempt waits for a later delta.
    * Guarded by _fetchPending to prevent multiple concurrent in-flight requests.
    * @private
    */
-  _fetchRestMeta(path) {
-    if (!path || this._fetchPending) return;
-    this._fetchPending = true;
+  _fetchRestMeta(path, context, attempt) {
     const app = this._app;
+    const { baseUrl, token, retries, retryDelay, maxRetryDelay, fetch: fetchMeta } = MessageHandler.metaOptions;
     const protocol = app.config?.ssl ? 'https' : 'http';
     const port = app.config?.port ?? app.config?.settings?.port ?? 3000;
+    const base = baseUrl ?? `${protocol}://localhost:${port}`;
     const skPath = path.replace(/\./g, '/');
-    const url = `${protocol}://localhost:${port}/signalk/v1/api/vessels/self/${skPath}/meta`;
-    fetch(url)
-      .then(r => r.ok ? r.json() : null)
+    const skContext = context.replace(/\./g, '/');
+    const url = `${base}/signalk/v1/api/${skContext}/${skPath}/meta`;
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const generation = this._metaGeneration;
+    this._fetchPending = true;
+    Promise.resolve()
+      .then(() => (fetchMeta ?? fetch)(url, { headers }))
+      .then(r => {
+        if (r.ok) return r.json();
+        if (r.status === 404) return null;
+        throw new Error(`HTTP ${r.status}`);
+      })
       .then(data => {
+        if (generation !== this._metaGeneration) return;
         this._fetchPending = false;
-        if (data && typeof data === 'object') {
-          this._restMeta = data;
-          this._metaCache = null; // invalidate cached meta
+        if (MessageHandler._hasMeta(data)) {
+          this._applyMeta(data, 'rest');
+        } else {
+          this._metaNextAttempt = Clock.current.now() + retryDelay;
         }
       })
       .catch(err => {
+        if (generation !== this._metaGeneration) return;
         this._fetchPending = false;
-        app.debug(`MessageHandler[${this.id}]: REST meta fetch failed for ${path}: ${err.message}`);
+        if (attempt >= retries) {
+          app.debug(`MessageHandler[${this.id}]: REST meta fetch failed for ${path}: ${err.message}, giving up`);
+          this._metaNextAttempt = Clock.current.now() + maxRetryDelay;
+          return;
+        }
+        const delay = Math.min(retryDelay * 2 ** attempt, maxRetryDelay);
+        app.debug(`MessageHandler[${this.id}]: REST meta fetch failed for ${path}: ${err.message}, retrying in ${delay} ms`);
+        this._metaRetryTimer = Clock.timeout(() => {
+          this._metaRetryTimer = null;
+          this._fetchRestMeta(path, context, attempt + 1);
+        }, delay);
       });
   }
 
+  /**
+   * @private
+   */
+  _cancelMetaRetry() {
+    if (this._metaRetryTimer) {
+      Clock.cancel(this._metaRetryTimer);
+      this._metaRetryTimer = null;
+    }
+  }
+
+  /**
+   * Stores meta, invalidates the merged meta cache and emits 'meta'.
+   * @private
+   */
+  _applyMeta(data, source) {
+    this._restMeta = data;
+    this.metaSource = source;
+    this._metaCache = null;
+    this._cancelMetaRetry();
+    this.emit('meta', this);
+  }
+
+  /**
+   * Records the source and reception time of an accepted value and updates the
+   * frequency estimate using the clock selected by timeSource.
+   * @private
+   * @param {string} [updateTimestamp] - ISO 8601 timestamp from the SK update.
+   * @returns {number} Time of this sample on the selected clock. Unlike `timestamp`, it is
+   *   not held back for out-of-order source times, so history can drop such samples.
+   */
+  _updateTimestamps(updateTimestamp) {
+    const received = Clock.current.now();
+    const parsed = typeof updateTimestamp === 'string' ? Date.parse(updateTimestamp) : NaN;
+    this.receivedTimestamp = received;
+    this.sourceTimestamp = Number.isFinite(parsed) ? parsed : null;
+    if (this._timeSource === 'source' && this.sourceTimestamp !== null) {
+      // Out-of-order or duplicate source times carry no frequency information.
+      if (this.timestamp === null || this.sourceTimestamp > this.timestamp) this.updateFrequency(this.sourceTimestamp);
+      return this.sourceTimestamp;
+    }
+    this.updateFrequency(received);
+    return received;
+  }
+
   /**
    * Updates the frequency estimate based on the latest update.
+   * @param {number} [now=Clock.current.now()] - Time of the update in ms since epoch.
    */
-  updateFrequency() {
-    const now = Date.now();
+  updateFrequency(now = Clock.current.now()) {
     if (this.timestamp) {
       const dt = (now - this.timestamp);
       const freq = dt > 0 ? 1000 / dt : 0;
@@ -642,14 +1699,14 @@ class MessageHandler {
    * Gets static metadata for this handler.
    * The REST-sourced portion (_restMeta) is merged once and cached in _metaCache;
    * the cache is invalidated when _restMeta changes or the path is reset.
-   * getSelfPath() is still called on every read because it reflects live SK state.
+   * getSelfPath() (or getPath() for other contexts) is still called on every read because it reflects live SK state.
    * SK may contribute displayName, description, units, zones, etc.
    * If a field is absent from SK, it will not appear here — the webapp supplies fallbacks.
    * @returns {Object}
    */
   get meta() {
     try {
-      const skMeta = this._app.getSelfPath(this.path)?.meta ?? {};
+      const skMeta = this._liveNode()?.meta ?? {};
       if (!this._metaCache) {
         // Rebuild the REST-layer merge. Only runs when _restMeta changes.
         const restMeta = this._restMeta ?? {};
@@ -667,12 +1724,23 @@ class MessageHandler {
         }
         this._metaCache = merged;
       }
-      return { id: this.id, path: this.path, idlePeriod: this.idlePeriod, ...this._metaCache };
+      return { id: this.id, context: this._context, path: this.path, idlePeriod: this.idlePeriod, timeSource: this._timeSource, subscription: this.subscriptionPolicy, validation: this._publicValidation(), ...this._metaCache };
     } catch (e) {
-      return { id: this.id, path: this.path, idlePeriod: this.idlePeriod, ...(this._restMeta ?? {}) };
+      return { id: this.id, context: this._context, path: this.path, idlePeriod: this.idlePeriod, timeSource: this._timeSource, subscription: this.subscriptionPolicy, validation: this._publicValidation(), ...(this._restMeta ?? {}) };
     }
   }
 
+  /**
+   * Reads the live SK node for this handler's path in its context.
+   * @private
+   */
+  _liveNode() {
+    const context = this._metaContext();
+    if (!context) return undefined;
+    if (context === 'vessels.self') return this._app.getSelfPath(this.path);
+    return typeof this._app.getPath === 'function' ? this._app.getPath(`${context}.${this.path}`) : undefined;
+  }
+
   /**
    * Gets dynamic state for this handler.
    * @returns {Object}
@@ -682,12 +1750,20 @@ class MessageHandler {
     return {
       id: this.id,
       subscribed: this.subscribed,
+      deltaContext: this.deltaContext,
       pathKnown: this._restMeta !== null,
+      metaSource: this.metaSource,
       hasDelta: this._ready,
       isStale: this.stale,
       stalenessDetection: this._stalenessDetection,
       lastDelta,
-      deltaAge: lastDelta ? Date.now() - lastDelta : null,
+      deltaAge: lastDelta ? Clock.current.now() - lastDelta : null,
+      sourceTimestamp: this.sourceTimestamp,
+      receivedTimestamp: this.receivedTimestamp,
+      currentSource: this.currentSource,
+      sourceChanges: this.sourceChanges,
+      rejectedCount: this.rejectedCount,
+      lastRejection: this.lastRejection,
       frequency: this.frequency,
       ready: this.ready,
     };
@@ -705,17 +1781,118 @@ class MessageHandler {
     return !this.stale && this._ready;
   }
 
+  /**
+   * Keeps a bounded history of accepted values, indexed by timestamp.
+   * Non-numeric values are not recorded. Calling it again replaces the history.
+   * @param {Object} [options={}]
+   * @param {number|null} [options.duration=null] - Time span to keep in ms; null keeps maxSamples samples.
+   * @param {number} [options.maxSamples=1000] - Capacity of the ring buffer.
+   * @param {number} [options.reportPoints=0] - When > 0, report() includes the history downsampled to this many points.
+   * @returns {this}
+   */
+  enableHistory({ duration = null, maxSamples = 1000, reportPoints = 0 } = {}) {
+    this._history = new History({ duration, maxSamples });
+    this.historyReportPoints = reportPoints;
+    return this;
+  }
+
+  disableHistory() {
+    this._history = null;
+    return this;
+  }
+
+  /**
+   * The History buffer, or null when history is disabled.
+   * @returns {History|null}
+   */
+  get history() {
+    return this._history;
+  }
+
+  /**
+   * Value at time t, interpolated between recorded samples.
+   * @param {number} t - Time in ms since epoch.
+   * @returns {number|null} null without history or before the oldest sample.
+   */
+  valueAt(t) {
+    return this._history?.valueAt(t) ?? null;
+  }
+
+  /**
+   * Recorded samples with t0 <= t <= t1: [{ t, value }].
+   * @param {number} [t0]
+   * @param {number} [t1]
+   * @returns {Array<{t: number, value: number}>}
+   */
+  range(t0, t1) {
+    return this._history?.range(t0, t1) ?? [];
+  }
+
+  /**
+   * Minimum over the last `window` ms, or over the whole history.
+   * @param {number} [window]
+   * @returns {number|null}
+   */
+  min(window) {
+    return this._history?.recent(window)?.min ?? null;
+  }
+
+  /**
+   * Maximum over the last `window` ms, or over the whole history.
+   * @param {number} [window]
+   * @returns {number|null}
+   */
+  max(window) {
+    return this._history?.recent(window)?.max ?? null;
+  }
+
+  /**
+   * Mean of the recorded samples over the last `window` ms, or over the whole history.
+   * @param {number} [window]
+   * @returns {number|null}
+   */
+  mean(window) {
+    return this._history?.recent(window)?.mean ?? null;
+  }
+
+  /**
+   * Current value converted to a unit. Without a unit the user's display unit
+   * from meta.displayUnits is used, or the SI unit when the server has none.
+   * @param {string} [unit] - Target unit, e.g. 'kn', 'deg', '°C'.
+   * @returns {number|Object|null} null when there is no value or the conversion is unknown.
+   */
+  valueIn(unit) {
+    return SI.toDisplay(this.value, this.meta, unit)?.value ?? null;
+  }
+
+  /**
+   * Current value as display text with unit symbol, e.g. '6.2 kn'.
+   * @param {string} [unit] - Target unit; defaults to the display unit.
+   * @param {number} [decimals] - Defaults to meta.displayUnits.displayFormat, else 2.
+   * @returns {string|Object|null}
+   */
+  formatted(unit, decimals) {
+    return SI.format(this.value, this.meta, unit, decimals);
+  }
+
   /**
    * Returns a summary object for reporting.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.displayUnits=false] - Include `display: { value, formatted }` in display units.
    * @returns {Object}
    */
-  report() {
-    return {
+  report({ displayUnits = false } = {}) {
+    const report = {
       id: this.id,
+      context: this.context,
       path: this.path,
       value: this.value,
+      currentSource: this.currentSource,
       state: this.state
     };
+    if (displayUnits) report.display = { value: this.valueIn(), formatted: this.formatted() };
+    if (this._history && this.historyReportPoints > 0) report.history = this._history.columns(this.historyReportPoints);
+    return report;
   }
 }
 
@@ -728,13 +1905,20 @@ function createSmoothedHandler({
   SmootherClass = ExponentialSmoother,
   smootherOptions = {},
   subscribeOptions = { excludeSelf: true },
+  timeSource = 'reception',
+  context = 'vessels.self',
+  policy = 'instant',
+  period = null,
+  minPeriod = 0,
+  validation = null,
 }) {
   const handler = new MessageHandler(app, pluginId, id);
-  handler.configure(path, subscribeOptions);
+  handler.timeSource = timeSource;
+  handler.configure(path, subscribeOptions, { context, policy, period, minPeriod, validation });
   const smoother = new MessageSmoother(handler, SmootherClass, smootherOptions); // create before subscribe to avoid race
   if (subscribe) {
     handler.subscribe();
-    handler.onChange = () => { smoother.sample(); };
+    handler.on('value', () => { smoother.sample(); });
   }
   return smoother;
 }
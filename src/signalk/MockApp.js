@@ -0,0 +1,360 @@
+const { Clock } = require('../general/Clock');
+const { MessageHandler } = require('./MessageHandler');
+
+/**
+ * Converts a dotted pattern with '*' wildcards to a RegExp; '*' matches one segment.
+ * @private
+ */
+function patternToRegExp(pattern) {
+  if (pattern === '*') return /^.*$/;
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^.]*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * MockApp is an in-process stand-in for the Signal K server `app` object, for unit tests
+ * of plugins and of this library. It implements the parts the library uses:
+ * `subscriptionmanager.subscribe`, `handleMessage`, `getSelfPath`, `getPath`, `getMetadata`,
+ * `registerPutHandler`, `getDataDirPath`, `savePluginOptions`, `debug`, `error`, `config` and `selfContext`.
+ *
+ * - Deltas passed to `handleMessage()` are stored in a data tree (values and meta per context)
+ *   and delivered synchronously to matching subscriptions. Subscriptions with `excludeSelf`
+ *   do not receive deltas sent under the plugin's own id; `excludeSources` filters updates by
+ *   `$source`. Subscription policies and periods are not simulated.
+ * - `inject()` and `setValue()` feed data as another provider would.
+ * - `fetch()` serves the REST meta endpoint from the data tree; `install()` makes it
+ *   `MessageHandler.metaOptions.fetch` to exercise the REST fallback, `uninstall()` restores the previous one.
+ * - `put()` calls the registered PUT handlers and resolves with their final result.
+ *
+ * Timestamps come from `Clock.current`, so a ManualClock gives fully deterministic runs.
+ *
+ * @example
+ * const app = new MockApp({ pluginId: 'my-plugin' });
+ * app.setMeta('navigation.speedOverGround', { units: 'm/s' });
+ * const sog = createSmoothedHandler({ id: 'sog', path: 'navigation.speedOverGround', app, pluginId: 'my-plugin', subscribe: true });
+ * app.setValue('navigation.speedOverGround', 3.2);
+ * sog.value;   // 3.2
+ */
+class MockApp {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.pluginId='test-plugin'] - Id of the plugin under test; deltas it sends are excluded by `excludeSelf`.
+   * @param {string} [options.selfContext='vessels.urn:mrn:imo:mmsi:000000000'] - Concrete context of `vessels.self`.
+   * @param {Object} [options.config={}] - Value of `app.config`.
+   * @param {boolean} [options.inProcessMeta=true] - Provide `getMetadata()` and meta in `getSelfPath()` / `getPath()`.
+   *   Set to false to leave meta to the REST endpoint.
+   * @param {boolean} [options.verbose=false] - Also print debug and error messages to the console.
+   * @param {string|null} [options.dataDir=null] - Value of `getDataDirPath()`, e.g. a temporary directory.
+   */
+  constructor({
+    pluginId = 'test-plugin',
+    selfContext = 'vessels.urn:mrn:imo:mmsi:000000000',
+    config = {},
+    inProcessMeta = true,
+    verbose = false,
+    dataDir = null,
+  } = {}) {
+    this.pluginId = pluginId;
+    this.selfContext = selfContext;
+    this.selfId = selfContext.split('.').slice(1).join('.');
+    this.config = config;
+    this.inProcessMeta = inProcessMeta;
+    this.verbose = verbose;
+    this.dataDir = dataDir;
+    this.savedOptions = null;     // last configuration passed to savePluginOptions()
+    this._installed = false;
+    this._previousFetch = null;   // metaOptions.fetch replaced by install()
+    this.debugMessages = [];
+    this.errorMessages = [];
+    this.messages = [];           // { id, delta } for every handleMessage() call
+    this.restRequests = [];       // URLs requested through fetch()
+    this.restStatus = null;       // when set, fetch() answers with this HTTP status
+    this.subscriptions = [];      // { subscription, callback, errorCallback }
+    this.putHandlers = new Map(); // 'context/path' → { callback, source }
+    this._data = new Map();       // context → Map(path → { value, timestamp, $source, meta })
+    this.subscriptionmanager = {
+      subscribe: (subscription, unsubscribes, errorCallback, callback) =>
+        this._subscribe(subscription, unsubscribes, errorCallback, callback),
+    };
+    this.fetch = (url, options) => this._fetch(url, options);
+    if (!inProcessMeta) this.getMetadata = undefined;
+  }
+
+  debug(message) {
+    this.debugMessages.push(message);
+    if (this.verbose) console.log(`[debug] ${message}`);
+  }
+
+  error(message) {
+    this.errorMessages.push(message);
+    if (this.verbose) console.error(`[error] ${message}`);
+  }
+
+  /**
+   * Routes the REST meta requests of all handlers to this app's `fetch()` by setting
+   * `MessageHandler.metaOptions.fetch`. Installing again keeps the original previous fetch.
+   * @returns {this}
+   */
+  install() {
+    if (!this._installed) {
+      this._previousFetch = MessageHandler.metaOptions.fetch;
+      this._installed = true;
+    }
+    MessageHandler.metaOptions.fetch = this.fetch;
+    return this;
+  }
+
+  /**
+   * Restores the `MessageHandler.metaOptions.fetch` that was set before `install()`.
+   * Several installed apps must be uninstalled in reverse order.
+   * @returns {this}
+   */
+  uninstall() {
+    if (!this._installed) return this;
+    MessageHandler.metaOptions.fetch = this._previousFetch;
+    this._previousFetch = null;
+    this._installed = false;
+    return this;
+  }
+
+  /**
+   * The plugin's data directory, as given in the options.
+   * @returns {string|null}
+   */
+  getDataDirPath() {
+    return this.dataDir;
+  }
+
+  /**
+   * Stores the plugin configuration in `savedOptions` and calls back without error.
+   * @param {Object} options
+   * @param {Function} [callback]
+   */
+  savePluginOptions(options, callback) {
+    this.savedOptions = options;
+    if (typeof callback === 'function') callback(null);
+  }
+
+  setPluginStatus(message) {
+    this.status = message;
+  }
+
+  setPluginError(message) {
+    this.status = message;
+    this.error(message);
+  }
+
+  /**
+   * Replaces 'vessels.self' by the concrete self context.
+   * @private
+   */
+  _resolveContext(context) {
+    return !context || context === 'vessels.self' ? this.selfContext : context;
+  }
+
+  /**
+   * Splits a full path ('vessels.urn:mrn:imo:mmsi:123.navigation.position') into context and path.
+   * @private
+   */
+  _splitPath(fullPath) {
+    if (fullPath.startsWith('vessels.self.')) return [this.selfContext, fullPath.slice('vessels.self.'.length)];
+    const segments = fullPath.split('.');
+    return [segments.slice(0, 2).join('.'), segments.slice(2).join('.')];
+  }
+
+  /**
+   * @private
+   */
+  _node(context, path, create = false) {
+    if (!this._data.has(context)) {
+      if (!create) return undefined;
+      this._data.set(context, new Map());
+    }
+    const paths = this._data.get(context);
+    if (!paths.has(path) && create) paths.set(path, {});
+    return paths.get(path);
+  }
+
+  /**
+   * Node as returned by the server, without meta when inProcessMeta is off.
+   * @private
+   */
+  _publicNode(node) {
+    if (!node) return undefined;
+    if (this.inProcessMeta) return node;
+    const { meta, ...rest } = node;
+    return rest;
+  }
+
+  /**
+   * Data node of a path in the self context: { value, timestamp, $source, meta }.
+   * @param {string} path
+   * @returns {Object|undefined}
+   */
+  getSelfPath(path) {
+    return this._publicNode(this._node(this.selfContext, path));
+  }
+
+  /**
+   * Data node of a full path, e.g. 'vessels.urn:mrn:imo:mmsi:244123456.navigation.position'.
+   * @param {string} fullPath
+   * @returns {Object|undefined}
+   */
+  getPath(fullPath) {
+    return this._publicNode(this._node(...this._splitPath(fullPath)));
+  }
+
+  /**
+   * Meta of a full path; absent when inProcessMeta is false.
+   * @param {string} fullPath
+   * @returns {Object|undefined}
+   */
+  getMetadata(fullPath) {
+    return this._node(...this._splitPath(fullPath))?.meta;
+  }
+
+  /**
+   * Sets meta in the data tree without sending a delta, as if it came from the server's defaults.
+   * @param {string} path
+   * @param {Object} meta
+   * @param {string} [context='vessels.self']
+   * @returns {this}
+   */
+  setMeta(path, meta, context = 'vessels.self') {
+    const node = this._node(this._resolveContext(context), path, true);
+    node.meta = { ...(node.meta ?? {}), ...meta };
+    return this;
+  }
+
+  /**
+   * Registers a subscription; see subscriptionmanager.subscribe.
+   * @private
+   */
+  _subscribe(subscription, unsubscribes, errorCallback, callback) {
+    const entry = { subscription, errorCallback, callback };
+    this.subscriptions.push(entry);
+    unsubscribes?.push(() => {
+      this.subscriptions = this.subscriptions.filter(e => e !== entry);
+    });
+  }
+
+  /**
+   * Stores and routes a delta sent by a plugin or provider.
+   * Missing contexts, `$source` (the sender id) and timestamps are filled in as the server does.
+   * @param {string} id - Plugin or provider id.
+   * @param {Object} delta - Signal K delta.
+   */
+  handleMessage(id, delta) {
+    const context = this._resolveContext(delta?.context);
+    const timestamp = new Date(Clock.current.now()).toISOString();
+    const updates = (delta?.updates ?? []).map(update => ({
+      ...update,
+      $source: update.$source ?? id,
+      timestamp: update.timestamp ?? timestamp,
+    }));
+    this.messages.push({ id, delta: { ...delta, context, updates } });
+    for (const update of updates) {
+      for (const { path, value } of update.values ?? []) {
+        Object.assign(this._node(context, path, true), { value, timestamp: update.timestamp, $source: update.$source });
+      }
+      for (const { path, value } of update.meta ?? []) {
+        this.setMeta(path, value, context);
+      }
+    }
+    for (const entry of [...this.subscriptions]) {
+      this._deliver(entry, id, context, updates);
+    }
+  }
+
+  /**
+   * Sends a delta to one subscription, reduced to the paths it subscribed to.
+   * @private
+   */
+  _deliver({ subscription, callback }, id, context, updates) {
+    if (subscription.excludeSelf && id === this.pluginId) return;
+    if (!patternToRegExp(this._resolveContext(subscription.context ?? 'vessels.self')).test(context)) return;
+    const patterns = (subscription.subscribe ?? []).map(s => patternToRegExp(s.path ?? '*'));
+    const matches = path => patterns.some(re => re.test(path));
+    const excluded = subscription.excludeSources ?? [];
+    const filtered = [];
+    for (const update of updates) {
+      if (excluded.includes(update.$source)) continue;
+      const values = (update.values ?? []).filter(v => matches(v.path));
+      const meta = (update.meta ?? []).filter(m => matches(m.path));
+      if (values.length === 0 && meta.length === 0) continue;
+      const copy = { ...update, values };
+      if (meta.length > 0) copy.meta = meta;
+      else delete copy.meta;
+      filtered.push(copy);
+    }
+    if (filtered.length > 0) callback({ context, updates: filtered });
+  }
+
+  /**
+   * Feeds a delta as another provider would; it reaches `excludeSelf` subscriptions.
+   * @param {Object} delta
+   * @param {string} [providerId='mock-provider']
+   * @returns {this}
+   */
+  inject(delta, providerId = 'mock-provider') {
+    this.handleMessage(providerId, delta);
+    return this;
+  }
+
+  /**
+   * Feeds a single value from another provider.
+   * @param {string} path
+   * @param {*} value
+   * @param {Object} [options={}]
+   * @param {string} [options.context='vessels.self']
+   * @param {string} [options.$source='mock-provider']
+   * @param {string|number} [options.timestamp] - ISO string or ms; defaults to Clock.current.now().
+   * @returns {this}
+   */
+  setValue(path, value, { context = 'vessels.self', $source = 'mock-provider', timestamp } = {}) {
+    const update = { $source, values: [{ path, value }] };
+    if (timestamp !== undefined) update.timestamp = typeof timestamp === 'number' ? new Date(timestamp).toISOString() : timestamp;
+    return this.inject({ context, updates: [update] }, $source);
+  }
+
+  /**
+   * Serves `GET <base>/signalk/v1/api/<context>/<path>/meta` from the data tree.
+   * Answers 404 when there is no meta, or `restStatus` when set.
+   * @private
+   */
+  async _fetch(url) {
+    this.restRequests.push(url);
+    const response = (status, body = null) => ({ ok: status >= 200 && status < 300, status, json: async () => body });
+    if (this.restStatus !== null) return response(this.restStatus);
+    const match = String(url).match(/\/signalk\/v1\/api\/(.+)\/meta$/);
+    if (!match) return response(404);
+    const meta = this._node(...this._splitPath(match[1].split('/').join('.')))?.meta;
+    return meta ? response(200, meta) : response(404);
+  }
+
+  /**
+   * Registers a PUT handler; see the server's app.registerPutHandler.
+   */
+  registerPutHandler(context, path, callback, source) {
+    this.putHandlers.set(`${this._resolveContext(context)}/${path}`, { callback, source });
+  }
+
+  /**
+   * Sends a PUT request to the registered handler, as a Signal K client would.
+   * @param {string} path
+   * @param {*} value
+   * @param {string} [context='vessels.self']
+   * @returns {Promise<Object>} The final result: { state: 'COMPLETED', statusCode, message? }.
+   */
+  put(path, value, context = 'vessels.self') {
+    const resolved = this._resolveContext(context);
+    const handler = this.putHandlers.get(`${resolved}/${path}`);
+    if (!handler) return Promise.resolve({ state: 'COMPLETED', statusCode: 405, message: `no PUT handler for ${path}` });
+    return new Promise(resolve => {
+      const result = handler.callback(resolved, path, value, resolve);
+      if (result?.state !== 'PENDING') resolve(result);
+    });
+  }
+}
+
+module.exports = { MockApp };
@@ -1,34 +1,61 @@
 const { MessageHandler } = require('./MessageHandler');
 const { MovingAverageSmoother, ExponentialSmoother, KalmanSmoother } = require('./smoothers');
+const EventEmitter = require('events');
+const SI = require('../general/SI');
+const History = require('../general/History');
+const { Clock } = require('../general/Clock');
+const { stateFile, writeState, readState } = require('../general/StateFile');
 
 
-class Polar {
-  static send(app, pluginId, polars) {
-    let values = [];
-    polars.forEach(polar => {
-      if (polar.ready) {
-      values.push({
+/**
+ * Groups magnitude/angle values of ready polars by context and sends one delta per context.
+ * @private
+ */
+function sendPolarValues(app, pluginId, items, getPolar) {
+  const byContext = new Map();
+  items.forEach(item => {
+    if (item.ready) {
+      const polar = getPolar(item);
+      // A wildcard context is not a valid destination; use the concrete context last seen.
+      const context = (polar.context?.includes('*') ? polar.deltaContext : polar.context) ?? 'vessels.self';
+      if (!byContext.has(context)) byContext.set(context, []);
+      byContext.get(context).push({
         path: polar.pathMagnitude,
-        value: polar.magnitude 
+        value: item.magnitude
       });
-      values.push({
+      byContext.get(context).push({
         path: polar.pathAngle,
-        value: polar.angle 
+        value: item.angle
       });
     }
-    });
+  });
+  for (const [context, values] of byContext) {
     const message = {
-      context: 'vessels.self',
+      context,
       updates: [
         {
           $source: pluginId,
           values: values
         }]
     };
-     if (values.length > 0) app.handleMessage(pluginId, message);
+    app.handleMessage(pluginId, message);
+  }
+}
+
+/**
+ * Combines a magnitude and an angle path into a cartesian vector.
+ *
+ * Events: 'value' after every change of either handler, 'ready' when the polar becomes
+ * ready, and 'stale' and 'meta' forwarded from the subscribed handlers.
+ * `onChange` still works as a single-listener shortcut for 'value'.
+ */
+class Polar extends EventEmitter {
+  static send(app, pluginId, polars) {
+    sendPolarValues(app, pluginId, polars, polar => polar);
   }
 
   constructor(app, pluginId, id) {
+    super();
     this._app = app;
     this._pluginId = pluginId;
     this._id = id;
@@ -38,6 +65,11 @@ class Polar {
     this._usingFallbackAngle = false;
     this.magnitudeHandler = new MessageHandler(app, pluginId, id + ".magnitude");
     this.angleHandler = new MessageHandler(app, pluginId, id + ".angle");
+    this._handlerListeners = {
+      value: () => this.processChanges(),
+      stale: () => this.emit('stale', this),
+      meta: () => this.emit('meta', this),
+    };
   }
 
   /**
@@ -48,12 +80,34 @@ class Polar {
     return this._id;
   }
 
-  configureAngle(pathAngle, subscribeOptions = { excludeSelf: true }) {
-    this.angleHandler.configure(pathAngle, subscribeOptions);
+  configureAngle(pathAngle, subscribeOptions = { excludeSelf: true }, options = {}) {
+    this.angleHandler.configure(pathAngle, subscribeOptions, options);
   }
 
-  configureMagnitude(pathMagnitude, subscribeOptions = { excludeSelf: true }) {
-    this.magnitudeHandler.configure(pathMagnitude, subscribeOptions);
+  configureMagnitude(pathMagnitude, subscribeOptions = { excludeSelf: true }, options = {}) {
+    this.magnitudeHandler.configure(pathMagnitude, subscribeOptions, options);
+  }
+
+  /**
+   * Signal K context of this polar, e.g. 'vessels.self' or an AIS target.
+   * Read from the magnitude handler, or the angle handler when only an angle is configured.
+   * Setting it applies the context to both handlers.
+   */
+  get context() {
+    return this.magnitudeHandler.path ? this.magnitudeHandler.context : this.angleHandler.context;
+  }
+
+  set context(newContext) {
+    this.magnitudeHandler.context = newContext;
+    this.angleHandler.context = newContext;
+  }
+
+  /**
+   * Concrete context of the last delta received, read from the same handler as `context`.
+   * Values of a wildcard context are sent to it.
+   */
+  get deltaContext() {
+    return this.magnitudeHandler.path ? this.magnitudeHandler.deltaContext : this.angleHandler.deltaContext;
   }
 
   /**
@@ -72,15 +126,26 @@ class Polar {
 
   subscribe(toMagnitude = true, toAngle = true) {
     if (toMagnitude) {
-      this.magnitudeHandler.onChange = this.processChanges.bind(this);
-         this.magnitudeHandler.subscribe();
-    } 
+      this._listenTo(this.magnitudeHandler);
+      this.magnitudeHandler.subscribe();
+    }
     if (toAngle) {
-      this.angleHandler.onChange = this.processChanges.bind(this);
+      this._listenTo(this.angleHandler);
       this.angleHandler.subscribe();
     }
   }
 
+  /**
+   * Registers the polar's listeners on a handler, replacing earlier registrations.
+   * @private
+   */
+  _listenTo(handler) {
+    for (const [event, listener] of Object.entries(this._handlerListeners)) {
+      handler.off(event, listener);
+      handler.on(event, listener);
+    }
+  }
+
   setAngleRange(range) {
     if (range === '0to2pi' || range === '-piToPi') {
       this.angleRange = range;
@@ -91,11 +156,14 @@ class Polar {
 
   terminate() {
     this.magnitudeHandler.terminate();
-    this.angleHandler.terminate(); 
+    this.angleHandler.terminate();
+    this.onChange = null;
+    this.removeAllListeners();
     return null;
   }
 
   processChanges() {
+    const wasReady = this.ready;
     const belowThreshold = this._magnitudeThreshold !== null &&
       this.magnitudeHandler.ready &&
       Math.abs(this.magnitudeHandler.value) <= this._magnitudeThreshold;
@@ -109,6 +177,8 @@ class Polar {
     if (typeof this.onChange === 'function') {
       this.onChange();
     }
+    this.emit('value', this);
+    if (!wasReady && this.ready) this.emit('ready', this);
   }
 
   copyFrom(polar) {
@@ -199,6 +269,7 @@ class Polar {
     return {
       id: this.id,
       ...this._polarMeta,
+      context: this.context,
       angleRange: this.angleRange,
       magnitude: this.magnitudeHandler.meta,
       angle: this.angleHandler.meta,
@@ -224,7 +295,7 @@ class Polar {
       stalenessDetection: this.stalenessDetection,
       angleFallbackActive: this._usingFallbackAngle,
       lastDelta,
-      deltaAge: oldestDelta ? Date.now() - oldestDelta : null,
+      deltaAge: oldestDelta ? Clock.current.now() - oldestDelta : null,
       frequency: this.frequency,
       magnitude: this.magnitudeHandler.state,
       angle: this.angleHandler.state,
@@ -313,6 +384,31 @@ class Polar {
     return (this.magnitudeHandler.subscribed && this.magnitudeHandler.stale) || (this.angleHandler.subscribed && this.angleHandler.stale);
   }
 
+  /**
+   * Clock used by both handlers: 'reception' (default) or 'source'.
+   * See MessageHandler.timeSource.
+   */
+  get timeSource() {
+    return this.magnitudeHandler.timeSource === 'source' && this.angleHandler.timeSource === 'source'
+      ? 'source' : 'reception';
+  }
+
+  set timeSource(mode) {
+    this.magnitudeHandler.timeSource = mode;
+    this.angleHandler.timeSource = mode;
+  }
+
+  /**
+   * Changes the subscription policy of both handlers; see MessageHandler.setSubscriptionPolicy.
+   * @param {Object} options - { policy, period, minPeriod }
+   * @returns {this}
+   */
+  setSubscriptionPolicy(options) {
+    this.magnitudeHandler.setSubscriptionPolicy(options);
+    this.angleHandler.setSubscriptionPolicy(options);
+    return this;
+  }
+
   /**
    * Marks this polar as having no valid value. Downstream consumers that check
    * ready will treat it as unavailable until a successful value write occurs.
@@ -342,6 +438,7 @@ class Polar {
   report() {
     return {
       id: this.id,
+      context: this.context,
       pathMagnitude: this.magnitudeHandler.path,
       pathAngle: this.angleHandler.path,
       x: this.x,
@@ -363,8 +460,11 @@ class Polar {
  *
  * The smoothing is applied to the x and y values (not magnitude/angle).
  * The class assumes the underlying handlers always provide numeric values.
+ *
+ * Events: 'value' after each sample, 'ready' when it becomes ready, 'stale' when its
+ * idle timer expires, and 'meta' forwarded from the polar.
  */
-class PolarSmoother {
+class PolarSmoother extends EventEmitter {
   /**
    * @param {string} id - Identifier for this PolarSmoother.
    * @param {Polar} polar - The Polar instance to wrap.
@@ -372,6 +472,7 @@ class PolarSmoother {
    * @param {Object} [smootherOptions={}] - Options for the smoother.
    */
   constructor(polar, SmootherClass = ExponentialSmoother, smootherOptions = {}) {
+    super();
     this.id = polar.id + '.smoothed';
     this.polar = polar;
     this.SmootherClass = SmootherClass;
@@ -384,8 +485,12 @@ class PolarSmoother {
     this.onChange = null;
     this._stale = true;
     this._idleTimer = null;
+    this._idleSince = null;     // local time the idle timer counts from
     this.idlePeriod = this._derivedIdlePeriod(smootherOptions);
     this._stalenessDetection = true;
+    this._history = null;   // History of smoothed (x, y), see enableHistory()
+    this.historyReportPoints = 0;
+    polar.on('meta', () => this.emit('meta', this));
   }
 
   /**
@@ -401,26 +506,57 @@ class PolarSmoother {
 
   _derivedIdlePeriod(opts) {
     const MIN_IDLE = 5000;
+    opts = { ...this.SmootherClass?.defaults, ...opts }; // e.g. the default timeSpan of HampelSmoother
     if (typeof opts.timeConstant === 'number') return Math.max(opts.timeConstant * 3000, MIN_IDLE);
     if (typeof opts.tau === 'number') return Math.max(opts.tau * 3000, MIN_IDLE);
     if (typeof opts.timeSpan === 'number') return Math.max(opts.timeSpan * 3000, MIN_IDLE);
-    // KalmanSmoother (processVariance/measurementVariance/steadyState) has no
-    // time-based parameter — use a sensible default.
+    // KalmanSmoother (processVariance/measurementVariance/steadyState) and count-bounded
+    // HampelSmoother windows have no time-based parameter — use a sensible default.
     return 10000;
   }
 
-  _resetIdleTimer() {
+  /**
+   * Restarts the idle timer, measured from the time data arrived; see MessageSmoother._resetIdleTimer().
+   * @private
+   * @param {number} [age=0] - Age in ms of the data.
+   */
+  _resetIdleTimer(age = 0) {
     if (!this._stalenessDetection) return;
-    if (this._idleTimer) clearTimeout(this._idleTimer);
+    if (this._idleTimer) Clock.cancel(this._idleTimer);
     this._stale = false;
-    this._idleTimer = setTimeout(() => { this._stale = true; }, this.idlePeriod);
+    this._idleSince = Clock.current.now() - age;
+    this._idleTimer = Clock.timeout(() => { this._markStale(); }, Math.max(0, this.idlePeriod - age));
+  }
+
+  /**
+   * Marks the smoother stale and emits 'stale' on the transition.
+   * @private
+   */
+  _markStale() {
+    const wasStale = this._stale;
+    this._stale = true;
+    if (!wasStale) this.emit('stale', this);
+  }
+
+  /**
+   * Time of the sample being added, in ms since epoch.
+   * In 'source' time mode this is the polar's (source) timestamp, otherwise the current time.
+   * @private
+   */
+  _sampleTime() {
+    if (this.polar.timeSource === 'source' && typeof this.polar.timestamp === 'number') {
+      return this.polar.timestamp;
+    }
+    return Clock.current.now();
   }
 
   terminate() {
     if (this._idleTimer) {
-      clearTimeout(this._idleTimer);
+      Clock.cancel(this._idleTimer);
       this._idleTimer = null;
     }
+    this.onChange = null;
+    this.removeAllListeners();
     return this.polar.terminate();
   }
 
@@ -429,19 +565,151 @@ class PolarSmoother {
    */
   sample() {
     if (!this.polar.ready) return this;
+    const wasReady = this.ready;
     if (this._stale) this.reset();
-    const now = Date.now();
-    this.xSmoother.add(this.polar.xValue, this.polar.xVariance);
-    this.ySmoother.add(this.polar.yValue, this.polar.yVariance);
+    const now = this._sampleTime();
+    this.xSmoother.add(this.polar.xValue, this.polar.xVariance, now);
+    this.ySmoother.add(this.polar.yValue, this.polar.yVariance, now);
     this.timestamp = now;
     this.n++;
+    this._history?.add(now, [this.x, this.y]);
     this._resetIdleTimer();
     if (typeof this.onChange === 'function') {
       this.onChange();
     }
+    this.emit('value', this);
+    if (!wasReady && this.ready) this.emit('ready', this);
     return this;
   }
 
+  /**
+   * Warm-starts the smoothers with past magnitudes and angles, e.g. from the server's
+   * history API. The two series are merged in time order and combined as the Polar does
+   * live: each sample uses the latest magnitude and angle, and the fallback angle below the
+   * magnitude threshold. A polar without a magnitude path (SmoothedAngle) uses its fixed
+   * magnitude. Does nothing once live samples were taken. See warmStart().
+   * @param {Object} samples
+   * @param {Array<{t: number, value: number}>} [samples.magnitude=[]]
+   * @param {Array<{t: number, value: number}>} [samples.angle=[]]
+   * @returns {number} Number of samples used.
+   */
+  prime({ magnitude = [], angle = [] } = {}) {
+    if (this.n > 0) return 0;
+    const polar = this.polar;
+    const valid = s => Number.isFinite(s?.t) && typeof s.value === 'number';
+    const series = [
+      ...magnitude.filter(valid).map(s => ({ ...s, magnitude: true })),
+      ...angle.filter(valid).map(s => ({ ...s, magnitude: false })),
+    ].sort((a, b) => a.t - b.t);
+    let m = polar.magnitudeHandler.path ? null : polar.magnitudeHandler.value;
+    let a = null;
+    const threshold = polar._magnitudeThreshold;
+    this.reset();
+    for (const sample of series) {
+      if (sample.magnitude) m = sample.value;
+      else a = sample.value;
+      if (typeof m !== 'number') continue;
+      const belowThreshold = threshold !== null && Math.abs(m) <= threshold;
+      if (a === null && !belowThreshold) continue;
+      const angleValue = belowThreshold ? 0 : a;
+      this.xSmoother.add(m * Math.cos(angleValue), 0, sample.t);
+      this.ySmoother.add(m * Math.sin(angleValue), 0, sample.t);
+      this.timestamp = sample.t;
+      this.n++;
+      this._history?.add(sample.t, [this.x, this.y]);
+    }
+    if (this.n === 0) return 0;
+    this._resetIdleTimer(Math.max(0, Clock.current.now() - this.timestamp));
+    if (typeof this.onChange === 'function') {
+      this.onChange();
+    }
+    this.emit('value', this);
+    if (this.ready) this.emit('ready', this);
+    return this.n;
+  }
+
+  /**
+   * Smoother state as a plain object for save(): the smoother class, the last sample time
+   * and the x and y smoother states. History is not included.
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      id: this.id,
+      paths: { magnitude: this.polar.magnitudeHandler.path ?? null, angle: this.polar.angleHandler.path ?? null },
+      type: this.SmootherClass.name,
+      savedAt: Clock.current.now(),
+      timestamp: this.timestamp,
+      n: this.n,
+      x: this.xSmoother.toJSON(),
+      y: this.ySmoother.toJSON(),
+    };
+  }
+
+  /**
+   * Restores state from serialize(). State is discarded when the smoother already took
+   * samples, when the paths or smoother class differ, or when the last sample is older than
+   * maxAge. The current smootherOptions apply to the restored state.
+   * @param {Object} data - Output of serialize().
+   * @param {Object} [options={}]
+   * @param {number} [options.maxAge=this.idlePeriod] - Maximum age in ms of the last sample.
+   * @returns {boolean} True when the state was restored.
+   */
+  deserialize(data, { maxAge = this.idlePeriod } = {}) {
+    if (this.n > 0 || !data?.x || !data?.y || !(data.n > 0)) return false;
+    if (data.type !== this.SmootherClass.name) return false;
+    if (data.paths?.magnitude !== (this.polar.magnitudeHandler.path ?? null) ||
+      data.paths?.angle !== (this.polar.angleHandler.path ?? null)) return false;
+    if (!Number.isFinite(data.timestamp) || Clock.current.now() - data.timestamp > maxAge) return false;
+    this.xSmoother = this.SmootherClass.fromJSON(data.x, this.smootherOptions);
+    this.ySmoother = this.SmootherClass.fromJSON(data.y, this.smootherOptions);
+    this.timestamp = data.timestamp;
+    this.n = data.n;
+    this._resetIdleTimer(Math.max(0, Clock.current.now() - this.timestamp));
+    if (typeof this.onChange === 'function') {
+      this.onChange();
+    }
+    this.emit('value', this);
+    if (this.ready) this.emit('ready', this);
+    return true;
+  }
+
+  /**
+   * Saves the smoother state to `<dataDir>/<id>.json`, e.g. when the plugin stops.
+   * Errors are logged with app.debug.
+   * @param {string} [dataDir=app.getDataDirPath()] - Directory for the state file; the plugin's data directory by default.
+   * @returns {boolean} True when the state was written.
+   */
+  save(dataDir = this.polar._app.getDataDirPath?.()) {
+    if (this.n === 0 || !dataDir) return false;
+    try {
+      writeState(stateFile(dataDir, this.id), this.serialize());
+      return true;
+    } catch (err) {
+      this.polar._app.debug(`PolarSmoother[${this.id}]: saving state failed: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Restores the state written by save(), e.g. when the plugin starts; see deserialize().
+   * Errors are logged with app.debug.
+   * @param {string} [dataDir=app.getDataDirPath()]
+   * @param {Object} [options={}]
+   * @param {number} [options.maxAge=this.idlePeriod] - Maximum age in ms of the last saved sample.
+   * @returns {boolean} True when the state was restored.
+   */
+  restore(dataDir = this.polar._app.getDataDirPath?.(), { maxAge = this.idlePeriod } = {}) {
+    if (!dataDir) return false;
+    try {
+      const data = readState(stateFile(dataDir, this.id));
+      return !!data && this.deserialize(data, { maxAge });
+    } catch (err) {
+      this.polar._app.debug(`PolarSmoother[${this.id}]: restoring state failed: ${err.message}`);
+      return false;
+    }
+  }
+
   setAngleRange(range) {
     if (range === '0to2pi' || range === '-piToPi') {
       this.angleRange = range;
@@ -481,29 +749,7 @@ class PolarSmoother {
    * @param {PolarSmoother[]} polarsSmoothed - Array of PolarSmoother instances.
    */
   static send(app, pluginId, polarsSmoothed) {
-    let values = [];
-    polarsSmoothed.forEach(ps => {
-      if(ps.ready) {
-      values.push({
-        path: ps.polar.pathMagnitude,
-        value: ps.magnitude 
-      });
-      values.push({
-        path: ps.polar.pathAngle,
-        value: ps.angle 
-      });
-    }
-    });
-    const message = {
-      context: 'vessels.self',
-      updates: [
-        {
-          $source: pluginId,
-          values: values
-        }
-      ]
-    };
-    if (values.length > 0) app.handleMessage(pluginId, message);
+    sendPolarValues(app, pluginId, polarsSmoothed, ps => ps.polar);
   }
 
   /**
@@ -529,10 +775,13 @@ class PolarSmoother {
       nSamples: this.n,
       stalenessDetection: this._stalenessDetection,
       lastDelta,
-      deltaAge: lastDelta ? Date.now() - lastDelta : null,
+      deltaAge: lastDelta ? Clock.current.now() - lastDelta : null,
       frequency: this.polar.frequency,
       magnitude: this.polar.magnitudeHandler.state,
       angle: this.polar.angleHandler.state,
+      ...(typeof this.xSmoother.rejectionCount === 'number'
+        ? { outliers: { x: this.xSmoother.rejectionCount, y: this.ySmoother.rejectionCount } }
+        : {}),
     };
   }
 
@@ -560,6 +809,45 @@ class PolarSmoother {
     return [this.x, this.y];
   }
 
+  /**
+   * Rate of change of x per second, for smoother classes that estimate rates
+   * (KalmanRateSmoother); null otherwise.
+   * @returns {number|null}
+   */
+  get xRate() {
+    return typeof this.xSmoother.rate === 'number' ? this.xSmoother.rate : null;
+  }
+
+  /**
+   * Rate of change of y per second; see xRate.
+   * @returns {number|null}
+   */
+  get yRate() {
+    return typeof this.ySmoother.rate === 'number' ? this.ySmoother.rate : null;
+  }
+
+  /**
+   * Rate of change of the magnitude per second, (x·ẋ + y·ẏ) / |v| — e.g. the acceleration of
+   * a speed over ground vector. Null without rates or at zero magnitude.
+   * @returns {number|null}
+   */
+  get magnitudeRate() {
+    const magnitude = this.magnitude;
+    if (this.xRate === null || this.yRate === null || !(magnitude > 0)) return null;
+    return (this.x * this.xRate + this.y * this.yRate) / magnitude;
+  }
+
+  /**
+   * Rate of change of the angle in rad/s, (x·ẏ − y·ẋ) / |v|² — e.g. the turn rate from a
+   * heading or the veer of the wind. Null without rates or at zero magnitude.
+   * @returns {number|null}
+   */
+  get angleRate() {
+    const r2 = this.x * this.x + this.y * this.y;
+    if (this.xRate === null || this.yRate === null || !(r2 > 0)) return null;
+    return (this.x * this.yRate - this.y * this.xRate) / r2;
+  }
+
   get magnitude() {
     return Math.sqrt(this.x * this.x + this.y * this.y);
   }
@@ -600,7 +888,7 @@ class PolarSmoother {
     this.polar.stalenessDetection = val;
     if (!val) {
       if (this._idleTimer) {
-        clearTimeout(this._idleTimer);
+        Clock.cancel(this._idleTimer);
         this._idleTimer = null;
       }
       this._stale = false;
@@ -609,12 +897,12 @@ class PolarSmoother {
       if (this.timestamp === null) {
         this._stale = true;
       } else {
-        const age = Date.now() - this.timestamp;
+        const age = Clock.current.now() - (this._idleSince ?? this.timestamp);
         if (age >= this.idlePeriod) {
-          this._stale = true;
+          this._markStale();
         } else {
           this._stale = false;
-          this._idleTimer = setTimeout(() => { this._stale = true; }, this.idlePeriod - age);
+          this._idleTimer = Clock.timeout(() => { this._markStale(); }, this.idlePeriod - age);
         }
       }
     }
@@ -637,9 +925,149 @@ class PolarSmoother {
     return this.xVariance + this.yVariance;
   }
 
-  report() {
+  /**
+   * Keeps a bounded history of the smoothed vector, indexed by sample timestamp.
+   * The history stores (x, y), so interpolation and means are correct across angle wraparound.
+   * Calling it again replaces the history.
+   * @param {Object} [options={}]
+   * @param {number|null} [options.duration=null] - Time span to keep in ms; null keeps maxSamples samples.
+   * @param {number} [options.maxSamples=1000] - Capacity of the ring buffer.
+   * @param {number} [options.reportPoints=0] - When > 0, report() includes the history downsampled to this many points.
+   * @returns {this}
+   */
+  enableHistory({ duration = null, maxSamples = 1000, reportPoints = 0 } = {}) {
+    this._history = new History({ duration, maxSamples, fields: 2 });
+    this.historyReportPoints = reportPoints;
+    return this;
+  }
+
+  disableHistory() {
+    this._history = null;
+    return this;
+  }
+
+  /**
+   * The History buffer of (x, y), or null when history is disabled.
+   * @returns {History|null}
+   */
+  get history() {
+    return this._history;
+  }
+
+  /**
+   * @private
+   */
+  _fromVector([x, y]) {
+    return { magnitude: Math.sqrt(x * x + y * y), angle: this._formatAngle(Math.atan2(y, x)) };
+  }
+
+  /**
+   * Magnitude and angle at time t, interpolated in cartesian space.
+   * @param {number} t - Time in ms since epoch.
+   * @returns {{magnitude: number, angle: number}|null} null without history or before the oldest sample.
+   */
+  valueAt(t) {
+    const xy = this._history?.valueAt(t);
+    return xy ? this._fromVector(xy) : null;
+  }
+
+  /**
+   * Recorded samples with t0 <= t <= t1: [{ t, magnitude, angle }].
+   * @param {number} [t0]
+   * @param {number} [t1]
+   * @returns {Array<Object>}
+   */
+  range(t0, t1) {
+    return (this._history?.range(t0, t1) ?? []).map(({ t, value }) => ({ t, ...this._fromVector(value) }));
+  }
+
+  /**
+   * Smallest magnitude over the last `window` ms, or over the whole history.
+   * @param {number} [window]
+   * @returns {number|null}
+   */
+  min(window) {
+    const magnitudes = this._recentMagnitudes(window);
+    return magnitudes.length > 0 ? magnitudes.reduce((a, b) => Math.min(a, b)) : null;
+  }
+
+  /**
+   * Largest magnitude over the last `window` ms, or over the whole history.
+   * @param {number} [window]
+   * @returns {number|null}
+   */
+  max(window) {
+    const magnitudes = this._recentMagnitudes(window);
+    return magnitudes.length > 0 ? magnitudes.reduce((a, b) => Math.max(a, b)) : null;
+  }
+
+  /**
+   * @private
+   */
+  _recentMagnitudes(window) {
+    const t0 = window === undefined || window === null ? -Infinity : Clock.current.now() - window;
+    return (this._history?.range(t0) ?? []).map(({ value: [x, y] }) => Math.sqrt(x * x + y * y));
+  }
+
+  /**
+   * Vector mean over the last `window` ms, or over the whole history.
+   * @param {number} [window]
+   * @returns {{magnitude: number, angle: number}|null}
+   */
+  mean(window) {
+    const stats = this._history?.recent(window);
+    return stats ? this._fromVector(stats.mean) : null;
+  }
+
+  /**
+   * Downsampled history for report(): { t: [...], magnitude: [...], angle: [...] }.
+   * @private
+   */
+  _historyColumns() {
+    const samples = this._history.downsample(this.historyReportPoints).map(({ t, value }) => ({ t, ...this._fromVector(value) }));
+    return { t: samples.map(s => Math.round(s.t)), magnitude: samples.map(s => s.magnitude), angle: samples.map(s => s.angle) };
+  }
+
+  /**
+   * Smoothed magnitude and angle converted to units. Each defaults to the display
+   * unit of its handler's meta.displayUnits, or the SI unit when the server has none.
+   * @param {string} [magnitudeUnit] - e.g. 'kn'.
+   * @param {string} [angleUnit] - e.g. 'deg'.
+   * @returns {{magnitude: number|null, angle: number|null}|null} null when not ready.
+   */
+  valueIn(magnitudeUnit, angleUnit) {
+    if (!this.ready) return null;
+    return {
+      magnitude: SI.toDisplay(this.magnitude, this.polar.magnitudeHandler.meta, magnitudeUnit)?.value ?? null,
+      angle: SI.toDisplay(this.angle, this.polar.angleHandler.meta, angleUnit)?.value ?? null,
+    };
+  }
+
+  /**
+   * Smoothed magnitude and angle as display text, e.g. { magnitude: '12.3 kn', angle: '45.0°' }.
+   * @param {string} [magnitudeUnit]
+   * @param {string} [angleUnit]
+   * @param {number} [decimals] - Defaults to each meta.displayUnits.displayFormat, else 2.
+   * @returns {{magnitude: string|null, angle: string|null}|null} null when not ready.
+   */
+  formatted(magnitudeUnit, angleUnit, decimals) {
+    if (!this.ready) return null;
     return {
+      magnitude: SI.format(this.magnitude, this.polar.magnitudeHandler.meta, magnitudeUnit, decimals),
+      angle: SI.format(this.angle, this.polar.angleHandler.meta, angleUnit, decimals),
+    };
+  }
+
+  /**
+   * Returns a summary object for reporting.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.displayUnits=false] - Include `display: { value, formatted }` in display units.
+   * @returns {Object}
+   */
+  report({ displayUnits = false } = {}) {
+    const report = {
       id: this.id,
+      context: this.polar.context,
       pathMagnitude: this.polar.magnitudeHandler.path,
       pathAngle: this.polar.angleHandler.path,
       x: this.x,
@@ -649,6 +1077,10 @@ class PolarSmoother {
       trace: this.trace,
       state: this.state,
     };
+    if (this.xRate !== null) Object.assign(report, { magnitudeRate: this.magnitudeRate, angleRate: this.angleRate });
+    if (displayUnits) report.display = { value: this.valueIn(), formatted: this.formatted() };
+    if (this._history && this.historyReportPoints > 0) report.history = this._historyColumns();
+    return report;
   }
 
   _formatAngle(angle) {
@@ -679,6 +1111,12 @@ class PolarSmoother {
  * @param {Object} [options.smootherOptions={ timeConstant: 1 }] - Options for the smoother.
  * @param {Object} [options.subscribeOptions={ excludeSelf: true }] - Options passed to the subscription manager.
  *   Supports `excludeSelf` (boolean) and `excludeSources` (string[]).
+ * @param {string} [options.timeSource='reception'] - 'reception' or 'source'; see MessageHandler.timeSource.
+ * @param {string} [options.context='vessels.self'] - Signal K context to subscribe to.
+ * @param {string} [options.policy='instant'] - Subscription policy: 'instant', 'ideal' or 'fixed'.
+ * @param {number|null} [options.period=null] - Delivery period in ms for 'ideal' and 'fixed'.
+ * @param {number} [options.minPeriod=0] - Minimum interval in ms between deliveries.
+ * @param {Object|null} [options.validation=null] - Validation rules for the angle; see MessageHandler.setValidation.
  */
 class SmoothedAngle extends PolarSmoother {
   constructor(app, pluginId, id, path, {
@@ -686,17 +1124,24 @@ class SmoothedAngle extends PolarSmoother {
     meta = {},
     SmootherClass = ExponentialSmoother,
     smootherOptions = { timeConstant: 1 },
-    subscribeOptions = { excludeSelf: true }
+    subscribeOptions = { excludeSelf: true },
+    timeSource = 'reception',
+    context = 'vessels.self',
+    policy = 'instant',
+    period = null,
+    minPeriod = 0,
+    validation = null
   } = {}) {
     const polar = new Polar(app, pluginId, id);
-    polar.configureAngle(path, subscribeOptions);
+    polar.timeSource = timeSource;
+    polar.configureAngle(path, subscribeOptions, { context, policy, period, minPeriod, validation });
     polar.subscribe(false, true);
     polar.magnitudeHandler.value = 1;
     polar.magnitudeHandler.stalenessDetection = false; // fixed constant, never subscribed — timestamp stays null forever
     super(polar, SmootherClass, smootherOptions);
     this.polar.setMeta(meta);
     this.setAngleRange(angleRange);
-    polar.onChange = () => { this.sample(); };
+    polar.on('value', () => { this.sample(); });
   }
 
   /** The underlying MessageHandler — mirrors MessageSmoother.handler. */
@@ -717,6 +1162,11 @@ class SmoothedAngle extends PolarSmoother {
     return Math.sqrt(this.trace);
   }
 
+  /** Turn rate in rad/s (angleRate); null unless the smoother class estimates rates. */
+  get rate() {
+    return this.angleRate;
+  }
+
   get frequency() {
     return this.polar.angleHandler.frequency;
   }
@@ -747,25 +1197,104 @@ class SmoothedAngle extends PolarSmoother {
       nSamples: this.n,
       stalenessDetection: this._stalenessDetection,
       lastDelta,
-      deltaAge: lastDelta ? Date.now() - lastDelta : null,
+      deltaAge: lastDelta ? Clock.current.now() - lastDelta : null,
       frequency: this.frequency,
       handler: this.polar.angleHandler.state,
     };
   }
 
-  report() {
-    return {
+  /**
+   * Angle at time t, interpolated in cartesian space.
+   * @param {number} t - Time in ms since epoch.
+   * @returns {number|null}
+   */
+  valueAt(t) {
+    return super.valueAt(t)?.angle ?? null;
+  }
+
+  /**
+   * Recorded samples with t0 <= t <= t1: [{ t, value }] — mirrors MessageSmoother.range().
+   * @param {number} [t0]
+   * @param {number} [t1]
+   * @returns {Array<{t: number, value: number}>}
+   */
+  range(t0, t1) {
+    return super.range(t0, t1).map(({ t, angle }) => ({ t, value: angle }));
+  }
+
+  /**
+   * Not defined for angles; always null. Use mean() or range().
+   * @returns {null}
+   */
+  min() {
+    return null;
+  }
+
+  /**
+   * Not defined for angles; always null. Use mean() or range().
+   * @returns {null}
+   */
+  max() {
+    return null;
+  }
+
+  /**
+   * Circular mean angle over the last `window` ms, or over the whole history.
+   * @param {number} [window]
+   * @returns {number|null}
+   */
+  mean(window) {
+    return super.mean(window)?.angle ?? null;
+  }
+
+  /**
+   * @private
+   */
+  _historyColumns() {
+    const { t, angle } = super._historyColumns();
+    return { t, value: angle };
+  }
+
+  /**
+   * Smoothed angle converted to a unit; mirrors MessageSmoother.valueIn().
+   * @param {string} [unit] - e.g. 'deg'. Defaults to the display unit.
+   * @returns {number|null}
+   */
+  valueIn(unit) {
+    if (!this.ready) return null;
+    return SI.toDisplay(this.value, this.meta, unit)?.value ?? null;
+  }
+
+  /**
+   * Smoothed angle as display text, e.g. '45.0°'; mirrors MessageSmoother.formatted().
+   * @param {string} [unit]
+   * @param {number} [decimals]
+   * @returns {string|null}
+   */
+  formatted(unit, decimals) {
+    if (!this.ready) return null;
+    return SI.format(this.value, this.meta, unit, decimals);
+  }
+
+  report({ displayUnits = false } = {}) {
+    const report = {
       id: this.id,
       value: this.value,
       variance: this.variance,
+      context: this.polar.context,
       path: this.path,
+      currentSource: this.handler.currentSource,
       state: this.state
     };
+    if (this.xRate !== null) report.rate = this.rate;
+    if (displayUnits) report.display = { value: this.valueIn(), formatted: this.formatted() };
+    if (this._history && this.historyReportPoints > 0) report.history = this._historyColumns();
+    return report;
   }
 }
 
 /**
- * Creates a Polar and a linked PolarSmoother, wires up onChange, and sets display attributes.
+ * Creates a Polar and a linked PolarSmoother, wires up the 'value' event, and sets display attributes.
  * @param {Object} options
  * @param {string} options.id - Identifier for the polar.
  * @param {string} options.pathMagnitude - Signal K path for magnitude.
@@ -779,6 +1308,12 @@ class SmoothedAngle extends PolarSmoother {
  * @param {String} [options.angleRange='-piToPi'] - Angle range for the polar coordinates, valid values are '0to2pi' or '-piToPi'.
  * @param {Object} [options.subscribeOptions={ excludeSelf: true }] - Options passed to the subscription manager.
  *   Supports `excludeSelf` (boolean) and `excludeSources` (string[]).
+ * @param {string} [options.timeSource='reception'] - 'reception' or 'source'; see MessageHandler.timeSource.
+ * @param {string} [options.context='vessels.self'] - Signal K context to subscribe to, e.g. an AIS target.
+ * @param {string} [options.policy='instant'] - Subscription policy: 'instant', 'ideal' or 'fixed'.
+ * @param {number|null} [options.period=null] - Delivery period in ms for 'ideal' and 'fixed'.
+ * @param {number} [options.minPeriod=0] - Minimum interval in ms between deliveries.
+ * @param {Object} [options.validation={}] - Validation rules per handler: { magnitude, angle }; see MessageHandler.setValidation.
  * @returns {PolarSmoother}
  */
 function createSmoothedPolar({
@@ -794,17 +1329,24 @@ function createSmoothedPolar({
   angleRange = '-piToPi',
   magnitudeThreshold = 0.1,
   subscribeOptions = { excludeSelf: true },
+  timeSource = 'reception',
+  context = 'vessels.self',
+  policy = 'instant',
+  period = null,
+  minPeriod = 0,
+  validation = {},
 }) {
 
   const polar = new Polar(app, pluginId, id);
-  polar.configureMagnitude(pathMagnitude, subscribeOptions);
-  polar.configureAngle(pathAngle, subscribeOptions);
+  polar.timeSource = timeSource;
+  polar.configureMagnitude(pathMagnitude, subscribeOptions, { context, policy, period, minPeriod, validation: validation.magnitude ?? null });
+  polar.configureAngle(pathAngle, subscribeOptions, { context, policy, period, minPeriod, validation: validation.angle ?? null });
   polar.setAngleRange(angleRange);
   polar.setMeta(meta);
   if (magnitudeThreshold !== null) polar.configureFallbackAngle(magnitudeThreshold);
   if (subscribe) polar.subscribe(true, true);
   const smoother = new PolarSmoother(polar, SmootherClass, smootherOptions);
-  polar.onChange = () => { smoother.sample(); };
+  polar.on('value', () => { smoother.sample(); });
   return smoother;
 }
 
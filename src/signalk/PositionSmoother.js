@@ -0,0 +1,415 @@
+const { MessageSmoother } = require('./MessageHandler');
+const { ExponentialSmoother } = require('./smoothers');
+const History = require('../general/History');
+const SI = require('../general/SI');
+
+/**
+ * WGS84 semi-major axis (m) and first eccentricity squared.
+ */
+const WGS84_A = 6378137;
+const WGS84_E2 = 6.69437999014e-3;
+
+/**
+ * Wraps an angle in degrees to [-180, 180).
+ * @private
+ */
+function wrap180(degrees) {
+  return ((degrees + 180) % 360 + 360) % 360 - 180;
+}
+
+/**
+ * @private
+ */
+function isPosition(value) {
+  return !!value && Number.isFinite(value.latitude) && Number.isFinite(value.longitude);
+}
+
+/**
+ * PositionSmoother smooths `navigation.position` in a local tangent plane (east, north in meters)
+ * instead of smoothing latitude and longitude independently, so it works across the antimeridian
+ * and weighs east-west and north-south errors alike.
+ *
+ * Positions are projected onto the plane through an origin with the WGS84 radii of curvature at
+ * the origin's latitude. The origin follows the vessel: when the smoothed position is more than
+ * `originRadius` meters away, the origin moves there. The smoothers keep working in one continuous
+ * frame, so moving the origin does not disturb them.
+ *
+ * Besides the smoothed position it provides the spread of the fixes in meters and the speed and
+ * course derived from successive fixes, each smoothed with the same smoother class. `value` has
+ * the SK shape `{ latitude, longitude }`, so the smoother can be published with a Publisher.
+ *
+ * Staleness, events, onChange and smoother options work as in MessageSmoother.
+ *
+ * @example
+ * const handler = new MessageHandler(app, pluginId, 'position');
+ * handler.configure('navigation.position');
+ * const position = new PositionSmoother(handler, KalmanSmoother, { measurementVariance: 9 });
+ * handler.subscribe();
+ * handler.on('value', () => position.sample());
+ *
+ * position.value;         // { latitude, longitude }
+ * position.spread;        // meters
+ * position.speed;         // m/s
+ * position.course;        // rad, true
+ */
+class PositionSmoother extends MessageSmoother {
+  /**
+   * @param {MessageHandler} handler - Handler of navigation.position (or another position path).
+   * @param {Function} [SmootherClass=ExponentialSmoother] - The smoother class to use.
+   * @param {Object} [smootherOptions={}] - Options to pass to the smoothers.
+   * @param {Object} [options={}]
+   * @param {number} [options.originRadius=1000] - Distance in meters after which the origin moves.
+   * @param {number} [options.minCourseSpeed=0.05] - Below this speed in m/s course is null.
+   */
+  constructor(handler, SmootherClass = ExponentialSmoother, smootherOptions = {}, {
+    originRadius = 1000,
+    minCourseSpeed = 0.05,
+  } = {}) {
+    super(handler, SmootherClass, smootherOptions);
+    this.id = handler.id + '.position';
+    this.originRadius = originRadius;
+    this.minCourseSpeed = minCourseSpeed;
+    this._origin = null;
+    this._offset = { east: 0, north: 0 };
+    this._lastFix = null;
+    this._historyLongitude = null;
+    this.originMoves = 0;
+  }
+
+  /**
+   * Resets the smoothers and the origin.
+   */
+  reset() {
+    this.timestamp = null;
+    this.n = 0;
+    this._isObject = true;
+    this._propertyKeys = ['east', 'north', 'velocityEast', 'velocityNorth'];
+    this.smoother = {};
+    for (const key of this._propertyKeys) {
+      this.smoother[key] = new this.SmootherClass(this.smootherOptions);
+    }
+    this._origin = null;
+    this._offset = { east: 0, north: 0 };
+    this._lastFix = null;
+  }
+
+  /**
+   * Meridional and prime vertical radius of curvature at the origin.
+   * @private
+   */
+  _radii() {
+    const sin = Math.sin(SI.fromDegrees(this._origin.latitude));
+    const w = 1 - WGS84_E2 * sin * sin;
+    return { meridional: WGS84_A * (1 - WGS84_E2) / Math.pow(w, 1.5), normal: WGS84_A / Math.sqrt(w) };
+  }
+
+  /**
+   * Projects a position onto the continuous plane frame.
+   * @private
+   */
+  _toPlane({ latitude, longitude }) {
+    const { meridional, normal } = this._radii();
+    const cos = Math.cos(SI.fromDegrees(this._origin.latitude));
+    return {
+      east: this._offset.east + normal * cos * SI.fromDegrees(wrap180(longitude - this._origin.longitude)),
+      north: this._offset.north + meridional * SI.fromDegrees(latitude - this._origin.latitude),
+    };
+  }
+
+  /**
+   * Converts a point of the continuous plane frame back to a position.
+   * @private
+   */
+  _fromPlane(east, north) {
+    const { meridional, normal } = this._radii();
+    const cos = Math.cos(SI.fromDegrees(this._origin.latitude));
+    const latitude = this._origin.latitude + SI.toDegrees((north - this._offset.north) / meridional);
+    const longitude = this._origin.longitude + SI.toDegrees((east - this._offset.east) / (normal * cos));
+    return { latitude: Math.max(-90, Math.min(90, latitude)), longitude: wrap180(longitude) };
+  }
+
+  /**
+   * Moves the origin to the smoothed position once it is more than originRadius away.
+   * @private
+   */
+  _updateOrigin() {
+    const east = this.smoother.east.estimate;
+    const north = this.smoother.north.estimate;
+    if (Math.hypot(east - this._offset.east, north - this._offset.north) <= this.originRadius) return;
+    this._origin = this._fromPlane(east, north);
+    this._offset = { east, north };
+    this.originMoves++;
+  }
+
+  /**
+   * Adds the handler's current position to the smoothers.
+   * @returns {PositionSmoother}
+   */
+  sample() {
+    if (!this.handler.ready) return this;
+    const position = this.handler.value;
+    if (!isPosition(position)) return this;
+    const wasReady = this.ready;
+    if (this._stale || this.n === 0) {
+      this.reset();
+    }
+    const now = this._sampleTime();
+    this._add(position, undefined, now);
+    this.timestamp = now;
+    this.n++;
+    this._recordHistory(now);
+    this._resetIdleTimer();
+    if (typeof this.onChange === 'function') {
+      this.onChange();
+    }
+    this.emit('value', this);
+    if (!wasReady && this.ready) this.emit('ready', this);
+    return this;
+  }
+
+  /**
+   * Adds one fix to the position and velocity smoothers.
+   * @private
+   */
+  _add(position, variance, now) {
+    if (!isPosition(position)) return;
+    if (!this._origin) this._origin = { latitude: position.latitude, longitude: wrap180(position.longitude) };
+    const fix = this._toPlane(position);
+    if (this._lastFix && now > this._lastFix.t) {
+      const dt = (now - this._lastFix.t) / 1000;
+      this.smoother.velocityEast.add((fix.east - this._lastFix.east) / dt, undefined, now);
+      this.smoother.velocityNorth.add((fix.north - this._lastFix.north) / dt, undefined, now);
+    }
+    this._lastFix = { ...fix, t: now };
+    this.smoother.east.add(fix.east, undefined, now);
+    this.smoother.north.add(fix.north, undefined, now);
+    this._updateOrigin();
+  }
+
+  /**
+   * Smoother state for save(), including the tangent plane origin and the last fix.
+   * @returns {Object}
+   */
+  serialize() {
+    return { ...super.serialize(), origin: this._origin, offset: this._offset, lastFix: this._lastFix, originMoves: this.originMoves };
+  }
+
+  /**
+   * @protected
+   */
+  _applyState(data) {
+    super._applyState(data);
+    this._origin = data.origin ?? null;
+    this._offset = data.offset ?? { east: 0, north: 0 };
+    this._lastFix = data.lastFix ?? null;
+    this.originMoves = data.originMoves ?? 0;
+  }
+
+  /**
+   * Smoothed position.
+   * @returns {{latitude: number, longitude: number}|undefined}
+   */
+  get value() {
+    if (this.n === 0 || !this._origin) return undefined;
+    return this._fromPlane(this.smoother.east.estimate, this.smoother.north.estimate);
+  }
+
+  /**
+   * Variance of the smoothed position in m².
+   * @returns {{east: number, north: number}|undefined}
+   */
+  get variance() {
+    if (this.n === 0) return undefined;
+    return { east: this.smoother.east.variance ?? 0, north: this.smoother.north.variance ?? 0 };
+  }
+
+  /**
+   * Standard error of the smoothed position in meters, if the smoother class provides one.
+   * @returns {{east: number, north: number}|undefined}
+   */
+  get standardError() {
+    if (this.n === 0 || this.smoother.east.standardError === undefined) return undefined;
+    return { east: this.smoother.east.standardError, north: this.smoother.north.standardError };
+  }
+
+  /**
+   * Spread in meters: the root of the summed east and north variances of the smoothers.
+   * For averaging smoothers this is the scatter of the fixes around the smoothed position,
+   * not the error of the smoothed position itself; that is `standardError`. KalmanSmoother
+   * reports the variance of its estimate, so there it is the estimate's error.
+   * @returns {number|null}
+   */
+  get spread() {
+    const variance = this.variance;
+    return variance ? Math.sqrt(variance.east + variance.north) : null;
+  }
+
+  /**
+   * Smoothed velocity in m/s, from the second fix on.
+   * @returns {{east: number, north: number}|null}
+   */
+  get velocity() {
+    const east = this.smoother?.velocityEast?.estimate;
+    const north = this.smoother?.velocityNorth?.estimate;
+    if (typeof east !== 'number' || typeof north !== 'number') return null;
+    return { east, north };
+  }
+
+  /**
+   * Speed over ground in m/s.
+   * @returns {number|null}
+   */
+  get speed() {
+    const velocity = this.velocity;
+    return velocity ? Math.hypot(velocity.east, velocity.north) : null;
+  }
+
+  /**
+   * Course over ground in radians (true, 0 to 2π); null below minCourseSpeed.
+   * @returns {number|null}
+   */
+  get course() {
+    const velocity = this.velocity;
+    if (!velocity || Math.hypot(velocity.east, velocity.north) < this.minCourseSpeed) return null;
+    const course = Math.atan2(velocity.east, velocity.north);
+    return course < 0 ? course + 2 * Math.PI : course;
+  }
+
+  /**
+   * Current origin of the tangent plane.
+   * @returns {{latitude: number, longitude: number}|null}
+   */
+  get origin() {
+    return this._origin ? { ...this._origin } : null;
+  }
+
+  /**
+   * Keeps a bounded history of smoothed positions. Longitudes are stored unwrapped, so
+   * interpolation and means work across the antimeridian.
+   * @param {Object} [options={}]
+   * @param {number|null} [options.duration=null] - Time span to keep in ms; null keeps maxSamples samples.
+   * @param {number} [options.maxSamples=1000] - Capacity of the ring buffer.
+   * @param {number} [options.reportPoints=0] - When > 0, report() includes the history downsampled to this many points.
+   * @returns {this}
+   */
+  enableHistory({ duration = null, maxSamples = 1000, reportPoints = 0 } = {}) {
+    this._history = new History({ duration, maxSamples, fields: 2 });
+    this._historyLongitude = null;
+    this.historyReportPoints = reportPoints;
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  _recordHistory(now) {
+    if (!this._history) return;
+    const { latitude, longitude } = this.value;
+    const unwrapped = this._historyLongitude === null ? longitude : this._historyLongitude + wrap180(longitude - this._historyLongitude);
+    if (this._history.add(now, [latitude, unwrapped])) this._historyLongitude = unwrapped;
+  }
+
+  /**
+   * @private
+   */
+  static _fromHistory(value) {
+    return value ? { latitude: value[0], longitude: wrap180(value[1]) } : null;
+  }
+
+  /**
+   * Position at time t, interpolated between recorded samples.
+   * @param {number} t - Time in ms since epoch.
+   * @returns {{latitude: number, longitude: number}|null}
+   */
+  valueAt(t) {
+    return PositionSmoother._fromHistory(this._history?.valueAt(t));
+  }
+
+  /**
+   * Recorded positions with t0 <= t <= t1.
+   * @param {number} [t0]
+   * @param {number} [t1]
+   * @returns {Array<{t: number, value: {latitude: number, longitude: number}}>}
+   */
+  range(t0, t1) {
+    return (this._history?.range(t0, t1) ?? []).map(({ t, value }) => ({ t, value: PositionSmoother._fromHistory(value) }));
+  }
+
+  /**
+   * Positions have no minimum.
+   * @returns {null}
+   */
+  min() {
+    return null;
+  }
+
+  /**
+   * Positions have no maximum.
+   * @returns {null}
+   */
+  max() {
+    return null;
+  }
+
+  /**
+   * Mean position over the last `window` ms, or over the whole history.
+   * @param {number} [window]
+   * @returns {{latitude: number, longitude: number}|null}
+   */
+  mean(window) {
+    return PositionSmoother._fromHistory(this._history?.recent(window)?.mean);
+  }
+
+  /**
+   * Gets static metadata for this smoother and its underlying handler.
+   * @returns {Object}
+   */
+  get meta() {
+    return { ...super.meta, originRadius: this.originRadius, minCourseSpeed: this.minCourseSpeed };
+  }
+
+  /**
+   * Gets dynamic state for this smoother.
+   * @returns {Object}
+   */
+  get state() {
+    return { ...super.state, origin: this.origin, originMoves: this.originMoves, spread: this.spread };
+  }
+
+  /**
+   * Returns a summary object for reporting.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.displayUnits=false] - Include speed and course as display text.
+   * @returns {Object}
+   */
+  report({ displayUnits = false } = {}) {
+    const report = {
+      id: this.id,
+      context: this.handler.context,
+      path: this.handler.path,
+      value: this.value,
+      spread: this.spread,
+      speed: this.speed,
+      course: this.course,
+      currentSource: this.handler.currentSource,
+      state: this.state
+    };
+    if (displayUnits) {
+      report.display = {
+        speed: SI.format(this.speed, { units: 'm/s' }, 'kn'),
+        course: SI.format(this.course, { units: 'rad' }, 'deg', 0),
+      };
+    }
+    if (this._history && this.historyReportPoints > 0) {
+      const samples = this._history.downsample(this.historyReportPoints);
+      report.history = {
+        t: samples.map(s => Math.round(s.t)),
+        latitude: samples.map(s => s.value[0]),
+        longitude: samples.map(s => wrap180(s.value[1])),
+      };
+    }
+    return report;
+  }
+}
+
+module.exports = { PositionSmoother };
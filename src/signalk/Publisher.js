@@ -0,0 +1,299 @@
+const { Polar, PolarSmoother } = require('./Polar');
+const { Clock } = require('../general/Clock');
+
+/**
+ * SK meta fields copied from an output's meta when no explicit meta is registered.
+ */
+const META_FIELDS = ['units', 'description', 'displayName', 'shortName', 'longName', 'displayScale', 'zones'];
+
+/**
+ * Publisher sends the values of registered outputs (handlers, smoothers, polars) to Signal K
+ * as one combined delta per context, replacing hand-written timers around the static send() methods.
+ *
+ * Two modes:
+ * - 'interval': publishes every `interval` ms.
+ * - 'change': publishes when an output emits 'value', at most once per `minInterval` ms.
+ *   Changes arriving within the same tick are combined.
+ *
+ * Outputs that are not ready are skipped. With `skipUnchanged`, the default in 'change'
+ * mode, so are values equal to the last published value. In 'interval' mode it defaults to
+ * false, so a constant value is republished every interval and does not go stale on the
+ * server. Each update carries a timestamp. With `sendMeta`
+ * the meta of a path is published once, with its first value.
+ *
+ * @example
+ * const publisher = new Publisher(app, pluginId, { mode: 'change', minInterval: 500, sendMeta: true });
+ * publisher.add(boatSpeed, { meta: { units: 'm/s', description: 'Smoothed SOG' } });
+ * publisher.add(apparentWind);
+ * publisher.start();
+ */
+class Publisher {
+  /**
+   * @param {Object} app - The app instance.
+   * @param {string} pluginId - Plugin identifier; used as $source.
+   * @param {Object} [options={}]
+   * @param {string} [options.mode='interval'] - 'interval' or 'change'.
+   * @param {number} [options.interval=1000] - Publish period in ms ('interval' mode).
+   * @param {number} [options.minInterval=0] - Minimum time in ms between deltas ('change' mode).
+   * @param {boolean} [options.skipUnchanged] - Do not republish a value equal to the last one sent.
+   *   Defaults to true in 'change' mode and false in 'interval' mode.
+   * @param {boolean} [options.sendMeta=false] - Publish the meta of each path once, on its first send.
+   */
+  constructor(app, pluginId, {
+    mode = 'interval',
+    interval = 1000,
+    minInterval = 0,
+    skipUnchanged = mode === 'change',
+    sendMeta = false,
+  } = {}) {
+    if (mode !== 'interval' && mode !== 'change') {
+      throw new Error(`Publisher: unknown mode '${mode}', expected 'interval' or 'change'`);
+    }
+    this._app = app;
+    this._pluginId = pluginId;
+    this.mode = mode;
+    this.interval = interval;
+    this.minInterval = minInterval;
+    this.skipUnchanged = skipUnchanged;
+    this.sendMeta = sendMeta;
+    this._outputs = new Map();   // output → { path, pathMagnitude, pathAngle, meta, listener }
+    this._lastSent = new Map();  // 'context/path' → last published value
+    this._metaSent = new Set();  // 'context/path' whose meta was published
+    this._timer = null;
+    this._flushTimer = null;
+    this._lastFlush = null;
+    this._running = false;
+    this.deltaCount = 0;
+  }
+
+  /**
+   * Registers an output.
+   * @param {MessageHandler|MessageSmoother|Polar|PolarSmoother|SmoothedAngle} output
+   * @param {Object} [options={}]
+   * @param {string} [options.path] - Publish a scalar output to this path instead of its own.
+   * @param {string} [options.pathMagnitude] - Polar outputs: magnitude path override.
+   * @param {string} [options.pathAngle] - Polar outputs: angle path override.
+   * @param {Object} [options.meta] - SK meta to publish with `sendMeta`. For polars { magnitude, angle }.
+   *   Defaults to the SK fields (units, description, displayName, ...) of the output's own meta.
+   * @returns {this}
+   */
+  add(output, { path, pathMagnitude, pathAngle, meta } = {}) {
+    if (this._outputs.has(output)) return this;
+    const entry = { path, pathMagnitude, pathAngle, meta, listener: null };
+    if (typeof output.on === 'function') {
+      entry.listener = () => { if (this.mode === 'change' && this._running) this._schedule(); };
+      output.on('value', entry.listener);
+    }
+    this._outputs.set(output, entry);
+    return this;
+  }
+
+  /**
+   * Unregisters an output.
+   * @param {Object} output
+   * @returns {boolean} true if the output was registered.
+   */
+  remove(output) {
+    const entry = this._outputs.get(output);
+    if (!entry) return false;
+    if (entry.listener) output.off('value', entry.listener);
+    this._outputs.delete(output);
+    return true;
+  }
+
+  /**
+   * Starts publishing.
+   * @returns {this}
+   */
+  start() {
+    if (this._running) return this;
+    this._running = true;
+    if (this.mode === 'interval') {
+      this._timer = Clock.interval(() => this.flush(), this.interval);
+    }
+    return this;
+  }
+
+  /**
+   * Stops publishing. Registered outputs are kept.
+   * @returns {this}
+   */
+  stop() {
+    this._running = false;
+    if (this._timer) {
+      Clock.cancel(this._timer);
+      this._timer = null;
+    }
+    if (this._flushTimer) {
+      Clock.cancel(this._flushTimer);
+      this._flushTimer = null;
+    }
+    return this;
+  }
+
+  /**
+   * Stops publishing and unregisters all outputs.
+   * @returns {null}
+   */
+  terminate() {
+    this.stop();
+    for (const output of [...this._outputs.keys()]) {
+      this.remove(output);
+    }
+    return null;
+  }
+
+  /**
+   * Schedules a flush in 'change' mode, honouring minInterval.
+   * @private
+   */
+  _schedule() {
+    if (this._flushTimer) return;
+    const elapsed = this._lastFlush === null ? Infinity : Clock.current.now() - this._lastFlush;
+    const wait = Math.max(0, this.minInterval - elapsed);
+    this._flushTimer = Clock.timeout(() => {
+      this._flushTimer = null;
+      this.flush();
+    }, wait);
+  }
+
+  /**
+   * Context to publish an output in; a wildcard context resolves to the last delta context.
+   * @private
+   */
+  static _context(handler) {
+    const context = handler?.context;
+    return (context?.includes('*') ? handler.deltaContext : context) ?? 'vessels.self';
+  }
+
+  /**
+   * Picks the SK meta fields from an output's meta.
+   * @private
+   */
+  static _skMeta(meta) {
+    const result = {};
+    for (const key of META_FIELDS) {
+      if (meta?.[key] !== undefined) result[key] = meta[key];
+    }
+    return Object.keys(result).length > 0 ? result : null;
+  }
+
+  /**
+   * Values an output currently contributes: [{ context, path, value, meta }].
+   * @private
+   */
+  _collect(output, entry) {
+    if (!output.ready) return [];
+    const polar = output instanceof PolarSmoother ? output.polar : output instanceof Polar ? output : null;
+    if (polar) {
+      const context = Publisher._context(polar.magnitudeHandler.path ? polar.magnitudeHandler : polar.angleHandler);
+      const items = [];
+      const magnitudePath = entry.pathMagnitude ?? polar.pathMagnitude;
+      const anglePath = entry.pathAngle ?? polar.pathAngle;
+      if (magnitudePath) {
+        items.push({
+          context, path: magnitudePath, value: output.magnitude,
+          meta: entry.meta?.magnitude ?? Publisher._skMeta(polar.magnitudeHandler.meta),
+        });
+      }
+      if (anglePath) {
+        items.push({
+          context, path: anglePath, value: output.angle,
+          meta: entry.meta?.angle ?? Publisher._skMeta(polar.angleHandler.meta),
+        });
+      }
+      return items;
+    }
+    const handler = output.handler ?? output;
+    const path = entry.path ?? handler.path;
+    if (!path) return [];
+    return [{
+      context: Publisher._context(handler),
+      path,
+      value: output.value,
+      meta: entry.meta ?? Publisher._skMeta(output.meta),
+    }];
+  }
+
+  /**
+   * @private
+   */
+  static _equal(a, b) {
+    if (a === b) return true;
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Publishes the current values of all registered outputs now, one delta per context.
+   * Called by the timers; may also be called directly.
+   * @returns {number} Number of values published.
+   */
+  flush() {
+    this._lastFlush = Clock.current.now();
+    const byContext = new Map();
+    for (const [output, entry] of this._outputs) {
+      for (const item of this._collect(output, entry)) {
+        if (item.value === undefined || item.value === null) continue;
+        const key = `${item.context}/${item.path}`;
+        if (this.skipUnchanged && this._lastSent.has(key) && Publisher._equal(this._lastSent.get(key), item.value)) continue;
+        if (!byContext.has(item.context)) byContext.set(item.context, { values: [], meta: [] });
+        const group = byContext.get(item.context);
+        group.values.push({ path: item.path, value: item.value });
+        this._lastSent.set(key, item.value);
+        if (this.sendMeta && item.meta && !this._metaSent.has(key)) {
+          group.meta.push({ path: item.path, value: item.meta });
+          this._metaSent.add(key);
+        }
+      }
+    }
+    const timestamp = new Date(this._lastFlush).toISOString();
+    let count = 0;
+    for (const [context, group] of byContext) {
+      const update = { $source: this._pluginId, timestamp, values: group.values };
+      if (group.meta.length > 0) update.meta = group.meta;
+      this._app.handleMessage(this._pluginId, { context, updates: [update] });
+      count += group.values.length;
+      this.deltaCount++;
+    }
+    return count;
+  }
+
+  /**
+   * Number of registered outputs.
+   * @returns {number}
+   */
+  get size() {
+    return this._outputs.size;
+  }
+
+  /**
+   * Gets static metadata for this publisher.
+   * @returns {Object}
+   */
+  get meta() {
+    return {
+      mode: this.mode,
+      interval: this.interval,
+      minInterval: this.minInterval,
+      skipUnchanged: this.skipUnchanged,
+      sendMeta: this.sendMeta,
+      outputs: [...this._outputs.keys()].map(output => output.id),
+    };
+  }
+
+  /**
+   * Gets dynamic state for this publisher.
+   * @returns {Object}
+   */
+  get state() {
+    return {
+      running: this._running,
+      nOutputs: this._outputs.size,
+      deltaCount: this.deltaCount,
+      lastFlush: this._lastFlush,
+    };
+  }
+}
+
+module.exports = { Publisher };
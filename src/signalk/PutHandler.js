@@ -0,0 +1,215 @@
+const { Clock } = require('../general/Clock');
+
+/**
+ * PutHandler lets Signal K clients change plugin settings through PUT requests.
+ *
+ * For every registered path it installs an `app.registerPutHandler` callback that
+ * validates the incoming value, passes it to a plugin-supplied setter and publishes
+ * the resulting value back to Signal K so all clients see the change.
+ *
+ * Setters may be synchronous or return a Promise. Synchronous setters complete the
+ * request immediately; asynchronous setters answer PENDING and complete it through the
+ * action result callback once the promise settles. A setter, getter or publish that
+ * throws or rejects completes the request with status 500.
+ *
+ * @example
+ * const puts = new PutHandler(app, pluginId);
+ * puts.register('performance.polarAdjustment', {
+ *   validate: { type: 'number', min: 0.5, max: 1.5 },
+ *   setter: value => polarTable.setPerformanceAdjustment(value),
+ *   getter: () => polarTable.getPerformanceAdjustment(),
+ * });
+ * puts.publish(); // announce the current values
+ */
+class PutHandler {
+  /**
+   * @param {Object} app - The app instance.
+   * @param {string} pluginId - Plugin identifier; used as the source of PUT registrations and published values.
+   * @param {Object} [options={}]
+   * @param {string} [options.context='vessels.self'] - Context the handlers are registered for.
+   */
+  constructor(app, pluginId, { context = 'vessels.self' } = {}) {
+    this._app = app;
+    this._pluginId = pluginId;
+    this._context = context;
+    this._paths = new Map();   // path → { validate, setter, getter, meta, lastValue, lastResult, count }
+  }
+
+  /**
+   * Registers a PUT handler for a path.
+   * @param {string} path - SK path clients may PUT to.
+   * @param {Object} options
+   * @param {Function} options.setter - Called with the validated value. May return a Promise.
+   * @param {Function} [options.getter] - Returns the current value; used when publishing. Defaults to the last accepted value.
+   * @param {Object|Function} [options.validate] - Rules { type, min, max, oneOf }, or a function
+   *   (value) → true to accept, or a rejection message string.
+   * @param {Object} [options.meta] - SK meta (units, description, ...) published once on register.
+   * @returns {this}
+   */
+  register(path, { setter, getter = null, validate = null, meta = null } = {}) {
+    if (typeof setter !== 'function') {
+      throw new Error(`PutHandler: a setter function is required for ${path}`);
+    }
+    const entry = { setter, getter, validate, meta, lastValue: undefined, lastResult: null, count: 0 };
+    this._paths.set(path, entry);
+    if (typeof this._app.registerPutHandler !== 'function') {
+      this._app.debug(`PutHandler: app.registerPutHandler is not available, ${path} is read-only`);
+      return this;
+    }
+    this._app.registerPutHandler(
+      this._context,
+      path,
+      (context, putPath, value, actionResultCallback) => this._handlePut(path, value, actionResultCallback),
+      this._pluginId
+    );
+    if (meta) {
+      this._app.handleMessage(this._pluginId, {
+        context: this._context,
+        updates: [{ $source: this._pluginId, meta: [{ path, value: meta }] }]
+      });
+    }
+    this._app.debug(`PutHandler: registered ${path}`);
+    return this;
+  }
+
+  /**
+   * Checks a value against the registered rules.
+   * @private
+   * @returns {string|null} Rejection message, or null when accepted.
+   */
+  static _validate(value, validate) {
+    if (!validate) return null;
+    if (typeof validate === 'function') {
+      const result = validate(value);
+      if (result === true || result === undefined) return null;
+      return typeof result === 'string' ? result : 'invalid value';
+    }
+    if (validate.type) {
+      const ok = validate.type === 'number' ? (typeof value === 'number' && Number.isFinite(value))
+        : validate.type === 'object' ? (value !== null && typeof value === 'object')
+        : typeof value === validate.type;
+      if (!ok) return `expected ${validate.type}, got ${value === null ? 'null' : typeof value}`;
+    }
+    if (typeof value === 'number') {
+      if (typeof validate.min === 'number' && value < validate.min) return `below minimum ${validate.min}`;
+      if (typeof validate.max === 'number' && value > validate.max) return `above maximum ${validate.max}`;
+    }
+    if (Array.isArray(validate.oneOf) && !validate.oneOf.includes(value)) {
+      return `must be one of ${validate.oneOf.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * SK PUT callback.
+   * @private
+   */
+  _handlePut(path, value, actionResultCallback) {
+    const entry = this._paths.get(path);
+    const reason = PutHandler._validate(value, entry.validate);
+    if (reason !== null) {
+      this._app.debug(`PutHandler: rejected ${JSON.stringify(value)} for ${path}: ${reason}`);
+      return this._result(entry, { state: 'COMPLETED', statusCode: 400, message: reason });
+    }
+    let outcome;
+    try {
+      outcome = entry.setter(value);
+    } catch (err) {
+      return this._failure(path, entry, err);
+    }
+    if (outcome && typeof outcome.then === 'function') {
+      Promise.resolve(outcome)
+        .then(() => {
+          this._accept(path, entry, value);
+          return this._result(entry, { state: 'COMPLETED', statusCode: 200 });
+        })
+        .catch(err => this._failure(path, entry, err))
+        .then(result => {
+          try {
+            actionResultCallback(result);
+          } catch (err) {
+            this._app.debug(`PutHandler: result callback for ${path} failed: ${err?.message ?? err}`);
+          }
+        })
+        // Nothing may escape as an unhandled rejection; it would end the server process.
+        .catch(err => this._app.debug(`PutHandler: PUT to ${path} failed: ${err?.message ?? err}`));
+      return this._result(entry, { state: 'PENDING' });
+    }
+    try {
+      this._accept(path, entry, value);
+    } catch (err) {
+      return this._failure(path, entry, err);
+    }
+    return this._result(entry, { state: 'COMPLETED', statusCode: 200 });
+  }
+
+  /**
+   * Result for a setter, getter or publish that threw or rejected.
+   * @private
+   */
+  _failure(path, entry, err) {
+    const message = err?.message ?? String(err);
+    this._app.error(`PutHandler: PUT to ${path} failed: ${message}`);
+    return this._result(entry, { state: 'COMPLETED', statusCode: 500, message });
+  }
+
+  /**
+   * @private
+   */
+  _accept(path, entry, value) {
+    entry.lastValue = value;
+    entry.count++;
+    this.publish(path);
+  }
+
+  /**
+   * @private
+   */
+  _result(entry, result) {
+    entry.lastResult = { ...result, timestamp: Clock.current.now() };
+    return result;
+  }
+
+  /**
+   * Publishes the current value of one path, or of all registered paths.
+   * Paths without a getter and without an accepted PUT are skipped.
+   * @param {string} [path]
+   */
+  publish(path) {
+    const paths = path ? [path] : [...this._paths.keys()];
+    const values = [];
+    for (const p of paths) {
+      const entry = this._paths.get(p);
+      if (!entry) continue;
+      const value = entry.getter ? entry.getter() : entry.lastValue;
+      if (value !== undefined) values.push({ path: p, value });
+    }
+    if (values.length === 0) return;
+    this._app.handleMessage(this._pluginId, {
+      context: this._context,
+      updates: [{ $source: this._pluginId, values }]
+    });
+  }
+
+  /**
+   * Registered paths.
+   * @returns {string[]}
+   */
+  get paths() {
+    return [...this._paths.keys()];
+  }
+
+  /**
+   * Gets dynamic state: per path the number of accepted PUTs and the last result.
+   * @returns {Object}
+   */
+  get state() {
+    const result = {};
+    for (const [path, entry] of this._paths) {
+      result[path] = { count: entry.count, lastValue: entry.lastValue, lastResult: entry.lastResult };
+    }
+    return result;
+  }
+}
+
+module.exports = { PutHandler };
@@ -0,0 +1,443 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+const { Clock, ManualClock } = require('../general/Clock');
+
+/**
+ * Number of records fed per event-loop turn when replaying as fast as possible.
+ */
+const BATCH_SIZE = 500;
+
+/**
+ * DeltaRecorder captures Signal K deltas to newline-delimited JSON, one record per line:
+ * `{"t": <ms since epoch, time of reception>, "delta": {...}}`.
+ *
+ * It subscribes to the same paths as the handlers registered with add(), or to all paths of
+ * a context with recordAll(), so it sees exactly the deltas those handlers receive.
+ * Records go to a file, to any stream with write(), or are kept in `records` when neither is given.
+ *
+ * @example
+ * const recorder = new DeltaRecorder(app, pluginId, { file: '/tmp/sail.ndjson' });
+ * recorder.add(apparentWind).add(boatSpeed).start();
+ * // ... later
+ * recorder.stop();
+ */
+class DeltaRecorder {
+  /**
+   * @param {Object} app - The app instance.
+   * @param {string} pluginId - Plugin identifier.
+   * @param {Object} [options={}]
+   * @param {string|null} [options.file=null] - File to append the records to.
+   * @param {Object|null} [options.stream=null] - Writable stream (or any object with write()) for the records.
+   */
+  constructor(app, pluginId, { file = null, stream = null } = {}) {
+    this._app = app;
+    this._pluginId = pluginId;
+    this.file = file;
+    this._stream = stream;
+    this._ownStream = false;
+    this._subscriptions = new Map();   // 'context|path' → { context, path, subscribeOptions }
+    this._unsubscribes = [];
+    this.records = [];
+    this.count = 0;
+    this.running = false;
+  }
+
+  /**
+   * Records the deltas received by a handler, smoother, polar or SmoothedAngle.
+   * @param {MessageHandler|MessageSmoother|Polar|PolarSmoother|SmoothedAngle} output
+   * @returns {this}
+   */
+  add(output) {
+    const polar = output.polar ?? (output.magnitudeHandler ? output : null);
+    const handlers = polar ? [polar.magnitudeHandler, polar.angleHandler] : [output.handler ?? output];
+    for (const handler of handlers) {
+      if (handler.path) {
+        this.addPath(handler.path, { context: handler.context, subscribeOptions: handler._subscribeOptions });
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Records the deltas of a path.
+   * @param {string} path - SK path, may contain '*' wildcards.
+   * @param {Object} [options={}]
+   * @param {string} [options.context='vessels.self']
+   * @param {Object} [options.subscribeOptions={}] - Options passed to the subscription manager.
+   * @returns {this}
+   */
+  addPath(path, { context = 'vessels.self', subscribeOptions = {} } = {}) {
+    const key = `${context}|${path}`;
+    if (this._subscriptions.has(key)) return this;
+    const entry = { context, path, subscribeOptions: subscribeOptions ?? {} };
+    this._subscriptions.set(key, entry);
+    if (this.running) this._subscribe();
+    return this;
+  }
+
+  /**
+   * Records all deltas of a context, by default all self deltas.
+   * @param {string} [context='vessels.self']
+   * @returns {this}
+   */
+  recordAll(context = 'vessels.self') {
+    return this.addPath('*', { context });
+  }
+
+  /**
+   * (Re)subscribes with one subscription per context and set of options, so a delta
+   * carrying several recorded paths is recorded once.
+   * @private
+   */
+  _subscribe() {
+    this._unsubscribes.forEach(f => f());
+    this._unsubscribes = [];
+    const groups = new Map();
+    for (const { context, path, subscribeOptions } of this._subscriptions.values()) {
+      const key = `${context}|${JSON.stringify(subscribeOptions)}`;
+      if (!groups.has(key)) groups.set(key, { context, subscribeOptions, paths: [] });
+      groups.get(key).paths.push(path);
+    }
+    for (const { context, subscribeOptions, paths } of groups.values()) {
+      this._app.subscriptionmanager.subscribe(
+        { ...subscribeOptions, context, subscribe: paths.map(path => ({ path, policy: 'instant' })) },
+        this._unsubscribes,
+        err => this._app.debug(`DeltaRecorder: subscription error: ${err}`),
+        delta => this.write(delta)
+      );
+    }
+  }
+
+  /**
+   * Starts recording.
+   * @returns {this}
+   */
+  start() {
+    if (this.running) return this;
+    if (!this._stream && this.file) {
+      this._stream = fs.createWriteStream(this.file, { flags: 'a' });
+      this._ownStream = true;
+    }
+    this.running = true;
+    this._subscribe();
+    this._app.debug(`DeltaRecorder: recording ${this._subscriptions.size} subscription(s)${this.file ? ` to ${this.file}` : ''}`);
+    return this;
+  }
+
+  /**
+   * Stops recording and closes a file opened by the recorder.
+   * @returns {this}
+   */
+  stop() {
+    this._unsubscribes.forEach(f => f());
+    this._unsubscribes = [];
+    this.running = false;
+    if (this._ownStream) {
+      this._stream.end();
+      this._stream = null;
+      this._ownStream = false;
+    }
+    return this;
+  }
+
+  /**
+   * Writes one delta as a record. Called for every delta received; may also be called directly.
+   * @param {Object} delta
+   * @param {number} [t=Clock.current.now()] - Record time in ms since epoch.
+   */
+  write(delta, t = Clock.current.now()) {
+    const record = { t, delta };
+    if (this._stream) {
+      this._stream.write(JSON.stringify(record) + '\n');
+    } else {
+      this.records.push(record);
+    }
+    this.count++;
+  }
+
+  /**
+   * Gets static metadata for this recorder.
+   * @returns {Object}
+   */
+  get meta() {
+    return { file: this.file, subscriptions: [...this._subscriptions.values()].map(({ context, path }) => ({ context, path })) };
+  }
+
+  /**
+   * Gets dynamic state for this recorder.
+   * @returns {Object}
+   */
+  get state() {
+    return { running: this.running, count: this.count };
+  }
+}
+
+/**
+ * DeltaReplay feeds recorded deltas into an app through `app.handleMessage()`: a MockApp
+ * for desk tests, or a live server.
+ *
+ * `speed` 1 replays in real time, N replays N times faster and `Infinity` as fast as possible.
+ * Timing uses Clock.current. When that is a ManualClock, the replay advances it to the
+ * recorded time of each delta, so smoothers, frequencies and idle timers behave exactly as
+ * on the water, however fast the replay runs.
+ *
+ * Events: 'delta' (record) after each fed delta, 'loop' when a loop starts over and
+ * 'end' when the last record was fed.
+ *
+ * @example
+ * Clock.use(new ManualClock());
+ * const app = new MockApp();
+ * const wind = createSmoothedPolar({ id: 'apparentWind', ..., app, pluginId });
+ * const replay = new DeltaReplay(app, DeltaReplay.load('/tmp/sail.ndjson'), { speed: Infinity });
+ * replay.on('end', () => console.log(reporter.report()));
+ * replay.start();
+ */
+class DeltaReplay extends EventEmitter {
+  /**
+   * Reads records from a newline-delimited JSON file.
+   * @param {string} file
+   * @returns {Array<{t: number, delta: Object}>}
+   */
+  static load(file) {
+    return DeltaReplay.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Parses newline-delimited JSON records. Lines that are not valid records, such as a
+   * partially written last line, are skipped.
+   * @param {string} text
+   * @returns {Array<{t: number, delta: Object}>}
+   */
+  static parse(text) {
+    const records = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        if (Number.isFinite(record?.t) && record.delta) records.push(record);
+      } catch (e) {
+        // skip
+      }
+    }
+    return records;
+  }
+
+  /**
+   * @param {Object} app - The app to feed, e.g. a MockApp.
+   * @param {Array<{t: number, delta: Object}>} records - Records in time order, see load().
+   * @param {Object} [options={}]
+   * @param {number} [options.speed=1] - Replay speed; Infinity replays as fast as possible.
+   * @param {boolean} [options.loop=false] - Start over after the last record.
+   * @param {string} [options.providerId='replay'] - Id passed to handleMessage().
+   */
+  constructor(app, records, { speed = 1, loop = false, providerId = 'replay' } = {}) {
+    super();
+    if (!(speed > 0)) throw new Error('DeltaReplay: speed must be greater than 0');
+    this._app = app;
+    this.records = records;
+    this.speed = speed;
+    this.loop = loop;
+    this.providerId = providerId;
+    this._index = 0;
+    this._anchor = null;   // { t: record time, clock: clock time } the current run is timed against
+    this._timer = null;
+    this._immediate = null;
+    this.running = false;
+    this.loops = 0;
+    this.count = 0;
+  }
+
+  /**
+   * Recorded time span in ms.
+   * @returns {number}
+   */
+  get duration() {
+    return this.records.length > 1 ? this.records[this.records.length - 1].t - this.records[0].t : 0;
+  }
+
+  /**
+   * Offset in ms of the next record from the first one; duration at the end.
+   * @returns {number}
+   */
+  get position() {
+    if (this.records.length === 0) return 0;
+    if (this._index >= this.records.length) return this.duration;
+    return this.records[this._index].t - this.records[0].t;
+  }
+
+  /**
+   * True when all records were fed.
+   * @returns {boolean}
+   */
+  get ended() {
+    return this._index >= this.records.length;
+  }
+
+  /**
+   * Continues with the first record at or after `offset` ms from the start of the recording.
+   * @param {number} offset
+   * @returns {this}
+   */
+  seek(offset) {
+    if (this.records.length === 0) return this;
+    const t = this.records[0].t + offset;
+    const index = this.records.findIndex(record => record.t >= t);
+    this._index = index === -1 ? this.records.length : index;
+    if (this.running) {
+      this._cancel();
+      this._anchorAt(this._index);
+      this._schedule();
+    }
+    return this;
+  }
+
+  /**
+   * Starts or resumes the replay.
+   * @returns {this}
+   */
+  start() {
+    if (this.running || this.records.length === 0) return this;
+    if (this.ended) {
+      if (!this.loop) return this;
+      this._index = 0;
+    }
+    this.running = true;
+    this._anchorAt(this._index);
+    this._schedule();
+    return this;
+  }
+
+  /**
+   * Pauses the replay; start() resumes it.
+   * @returns {this}
+   */
+  stop() {
+    this.running = false;
+    this._cancel();
+    return this;
+  }
+
+  /**
+   * Feeds all remaining records synchronously, as fast as possible, ignoring `loop`.
+   * A ManualClock is advanced to each record's time.
+   * @returns {number} Number of records fed.
+   */
+  runToEnd() {
+    this.stop();
+    this._anchorAt(this._index);
+    let fed = 0;
+    while (!this.ended) {
+      this._feed(this.records[this._index++], true);
+      fed++;
+    }
+    this.emit('end', this);
+    return fed;
+  }
+
+  /**
+   * Times the current run so that the record at `index` is due now.
+   * @private
+   */
+  _anchorAt(index) {
+    const record = this.records[Math.min(index, this.records.length - 1)];
+    this._anchor = { t: record.t, clock: Clock.current.now() };
+  }
+
+  /**
+   * Clock time at which a record is due; virtual time always runs at recorded speed.
+   * @private
+   */
+  _dueTime(record, speed) {
+    return this._anchor.clock + (record.t - this._anchor.t) / speed;
+  }
+
+  /**
+   * Feeds a record. When replaying as fast as possible a ManualClock is advanced to the record's time.
+   * @private
+   */
+  _feed(record, fast) {
+    const clock = Clock.current;
+    if (fast && clock instanceof ManualClock) clock.advanceTo(this._dueTime(record, 1));
+    this._app.handleMessage(this.providerId, record.delta);
+    this.count++;
+    this.emit('delta', record);
+  }
+
+  /**
+   * @private
+   */
+  _cancel() {
+    if (this._timer) {
+      Clock.cancel(this._timer);
+      this._timer = null;
+    }
+    if (this._immediate) {
+      clearImmediate(this._immediate);
+      this._immediate = null;
+    }
+  }
+
+  /**
+   * Handles the end of the records: starts over when looping, otherwise stops.
+   * @private
+   * @returns {boolean} true if the replay continues.
+   */
+  _wrap() {
+    if (!this.ended) return true;
+    if (!this.loop) {
+      this.running = false;
+      this.emit('end', this);
+      return false;
+    }
+    this._index = 0;
+    this.loops++;
+    this._anchorAt(0);
+    this.emit('loop', this);
+    return true;
+  }
+
+  /**
+   * Schedules the next record, or the next batch when replaying as fast as possible.
+   * @private
+   */
+  _schedule() {
+    if (!this.running || !this._wrap()) return;
+    if (this.speed === Infinity) {
+      this._immediate = setImmediate(() => {
+        this._immediate = null;
+        for (let i = 0; i < BATCH_SIZE && this.running && !this.ended; i++) {
+          this._feed(this.records[this._index++], true);
+        }
+        this._schedule();
+      });
+      return;
+    }
+    const delay = Math.max(0, this._dueTime(this.records[this._index], this.speed) - Clock.current.now());
+    this._timer = Clock.timeout(() => {
+      this._timer = null;
+      const now = Clock.current.now();
+      while (this.running && !this.ended && this._dueTime(this.records[this._index], this.speed) <= now) {
+        this._feed(this.records[this._index++], false);
+      }
+      this._schedule();
+    }, delay);
+  }
+
+  /**
+   * Gets static metadata for this replay.
+   * @returns {Object}
+   */
+  get meta() {
+    return { records: this.records.length, duration: this.duration, speed: this.speed, loop: this.loop };
+  }
+
+  /**
+   * Gets dynamic state for this replay.
+   * @returns {Object}
+   */
+  get state() {
+    return { running: this.running, position: this.position, count: this.count, loops: this.loops };
+  }
+}
+
+module.exports = { DeltaRecorder, DeltaReplay };
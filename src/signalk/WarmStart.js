@@ -0,0 +1,230 @@
+const { Clock } = require('../general/Clock');
+const { MessageHandler } = require('./MessageHandler');
+
+/**
+ * History providers answer one query: the values of some paths of a context in a time window.
+ *
+ *   values({ context, paths, from, to }) → Promise<{ [path]: Array<{ t, value }> }>
+ *
+ * with `from`, `to` and `t` in ms since epoch. Paths without data may be missing from the result.
+ */
+
+/**
+ * RestHistoryProvider reads the Signal K v2 history API (`/signalk/v2/api/history/values`),
+ * which history plugins such as signalk-to-influxdb2 and signalk-parquet implement.
+ * Base URL, token and fetch default to MessageHandler.metaOptions, as for the REST meta requests.
+ */
+class RestHistoryProvider {
+  /**
+   * @param {Object} app - The app instance.
+   * @param {Object} [options={}]
+   * @param {string|null} [options.baseUrl] - Server URL; defaults to metaOptions.baseUrl, else localhost and the port in app.config.
+   * @param {string|null} [options.token] - Bearer token; defaults to metaOptions.token.
+   * @param {Function|null} [options.fetch] - fetch() implementation; defaults to metaOptions.fetch, else the global fetch.
+   * @param {number|null} [options.resolution=null] - Resolution in seconds passed to the server; null for raw data.
+   */
+  constructor(app, { baseUrl, token, fetch: fetchHistory, resolution = null } = {}) {
+    this._app = app;
+    this.baseUrl = baseUrl;
+    this.token = token;
+    this.fetch = fetchHistory;
+    this.resolution = resolution;
+  }
+
+  /**
+   * @private
+   */
+  _url({ context, paths, from, to }) {
+    const app = this._app;
+    const protocol = app.config?.ssl ? 'https' : 'http';
+    const port = app.config?.port ?? app.config?.settings?.port ?? 3000;
+    const base = this.baseUrl ?? MessageHandler.metaOptions.baseUrl ?? `${protocol}://localhost:${port}`;
+    const query = new URLSearchParams({
+      context,
+      paths: paths.join(','),
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+    });
+    if (this.resolution) query.set('resolution', String(this.resolution));
+    return `${base}/signalk/v2/api/history/values?${query}`;
+  }
+
+  /**
+   * Queries the history API; rejects on network and HTTP errors.
+   * @param {Object} query
+   * @param {string} query.context
+   * @param {string[]} query.paths
+   * @param {number} query.from
+   * @param {number} query.to
+   * @returns {Promise<Object>} Samples per path.
+   */
+  async values(query) {
+    const token = this.token ?? MessageHandler.metaOptions.token;
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const response = await (this.fetch ?? MessageHandler.metaOptions.fetch ?? fetch)(this._url(query), { headers });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return RestHistoryProvider.parse(await response.json());
+  }
+
+  /**
+   * Converts a history API response `{ values: [{ path }], data: [[timestamp, v1, v2, ...]] }`
+   * to samples per path. Null values (no data in a bucket) are skipped.
+   * @param {Object} body
+   * @returns {Object} { [path]: Array<{ t, value }> }
+   */
+  static parse(body) {
+    const paths = (body?.values ?? []).map(v => v.path);
+    const result = {};
+    for (const path of paths) result[path] = [];
+    for (const row of body?.data ?? []) {
+      const t = Date.parse(row[0]);
+      if (!Number.isFinite(t)) continue;
+      paths.forEach((path, i) => {
+        const value = row[i + 1];
+        if (value !== null && value !== undefined) result[path].push({ t, value });
+      });
+    }
+    return result;
+  }
+}
+
+/**
+ * RecordingHistoryProvider answers history queries from DeltaRecorder records, so a recorded
+ * file can stand in for the server's history API in tests and on servers without history.
+ * Sample times are the update timestamps, or the time of reception when an update has none.
+ *
+ * @example
+ * const provider = new RecordingHistoryProvider(DeltaReplay.load('/tmp/sail.ndjson'));
+ */
+class RecordingHistoryProvider {
+  /**
+   * @param {Array<{t: number, delta: Object}>} records - Records as produced by DeltaRecorder or DeltaReplay.load().
+   * @param {Object} [options={}]
+   * @param {string|null} [options.selfContext=null] - Concrete self context; deltas in it also answer 'vessels.self'.
+   */
+  constructor(records, { selfContext = null } = {}) {
+    this.records = records;
+    this.selfContext = selfContext;
+  }
+
+  /**
+   * @private
+   */
+  _matchesContext(context, query) {
+    const resolve = c => (!c || c === 'vessels.self' ? (this.selfContext ?? 'vessels.self') : c);
+    return resolve(context) === resolve(query);
+  }
+
+  /**
+   * @param {Object} query - See RestHistoryProvider.values().
+   * @returns {Promise<Object>} Samples per path.
+   */
+  async values({ context, paths, from, to }) {
+    const result = {};
+    for (const path of paths) result[path] = [];
+    for (const { t: received, delta } of this.records) {
+      if (!this._matchesContext(delta?.context, context)) continue;
+      for (const update of delta.updates ?? []) {
+        const t = update.timestamp ? Date.parse(update.timestamp) : received;
+        if (!(t >= from && t <= to)) continue;
+        for (const { path, value } of update.values ?? []) {
+          if (result[path] && value !== null && value !== undefined) result[path].push({ t, value });
+        }
+      }
+    }
+    return result;
+  }
+}
+
+/**
+ * Length of history needed to warm up a smoother, in ms.
+ * @private
+ */
+function windowOf(smootherOptions, timeConstants, duration) {
+  const seconds = smootherOptions?.timeConstant ?? smootherOptions?.tau ?? smootherOptions?.timeSpan;
+  return typeof seconds === 'number' ? seconds * timeConstants * 1000 : duration;
+}
+
+/**
+ * Warm-starts smoothers from history, so they do not report noisy estimates for minutes
+ * after a plugin restart. For each output the last `timeConstants` time constants of its
+ * path(s) are queried (one query per context) and fed to prime() with their original
+ * timestamps.
+ *
+ * Call it before live data flows, i.e. before subscribing: a smoother that already took live
+ * samples is left alone. Errors are logged with app.debug and never thrown; the smoothers
+ * then simply start from scratch.
+ *
+ * @example
+ * const wind = createSmoothedPolar({ ..., smootherOptions: { timeConstant: 30 }, subscribe: false });
+ * const sog = new MessageSmoother(sogHandler, ExponentialSmoother, { timeConstant: 5 });
+ * await warmStart(app, [wind, sog]);
+ * wind.polar.subscribe();
+ * sogHandler.subscribe();
+ * sogHandler.on('value', () => sog.sample());
+ *
+ * @param {Object} app - The app instance.
+ * @param {Array<MessageSmoother|PolarSmoother|SmoothedAngle>} outputs - Smoothers to prime.
+ * @param {Object} [options={}]
+ * @param {Object} [options.provider=new RestHistoryProvider(app)] - History provider, see RestHistoryProvider.
+ * @param {number} [options.timeConstants=3] - Number of time constants (timeConstant, tau or timeSpan) of history to use.
+ * @param {number} [options.duration=60000] - History in ms for smoothers without a time-based option.
+ * @param {number} [options.now=Clock.current.now()] - End of the history window.
+ * @returns {Promise<Object>} Number of samples used per output id.
+ */
+async function warmStart(app, outputs, {
+  provider = new RestHistoryProvider(app),
+  timeConstants = 3,
+  duration = 60000,
+  now = Clock.current.now(),
+} = {}) {
+  const jobs = [];
+  for (const output of outputs) {
+    const window = windowOf({ ...output.SmootherClass?.defaults, ...output.smootherOptions }, timeConstants, duration);
+    if (output.polar) {
+      const { magnitudeHandler, angleHandler } = output.polar;
+      jobs.push({
+        output,
+        window,
+        context: angleHandler.context ?? magnitudeHandler.context ?? 'vessels.self',
+        paths: { magnitude: magnitudeHandler.path, angle: angleHandler.path },
+      });
+    } else if (output.handler?.path) {
+      jobs.push({ output, window, context: output.handler.context ?? 'vessels.self', paths: { value: output.handler.path } });
+    }
+  }
+
+  const contexts = new Map();
+  for (const job of jobs) {
+    const group = contexts.get(job.context) ?? { paths: new Set(), window: 0, jobs: [] };
+    Object.values(job.paths).filter(Boolean).forEach(p => group.paths.add(p));
+    group.window = Math.max(group.window, job.window);
+    group.jobs.push(job);
+    contexts.set(job.context, group);
+  }
+
+  const counts = {};
+  for (const [context, group] of contexts) {
+    if (group.paths.size === 0) continue;
+    let data;
+    try {
+      data = await provider.values({ context, paths: [...group.paths], from: now - group.window, to: now });
+    } catch (err) {
+      app.debug(`warmStart: history query for ${context} failed: ${err.message}`);
+      continue;
+    }
+    for (const { output, window, paths } of group.jobs) {
+      const recent = path => (data?.[path] ?? []).filter(s => s.t >= now - window && s.t <= now);
+      try {
+        counts[output.id] = output.polar
+          ? output.prime({ magnitude: paths.magnitude ? recent(paths.magnitude) : [], angle: recent(paths.angle) })
+          : output.prime(recent(paths.value));
+      } catch (err) {
+        app.debug(`warmStart: priming ${output.id} failed: ${err.message}`);
+      }
+    }
+  }
+  return counts;
+}
+
+module.exports = { warmStart, RestHistoryProvider, RecordingHistoryProvider };
@@ -0,0 +1,337 @@
+const { Clock } = require('../general/Clock');
+
+/**
+ * Severity order of Signal K zone / notification states, least severe first.
+ */
+const SEVERITY = ['normal', 'nominal', 'alert', 'warn', 'alarm', 'emergency'];
+
+/**
+ * Default notification methods per state.
+ */
+const DEFAULT_METHODS = {
+  normal: [],
+  nominal: [],
+  alert: ['visual'],
+  warn: ['visual', 'sound'],
+  alarm: ['visual', 'sound'],
+  emergency: ['visual', 'sound'],
+};
+
+/**
+ * ZoneNotifier watches the value of a MessageHandler, MessageSmoother or SmoothedAngle
+ * against Signal K zones and publishes `notifications.<path>` deltas when the zone state changes.
+ *
+ * Zones come from the watched object's meta (`meta.zones`) unless the plugin supplies its own.
+ * A zone is `{ lower, upper, state, message }`; an absent bound is open. When the value lies in
+ * several zones the most severe one wins; outside all zones the state is 'normal'.
+ *
+ * Two mechanisms suppress flapping:
+ * - hysteresis: a value keeps its current zone until it is more than `hysteresis` outside it.
+ * - minDuration: a new state must persist for `minDuration` ms before it is published.
+ *   A pending state is dropped when the source goes stale or idle before the time is up.
+ *
+ * Returning to 'normal' publishes a notification with state 'normal' and no methods, which clears it.
+ *
+ * @example
+ * const depthAlarm = new ZoneNotifier(app, pluginId, depth, {
+ *   zones: [{ upper: 2, state: 'alarm', message: 'Shallow water' }],
+ *   hysteresis: 0.2,
+ *   minDuration: 2000,
+ * });
+ * depthAlarm.attach();
+ */
+class ZoneNotifier {
+  /**
+   * @param {Object} app - The app instance.
+   * @param {string} pluginId - Plugin identifier.
+   * @param {Object} source - MessageHandler, MessageSmoother or SmoothedAngle to watch.
+   * @param {Object} [options={}]
+   * @param {Array<Object>|null} [options.zones=null] - Plugin-supplied zones; null uses source.meta.zones.
+   * @param {number} [options.hysteresis=0] - Distance in SI units the value must move past a zone boundary to leave the zone.
+   * @param {number} [options.minDuration=0] - Time in ms a new state must persist before it is published.
+   * @param {string} [options.path] - SK path to notify on; defaults to the source's path.
+   * @param {Object} [options.methods] - Per-state method overrides, e.g. { warn: ['visual'] }.
+   */
+  constructor(app, pluginId, source, {
+    zones = null,
+    hysteresis = 0,
+    minDuration = 0,
+    path,
+    methods = {},
+  } = {}) {
+    this._app = app;
+    this._pluginId = pluginId;
+    this.source = source;
+    this.id = (source.id ?? path) + '.notification';
+    this.zones = zones;
+    this.hysteresis = hysteresis;
+    this.minDuration = minDuration;
+    this._path = path ?? null;
+    this.methods = { ...DEFAULT_METHODS, ...methods };
+    this._state = 'normal';
+    this._zone = null;
+    this._pending = null;        // { state, zone, since }
+    this._pendingTimer = null;
+    this._lastSent = null;
+    this._attached = false;
+    this._listener = () => this.update();
+    this._staleListener = () => this._cancelPending();
+    this._previousOnChange = null;
+  }
+
+  /**
+   * SK path the notification refers to (without the `notifications.` prefix).
+   * @returns {string}
+   */
+  get path() {
+    return this._path ?? this.source.path ?? this.source.handler?.path;
+  }
+
+  /**
+   * Context the notification is published in; follows the watched handler.
+   * @returns {string}
+   */
+  get context() {
+    const handler = this.source.handler ?? this.source;
+    return (handler.context?.includes('*') ? handler.deltaContext : handler.context) ?? 'vessels.self';
+  }
+
+  /**
+   * Current published zone state: 'normal', 'alert', 'warn', 'alarm', ...
+   * @returns {string}
+   */
+  get zoneState() {
+    return this._state;
+  }
+
+  /**
+   * Starts watching: evaluates on every 'value' event of the source and drops a
+   * pending state on 'stale'. Sources without an event API are watched through
+   * onChange; an existing callback is preserved and still called first.
+   * @returns {this}
+   */
+  attach() {
+    if (this._attached) return this;
+    if (typeof this.source.on === 'function') {
+      this.source.on('value', this._listener);
+      this.source.on('stale', this._staleListener);
+      this._attached = true;
+      return this;
+    }
+    this._previousOnChange = this.source.onChange ?? null;
+    const previous = this._previousOnChange;
+    this.source.onChange = () => {
+      if (typeof previous === 'function') previous();
+      this.update();
+    };
+    this._attached = true;
+    return this;
+  }
+
+  /**
+   * Stops watching. For onChange-based sources the previous callback is restored.
+   * @returns {this}
+   */
+  detach() {
+    if (!this._attached) return this;
+    this._attached = false;
+    if (typeof this.source.off === 'function') {
+      this.source.off('value', this._listener);
+      this.source.off('stale', this._staleListener);
+      return this;
+    }
+    this.source.onChange = this._previousOnChange;
+    this._previousOnChange = null;
+    return this;
+  }
+
+  /**
+   * Stops watching and cancels a pending transition. Does not clear an active notification.
+   * @returns {null}
+   */
+  terminate() {
+    this.detach();
+    this._cancelPending();
+    return null;
+  }
+
+  /**
+   * Active zones: plugin-supplied, or from the source's meta.
+   * @private
+   */
+  _zones() {
+    if (Array.isArray(this.zones)) return this.zones;
+    const zones = this.source.meta?.zones;
+    return Array.isArray(zones) ? zones : [];
+  }
+
+  /**
+   * @private
+   */
+  static _inZone(value, zone, margin = 0) {
+    if (typeof zone.lower === 'number' && value < zone.lower - margin) return false;
+    if (typeof zone.upper === 'number' && value > zone.upper + margin) return false;
+    return true;
+  }
+
+  /**
+   * Compares zones by content; meta may hand out fresh zone objects on every read.
+   * @private
+   */
+  static _sameZone(a, b) {
+    return !!a && !!b && a.lower === b.lower && a.upper === b.upper && a.state === b.state;
+  }
+
+  /**
+   * Most severe zone containing the value, with hysteresis applied to the current zone.
+   * @private
+   * @returns {Object|null}
+   */
+  _classify(value) {
+    let best = null;
+    for (const zone of this._zones()) {
+      const margin = ZoneNotifier._sameZone(zone, this._zone) ? this.hysteresis : 0;
+      if (!ZoneNotifier._inZone(value, zone, margin)) continue;
+      if (best === null || SEVERITY.indexOf(zone.state) > SEVERITY.indexOf(best.state)) {
+        best = zone;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Evaluates the current value of the source. Called automatically once attached.
+   * @returns {this}
+   */
+  update() {
+    const value = this.source.value;
+    if (!this.source.ready || typeof value !== 'number' || !Number.isFinite(value)) {
+      this._cancelPending();
+      return this;
+    }
+    const zone = this._classify(value);
+    const state = zone?.state ?? 'normal';
+    if (state === this._state) {
+      this._zone = zone;
+      this._cancelPending();
+      return this;
+    }
+    if (this.minDuration <= 0) {
+      this._commit(state, zone);
+      return this;
+    }
+    if (this._pending?.state !== state) {
+      this._cancelPending();
+      this._pending = { state, zone, since: Clock.current.now() };
+      this._pendingTimer = Clock.timeout(() => {
+        const pending = this._pending;
+        this._pendingTimer = null;
+        this._pending = null;
+        // Sources without a 'stale' event are checked here.
+        if (pending && this.source.ready) this._commit(pending.state, pending.zone);
+      }, this.minDuration);
+    } else {
+      this._pending.zone = zone;
+    }
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  _cancelPending() {
+    if (this._pendingTimer) {
+      Clock.cancel(this._pendingTimer);
+      this._pendingTimer = null;
+    }
+    this._pending = null;
+  }
+
+  /**
+   * @private
+   */
+  _commit(state, zone) {
+    this._state = state;
+    this._zone = zone;
+    this._app.debug(`ZoneNotifier[${this.id}]: ${this.path} is ${state}`);
+    this._send(state, zone);
+  }
+
+  /**
+   * Builds the notification message for a state.
+   * @private
+   */
+  _message(state, zone) {
+    if (zone?.message) return zone.message;
+    const name = this.source.meta?.displayName ?? this.path;
+    return state === 'normal' ? `${name} is back to normal` : `${name} is in ${state} zone`;
+  }
+
+  /**
+   * Publishes the notification delta.
+   * @private
+   */
+  _send(state, zone) {
+    const value = {
+      state,
+      method: this.methods[state] ?? [],
+      message: this._message(state, zone),
+      timestamp: new Date(Clock.current.now()).toISOString(),
+    };
+    this._lastSent = value;
+    this._app.handleMessage(this._pluginId, {
+      context: this.context,
+      updates: [
+        {
+          $source: this._pluginId,
+          values: [{ path: `notifications.${this.path}`, value }]
+        }]
+    });
+  }
+
+  /**
+   * Gets static metadata for this notifier.
+   * @returns {Object}
+   */
+  get meta() {
+    return {
+      id: this.id,
+      path: this.path,
+      notificationPath: `notifications.${this.path}`,
+      zones: this._zones(),
+      hysteresis: this.hysteresis,
+      minDuration: this.minDuration,
+    };
+  }
+
+  /**
+   * Gets dynamic state for this notifier.
+   * @returns {Object}
+   */
+  get state() {
+    return {
+      id: this.id,
+      attached: this._attached,
+      zoneState: this._state,
+      pendingState: this._pending?.state ?? null,
+      pendingSince: this._pending?.since ?? null,
+      lastNotification: this._lastSent,
+    };
+  }
+
+  /**
+   * Returns a summary object for reporting.
+   * @returns {Object}
+   */
+  report() {
+    return {
+      id: this.id,
+      path: this.path,
+      value: this.source.value,
+      zoneState: this._state,
+      state: this.state,
+    };
+  }
+}
+
+module.exports = { ZoneNotifier, SEVERITY };
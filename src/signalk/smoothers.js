@@ -1,3 +1,5 @@
+const { Clock } = require('../general/Clock');
+
 /**
  * Base class for statistical smoothers.
  * Subclasses should implement their own smoothing logic.
@@ -21,16 +23,19 @@ class BaseSmoother {
     // Reset the smoother state
     this._estimate = estimate;
     this._variance = variance;
+    this._lastTime = null;
   }
 
   /**
    * Add a new value to the smoother.
    * @param {number} value - The new value.
    * @param {number} [variance=0] - The variance of the value.
+   * @param {number} [timestamp=Clock.current.now()] - Sample time in ms since epoch.
    */
-  add(value, variance = 0) {  
+  add(value, variance = 0, timestamp = Clock.current.now()) {  
     this._estimate = value;
     this._variance = variance;
+    this._lastTime = timestamp;
   }
 
   /**
@@ -47,6 +52,13 @@ class BaseSmoother {
   get variance() {
     return this._variance;  
   }
+  /**
+   * Time of the last sample in ms since epoch, or null before the first sample.
+   * @returns {number|null}
+   */
+  get lastTime() {
+    return this._lastTime;
+  }
   /**
    * Get the current options.
    * @returns {Object}
@@ -63,6 +75,43 @@ class BaseSmoother {
     this._options = opts;
     this.reset();
   }
+
+  /**
+   * Serializable state: class name, options, estimate, variance and last sample time.
+   * Subclasses add their internal state.
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      options: this._options,
+      estimate: this._estimate,
+      variance: this._variance,
+      lastTime: this._lastTime,
+    };
+  }
+
+  /**
+   * Creates a smoother from toJSON() output. Called on the subclass, e.g. ExponentialSmoother.fromJSON(data).
+   * @param {Object} data - Output of toJSON().
+   * @param {Object} [options=data.options] - Options for the new smoother, to restore state under changed options.
+   * @returns {BaseSmoother}
+   */
+  static fromJSON(data, options = data.options) {
+    const smoother = new this(options ?? {});
+    smoother._restore(data);
+    return smoother;
+  }
+
+  /**
+   * Applies toJSON() output to a freshly constructed smoother.
+   * @protected
+   */
+  _restore(data) {
+    this._estimate = data.estimate ?? null;
+    this._variance = data.variance ?? null;
+    this._lastTime = data.lastTime ?? null;
+  }
 }
 
 /**
@@ -71,6 +120,16 @@ class BaseSmoother {
  * Computes and exposes population variance of the current window.
  */
 class MovingAverageSmoother extends BaseSmoother {
+  /**
+   * Title and JSON schema of the options, for plugin configuration forms; see createConfigSchema().
+   */
+  static schema = {
+    title: 'Moving average',
+    properties: {
+      timeSpan: { type: 'number', title: 'Time span (s)', minimum: 0, default: 1 },
+    },
+  };
+
   /**
    * @param {Object} [options={}] - Configuration options.
    * @param {number} [options.timeSpan=1] - Time window in seconds for the moving average.
@@ -119,20 +178,47 @@ class MovingAverageSmoother extends BaseSmoother {
    * Add a new value to the moving average.
    * O(1) amortised: no per-sample object, no array copy, no multi-pass iteration.
    * @param {number} value - The new value.
+   * @param {number} [variance] - Ignored; present for interface compatibility.
+   * @param {number} [timestamp=Clock.current.now()] - Sample time in ms since epoch.
    */
-  add(value) {
-    const now = Date.now();
+  add(value, variance, timestamp = Clock.current.now()) {
+    const now = timestamp;
     this._evict(now - this._timeSpan * 1000);
     this._vals.push(value);
     this._times.push(now);
     this._sum += value;
     this._sumSq += value * value;
+    this._lastTime = now;
     const n = this._vals.length - this._head;
     this._estimate = this._sum / n;
     // Var = E[x²] − (E[x])²  — clamped to 0 to guard against floating-point underflow.
     this._variance = Math.max(0, this._sumSq / n - this._estimate * this._estimate);
   }
 
+  /**
+   * Serializable state, including the samples in the current window.
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      values: this._vals.slice(this._head),
+      times: this._times.slice(this._head),
+    };
+  }
+
+  /**
+   * @protected
+   */
+  _restore(data) {
+    super._restore(data);
+    this._vals = [...(data.values ?? [])];
+    this._times = [...(data.times ?? [])];
+    this._head = 0;
+    this._sum = this._vals.reduce((sum, v) => sum + v, 0);
+    this._sumSq = this._vals.reduce((sum, v) => sum + v * v, 0);
+  }
+
   /**
    * Get the standard error of the mean.
    * @returns {number|null}
@@ -147,6 +233,13 @@ class MovingAverageSmoother extends BaseSmoother {
  * Exponential smoother (exponential moving average).
  */
 class ExponentialSmoother extends BaseSmoother {
+  static schema = {
+    title: 'Exponential',
+    properties: {
+      timeConstant: { type: 'number', title: 'Time constant (s)', minimum: 0, default: 1 },
+    },
+  };
+
   /**
    * @param {Object} [options={}] - Configuration options.
    * @param {number} [options.tau=1] - Time constant (in seconds) for exponential smoothing.
@@ -169,9 +262,11 @@ class ExponentialSmoother extends BaseSmoother {
   /**
    * Add a new value to the exponential smoother.
    * @param {number} value - The new value.
+   * @param {number} [variance] - Ignored; present for interface compatibility.
+   * @param {number} [timestamp=Clock.current.now()] - Sample time in ms since epoch.
    */
-  add(value) {
-    const now = Date.now();
+  add(value, variance, timestamp = Clock.current.now()) {
+    const now = timestamp;
     if (this._estimate === null) {
       this._estimate = value;
       this._variance = 0;
@@ -179,7 +274,7 @@ class ExponentialSmoother extends BaseSmoother {
       return;
     }
   
-    const dt = (now - this._lastTime) / 1000; // seconds
+    const dt = Math.max(0, now - this._lastTime) / 1000; // seconds
     const alpha = 1 - Math.exp(-dt / this._tau);
   
     // Update estimate (mean)
@@ -190,14 +285,25 @@ class ExponentialSmoother extends BaseSmoother {
     if (this._variance === null) this._variance = 0;
     this._variance = (1 - alpha) * (this._variance + alpha * Math.pow(value - prevEstimate, 2));
   
-    this._lastTime = now;
+    if (now > this._lastTime) this._lastTime = now;
   }
 }
 
 /**
  * Kalman smoother (1D Kalman filter).
+ * Its state is the estimate and the error variance P, from which the next gain
+ * P / (P + R) follows; toJSON() therefore carries all there is to restore.
  */
 class KalmanSmoother extends BaseSmoother {
+  static schema = {
+    title: 'Kalman',
+    properties: {
+      processVariance: { type: 'number', title: 'Process variance', exclusiveMinimum: 0, default: 1 },
+      measurementVariance: { type: 'number', title: 'Measurement variance', exclusiveMinimum: 0, default: 4 },
+      steadyState: { type: 'number', title: 'Steady-state gain (overrides the variances)', exclusiveMinimum: 0, exclusiveMaximum: 1 },
+    },
+  };
+
   /**
    * @param {Object} [options={}] - Configuration options.
    * @param {number} [options.processVariance=0.1] - Process variance (Q) for the Kalman filter.
@@ -237,11 +343,13 @@ class KalmanSmoother extends BaseSmoother {
    * Add a new value to the Kalman filter.
    * @param {number} value - The new value.
    * @param {number} [measurementVariance] - Measurement variance for this value.
+   * @param {number} [timestamp=Clock.current.now()] - Kept as lastTime only; the random-walk model is not time-based.
    */
-  add(value, measurementVariance = this._measurementVariance) {
+  add(value, measurementVariance = this._measurementVariance, timestamp = Clock.current.now()) {
     if (measurementVariance <= 0) {
       measurementVariance = this._measurementVariance;
     }
+    this._lastTime = timestamp;
     if (this._estimate === null) {
       this._estimate = value;
       this._variance = measurementVariance;
@@ -256,9 +364,387 @@ class KalmanSmoother extends BaseSmoother {
   }
 }
 
+/**
+ * Constant-velocity Kalman smoother: a two-state (value, rate) Kalman filter.
+ *
+ * Unlike KalmanSmoother's random walk, the model carries a rate of change, so the estimate
+ * follows a trending signal without lag and the rate is estimated along with it. Between
+ * samples the value moves on at the estimated rate; the rate itself drifts as white-noise
+ * acceleration with spectral density `processNoise`, i.e. the process noise added over dt
+ * seconds is processNoise · [[dt³/3, dt²/2], [dt²/2, dt]]. Irregular sample intervals are
+ * therefore handled exactly.
+ *
+ * The estimate and its variance are available as for the other smoothers, the rate as `rate`
+ * and `rateVariance`, and their covariance as `covariance`. Rates are in units per second.
+ */
+class KalmanRateSmoother extends BaseSmoother {
+  /**
+   * Default options.
+   */
+  static defaults = { processNoise: 1, measurementVariance: 4, initialRateVariance: 1e6 };
+
+  static schema = {
+    title: 'Kalman with rate (constant velocity)',
+    properties: {
+      processNoise: { type: 'number', title: 'Process noise (units²/s³)', exclusiveMinimum: 0, default: 1 },
+      measurementVariance: { type: 'number', title: 'Measurement variance', exclusiveMinimum: 0, default: 4 },
+    },
+  };
+
+  /**
+   * @param {Object} [options={}] - Configuration options.
+   * @param {number} [options.processNoise=1] - Spectral density of the rate's random acceleration, in units²/s³.
+   * @param {number} [options.measurementVariance=4] - Measurement variance (R), used when add() gets none.
+   * @param {number} [options.initialRateVariance=1e6] - Variance of the unknown rate at the first sample.
+   */
+  constructor(options = {}) {
+    super(options);
+  }
+
+  /**
+   * Reset the filter state. The rate starts at 0 with initialRateVariance.
+   * @param {number|null} [estimate] - Initial estimate.
+   * @param {number|null} [variance] - Initial variance; defaults to the measurement variance.
+   */
+  reset(estimate = null, variance = null) {
+    super.reset();
+    const options = { ...KalmanRateSmoother.defaults, ...this._options };
+    this._processNoise = options.processNoise;
+    this._measurementVariance = options.measurementVariance;
+    this._initialRateVariance = options.initialRateVariance;
+    this._estimate = estimate;
+    this._variance = estimate === null ? null : (variance ?? this._measurementVariance);
+    this._rate = estimate === null ? null : 0;
+    this._rateVariance = estimate === null ? null : this._initialRateVariance;
+    this._covariance = estimate === null ? null : 0;
+  }
+
+  /**
+   * Add a new value: predicts the state to the sample time, then updates it with the value.
+   * Samples older than the last one are applied without prediction.
+   * @param {number} value - The new value.
+   * @param {number} [measurementVariance] - Measurement variance for this value; the configured one when missing or not positive.
+   * @param {number} [timestamp=Clock.current.now()] - Sample time in ms since epoch.
+   */
+  add(value, measurementVariance, timestamp = Clock.current.now()) {
+    const R = measurementVariance > 0 ? measurementVariance : this._measurementVariance;
+    if (this._estimate === null) {
+      this._estimate = value;
+      this._variance = R;
+      this._rate = 0;
+      this._rateVariance = this._initialRateVariance;
+      this._covariance = 0;
+      this._lastTime = timestamp;
+      return;
+    }
+
+    // Prediction step: x' = F x, P' = F P Fᵀ + Q with F = [[1, dt], [0, 1]]
+    const dt = this._lastTime === null ? 0 : Math.max(0, timestamp - this._lastTime) / 1000; // seconds
+    const q = this._processNoise;
+    this._estimate += this._rate * dt;
+    this._variance += 2 * dt * this._covariance + dt * dt * this._rateVariance + q * dt * dt * dt / 3;
+    this._covariance += dt * this._rateVariance + q * dt * dt / 2;
+    this._rateVariance += q * dt;
+
+    // Update step
+    const S = this._variance + R;
+    const gain = this._variance / S;
+    const rateGain = this._covariance / S;
+    const innovation = value - this._estimate;
+    this._estimate += gain * innovation;
+    this._rate += rateGain * innovation;
+    this._rateVariance -= rateGain * this._covariance;
+    this._covariance *= 1 - gain;
+    this._variance *= 1 - gain;
+
+    if (this._lastTime === null || timestamp > this._lastTime) this._lastTime = timestamp;
+  }
+
+  /**
+   * Estimated rate of change in units per second; null before the first sample.
+   * @returns {number|null}
+   */
+  get rate() {
+    return this._rate;
+  }
+
+  /**
+   * Variance of the estimated rate.
+   * @returns {number|null}
+   */
+  get rateVariance() {
+    return this._rateVariance;
+  }
+
+  /**
+   * Covariance of the estimate and the rate.
+   * @returns {number|null}
+   */
+  get covariance() {
+    return this._covariance;
+  }
+
+  /**
+   * Serializable state, including the rate and the full covariance matrix.
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      rate: this._rate,
+      rateVariance: this._rateVariance,
+      covariance: this._covariance,
+    };
+  }
+
+  /**
+   * @protected
+   */
+  _restore(data) {
+    super._restore(data);
+    this._rate = data.rate ?? null;
+    this._rateVariance = data.rateVariance ?? null;
+    this._covariance = data.covariance ?? null;
+  }
+}
+
+/**
+ * Scale factor from the median absolute deviation to the standard deviation of normal data.
+ */
+const MAD_SCALE = 1.4826;
+
+/**
+ * Median of an array of numbers; null when empty.
+ * @private
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Hampel smoother: an outlier-rejecting moving average for sensors that produce single-sample
+ * spikes, such as NMEA 0183 wind and depth.
+ *
+ * Each new sample is tested against the median and the median absolute deviation (MAD) of the
+ * raw samples in the window. Samples further than k · 1.4826 · MAD from the median are outliers:
+ * they are dropped (mode 'reject') or clipped to that distance (mode 'clip') before they reach
+ * the average. Raw samples, outliers included, stay in the window for the median and MAD, so a
+ * real step change is accepted once it fills half the window.
+ *
+ * The estimate is the mean of the accepted (or clipped) samples in the window, the variance
+ * their population variance. Does not accept input variance. Median and MAD are computed by
+ * sorting the window, so keep windows to hundreds of samples.
+ */
+class HampelSmoother extends BaseSmoother {
+  /**
+   * Default options; also used by MessageSmoother and PolarSmoother to derive their idlePeriod.
+   */
+  static defaults = { timeSpan: 5, windowSize: null, k: 3, mode: 'reject', minSamples: 5, minThreshold: 0 };
+
+  static schema = {
+    title: 'Hampel (outlier rejection)',
+    properties: {
+      timeSpan: { type: 'number', title: 'Time span (s)', minimum: 0, default: 5 },
+      windowSize: { type: 'integer', title: 'Maximum samples in the window', minimum: 3 },
+      k: { type: 'number', title: 'Outlier threshold (standard deviations)', exclusiveMinimum: 0, default: 3 },
+      mode: { type: 'string', title: 'Outliers', enum: ['reject', 'clip'], enumNames: ['Reject', 'Clip'], default: 'reject' },
+      minSamples: { type: 'integer', title: 'Samples before testing for outliers', minimum: 1, default: 5 },
+      minThreshold: { type: 'number', title: 'Minimum outlier distance', minimum: 0, default: 0 },
+    },
+  };
+
+  /**
+   * @param {Object} [options={}] - Configuration options.
+   * @param {number|null} [options.timeSpan=5] - Time window in seconds; null for a count-bounded window only.
+   * @param {number|null} [options.windowSize=null] - Maximum number of samples in the window.
+   * @param {number} [options.k=3] - Outlier threshold in (MAD-estimated) standard deviations.
+   * @param {string} [options.mode='reject'] - 'reject' drops outliers, 'clip' limits them to the threshold.
+   * @param {number} [options.minSamples=5] - Samples needed in the window before outliers are detected.
+   * @param {number} [options.minThreshold=0] - Smallest outlier distance, for quantized data where the MAD is often 0.
+   */
+  constructor(options = {}) {
+    super(options);
+  }
+
+  /**
+   * Reset the window, the estimate and the rejection count.
+   */
+  reset() {
+    super.reset();
+    const options = { ...HampelSmoother.defaults, ...this._options };
+    this._timeSpan = typeof options.timeSpan === 'number' ? options.timeSpan : null;
+    this._windowSize = typeof options.windowSize === 'number' ? options.windowSize : null;
+    if (this._timeSpan === null && this._windowSize === null) this._timeSpan = HampelSmoother.defaults.timeSpan;
+    this._k = options.k;
+    this._mode = options.mode === 'clip' ? 'clip' : 'reject';
+    this._minSamples = options.minSamples;
+    this._minThreshold = options.minThreshold;
+    this._rawValues = [];
+    this._rawTimes = [];
+    this._values = [];
+    this._times = [];
+    this._median = null;
+    this._mad = null;
+    this._rejectionCount = 0;
+    this._lastOutlier = false;
+    this._estimate = null;
+    this._variance = null;
+  }
+
+  /**
+   * Drops samples that left the window; returns whether raw samples were dropped.
+   * @private
+   */
+  _evict(now) {
+    const cutoff = this._timeSpan === null ? -Infinity : now - this._timeSpan * 1000;
+    let raw = 0;
+    while (raw < this._rawTimes.length && this._rawTimes[raw] < cutoff) raw++;
+    if (this._windowSize !== null) raw = Math.max(raw, this._rawTimes.length - this._windowSize + 1);
+    if (raw > 0) {
+      this._rawValues.splice(0, raw);
+      this._rawTimes.splice(0, raw);
+    }
+    const oldest = this._rawTimes.length ? this._rawTimes[0] : Infinity;
+    let accepted = 0;
+    while (accepted < this._times.length && (this._times[accepted] < cutoff || this._times[accepted] < oldest)) accepted++;
+    if (accepted > 0) {
+      this._values.splice(0, accepted);
+      this._times.splice(0, accepted);
+    }
+    return raw > 0;
+  }
+
+  /**
+   * Recomputes median and MAD of the raw samples in the window.
+   * @private
+   */
+  _updateStats() {
+    this._median = median(this._rawValues);
+    this._mad = this._median === null ? null : median(this._rawValues.map(v => Math.abs(v - this._median)));
+  }
+
+  /**
+   * Add a new value; outliers are counted and rejected or clipped.
+   * @param {number} value - The new value.
+   * @param {number} [variance] - Ignored; present for interface compatibility.
+   * @param {number} [timestamp=Clock.current.now()] - Sample time in ms since epoch.
+   */
+  add(value, variance, timestamp = Clock.current.now()) {
+    const now = timestamp;
+    // The sample is tested against the window as it is at the sample's time.
+    if (this._evict(now)) this._updateStats();
+    let accepted = value;
+    this._lastOutlier = false;
+    if (this._rawValues.length >= this._minSamples) {
+      const threshold = Math.max(this._k * MAD_SCALE * this._mad, this._minThreshold);
+      const deviation = value - this._median;
+      if (Math.abs(deviation) > threshold) {
+        this._rejectionCount++;
+        this._lastOutlier = true;
+        accepted = this._mode === 'clip' ? this._median + Math.sign(deviation) * threshold : null;
+      }
+    }
+    this._rawValues.push(value);
+    this._rawTimes.push(now);
+    if (accepted !== null) {
+      this._values.push(accepted);
+      this._times.push(now);
+    }
+    this._lastTime = now;
+    this._updateStats();
+    this._updateEstimate();
+  }
+
+  /**
+   * Recomputes mean and variance of the accepted samples in the window.
+   * @private
+   */
+  _updateEstimate() {
+    const n = this._values.length;
+    if (n === 0) return; // all samples in the window were outliers: keep the last estimate
+    const mean = this._values.reduce((sum, v) => sum + v, 0) / n;
+    this._estimate = mean;
+    this._variance = this._values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / n;
+  }
+
+  /**
+   * Median of the raw samples in the window.
+   * @returns {number|null}
+   */
+  get median() {
+    return this._median;
+  }
+
+  /**
+   * Median absolute deviation of the raw samples in the window.
+   * @returns {number|null}
+   */
+  get mad() {
+    return this._mad;
+  }
+
+  /**
+   * Number of outliers since the last reset.
+   * @returns {number}
+   */
+  get rejectionCount() {
+    return this._rejectionCount;
+  }
+
+  /**
+   * Whether the last sample was an outlier.
+   * @returns {boolean}
+   */
+  get lastOutlier() {
+    return this._lastOutlier;
+  }
+
+  /**
+   * Get the standard error of the mean of the accepted samples.
+   * @returns {number|null}
+   */
+  get standardError() {
+    const n = this._values.length;
+    return (this._variance !== null && n > 0) ? Math.sqrt(this._variance / n) : null;
+  }
+
+  /**
+   * Serializable state, including the raw and accepted samples in the window.
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      rawValues: [...this._rawValues],
+      rawTimes: [...this._rawTimes],
+      values: [...this._values],
+      times: [...this._times],
+      rejectionCount: this._rejectionCount,
+    };
+  }
+
+  /**
+   * @protected
+   */
+  _restore(data) {
+    super._restore(data);
+    this._rawValues = [...(data.rawValues ?? [])];
+    this._rawTimes = [...(data.rawTimes ?? [])];
+    this._values = [...(data.values ?? [])];
+    this._times = [...(data.times ?? [])];
+    this._rejectionCount = data.rejectionCount ?? 0;
+    this._updateStats();
+  }
+}
+
 module.exports = {
   BaseSmoother,
   MovingAverageSmoother,
   ExponentialSmoother,
-  KalmanSmoother
+  KalmanSmoother,
+  KalmanRateSmoother,
+  HampelSmoother
 };
\ No newline at end of file
@@ -0,0 +1,72 @@
+/**
+ * Test script for ConfigMigration.
+ * Runs on a ManualClock, so nothing waits for real time.
+ * Run with: node src/tests/ConfigMigration.js
+ */
+
+const {
+  ConfigMigration, createConfigSchema, Clock, ManualClock
+} = require('../../index');
+const { newApp, restoreApps } = require('./helpers');
+
+// ─── Harness ──────────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`  ✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+function section(title) {
+  console.log(`\n=== ${title} ===`);
+}
+
+const T0 = Date.parse('2026-06-01T12:00:00Z');
+const clock = new ManualClock(T0);
+Clock.use(clock);
+
+section('ConfigMigration – versioned configuration upgrades');
+{
+  const saved = {
+    wind: { pathMagnitude: 'environment.wind.speedApparent', pathAngle: 'environment.wind.angleApparent', source: 'nmea0183.GP', passOn: true, timeConstant: 5000 },
+    sensors: [{ path: 'navigation.speedThroughWater', source: 'can0.115', overwrite: false }, { label: 'source', source: 'kept' }],
+    overwrite: true,
+  };
+  const migration = new ConfigMigration()
+    .add(2, 'Time constants in seconds', (config, changes) => {
+      changes.changed('wind.timeConstant', config.wind.timeConstant, config.wind.timeConstant / 1000);
+      config.wind.timeConstant /= 1000;
+    })
+    .add(1, 'Remove source selection', ConfigMigration.stripLegacySourceOptions());
+  assert(migration.latestVersion === 2 && migration.steps.map(s => s.version).join() === '1,2', 'steps run in version order whatever the registration order');
+  const { config, report } = migration.run(saved);
+  assert(config.version === 2 && report.from === 0 && report.to === 2 && report.changed, 'a configuration without version is upgraded from 0');
+  assert(!('source' in config.wind) && !('passOn' in config.wind) && !('overwrite' in config) && !('source' in config.sensors[0]) && !('overwrite' in config.sensors[0]), 'legacy options are stripped from handler configurations and the top level');
+  assert(config.sensors[1].source === 'kept', 'objects that are not handler configurations are left alone');
+  assert(config.wind.timeConstant === 5 && saved.wind.timeConstant === 5000 && saved.wind.source === 'nmea0183.GP', 'steps work on a copy');
+  const paths = report.changes.map(c => `${c.version}:${c.action}:${c.path}`).join();
+  assert(paths === '1:removed:overwrite,1:removed:wind.source,1:removed:wind.passOn,1:removed:sensors.0.source,1:removed:sensors.0.overwrite,2:changed:wind.timeConstant', `report lists each change (${paths})`);
+  assert(!migration.run(config).report.changed, 'an up-to-date configuration is not changed');
+  const newer = migration.run({ version: 3, wind: {} });
+  assert(newer.report.newer && !newer.report.changed && newer.config.version === 3, 'a newer configuration is left as it is');
+
+  const app = newApp();
+  const started = migration.runAndSave(app, saved);
+  assert(started.version === 2 && app.savedOptions === started, 'runAndSave() saves the upgraded configuration');
+  const failing = new ConfigMigration().add(1, 'Broken', config => config.missing.field);
+  assert(failing.runAndSave(app, saved) === saved && app.errorMessages.some(m => m.includes('step 1 (Broken) failed')), 'a failing step is reported and the saved configuration is used');
+  assert(createConfigSchema([], { version: 2 }).schema.properties.version.default === 2, 'createConfigSchema() can add the version field');
+}
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+restoreApps();
+console.log(`\n=== Summary: ${passed} passed, ${failed} failed ===`);
+if (failed > 0) process.exit(1);
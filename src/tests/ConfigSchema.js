@@ -0,0 +1,78 @@
+/**
+ * Test script for createConfigSchema and createFromConfig.
+ * Runs on a ManualClock, so nothing waits for real time.
+ * Run with: node src/tests/ConfigSchema.js
+ */
+
+const {
+  createConfigSchema, createFromConfig, MessageHandler, Polar, PolarSmoother, SmoothedAngle, KalmanSmoother, MovingAverageSmoother, Clock, ManualClock
+} = require('../../index');
+const { newApp, restoreApps } = require('./helpers');
+
+// ─── Harness ──────────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`  ✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+function section(title) {
+  console.log(`\n=== ${title} ===`);
+}
+
+const T0 = Date.parse('2026-06-01T12:00:00Z');
+const clock = new ManualClock(T0);
+Clock.use(clock);
+
+section('createConfigSchema / createFromConfig');
+{
+  const specs = [
+    { id: 'apparentWind', title: 'Apparent wind', pathMagnitude: 'environment.wind.speedApparent', pathAngle: 'environment.wind.angleApparent', smootherOptions: { timeConstant: 5 } },
+    { id: 'heading', kind: 'smoothedAngle', path: 'navigation.headingTrue' },
+    { id: 'sog', path: 'navigation.speedOverGround', SmootherClass: KalmanSmoother, validation: { min: 0 } },
+    { id: 'current', kind: 'polar', pathMagnitude: 'environment.current.drift', pathAngle: 'environment.current.setTrue' },
+    { id: 'depth', kind: 'handler', path: 'environment.depth.belowTransducer' },
+  ];
+  const { schema, uiSchema } = createConfigSchema(specs, { title: 'Test plugin' });
+  const wind = schema.properties.apparentWind;
+  assert(Object.keys(schema.properties).join() === 'apparentWind,heading,sog,current,depth' && uiSchema['ui:order'].join() === 'apparentWind,heading,sog,current,depth,*', 'one section per spec, in order');
+  assert(wind.title === 'Apparent wind' && wind.properties.pathMagnitude.default === 'environment.wind.speedApparent', 'paths default to the spec');
+  assert(wind.properties.smoother.properties.type.enum.join() === 'ExponentialSmoother,MovingAverageSmoother,KalmanSmoother,KalmanRateSmoother,HampelSmoother', 'smoother classes are offered as an enum');
+  const exponential = wind.properties.smoother.dependencies.type.oneOf[0].properties;
+  assert(exponential.timeConstant.default === 5 && wind.properties.smoother.dependencies.type.oneOf[2].properties.processVariance.default === 1, 'option fields per class, spec options as defaults');
+  assert(wind.properties.angleRange.default === '-piToPi' && schema.properties.heading.properties.angleRange.default === '0to2pi', 'angle range defaults follow the kind');
+  assert(wind.properties.magnitudeThreshold.default === 0.1 && !schema.properties.current.properties.magnitudeThreshold, 'magnitudeThreshold only for smoothed polars');
+  assert(!schema.properties.depth.properties.smoother && schema.properties.depth.properties.path.default === 'environment.depth.belowTransducer', 'plain handlers have a path only');
+  assert(uiSchema.apparentWind.angleRange['ui:widget'] === 'radio', 'uiSchema orders the fields and picks widgets');
+
+  const app = newApp();
+  const config = {
+    apparentWind: { smoother: { type: 'MovingAverageSmoother', timeSpan: 3 }, angleRange: '0to2pi', magnitudeThreshold: null },
+    sog: { path: 'navigation.speedThroughWater', smoother: { type: 'KalmanSmoother', measurementVariance: 2 } },
+  };
+  const outputs = createFromConfig(app, 'test-plugin', specs, config);
+  assert(outputs.apparentWind instanceof PolarSmoother && outputs.apparentWind.SmootherClass === MovingAverageSmoother, 'smoother class comes from the configuration');
+  assert(outputs.apparentWind.smootherOptions.timeSpan === 3 && outputs.apparentWind.polar.angleRange === '0to2pi', 'options and angle range come from the configuration');
+  assert(outputs.apparentWind.polar._magnitudeThreshold === null, 'an empty magnitudeThreshold disables the fallback angle');
+  assert(outputs.heading instanceof SmoothedAngle && outputs.heading.smootherOptions.timeConstant === 1, 'missing configuration falls back to spec and schema defaults');
+  assert(outputs.sog.handler.path === 'navigation.speedThroughWater' && outputs.sog.smootherOptions.measurementVariance === 2 && outputs.sog.smootherOptions.processVariance === 1, 'configured path and options of the spec class');
+  assert(outputs.current instanceof Polar && outputs.depth instanceof MessageHandler, 'plain polars and handlers are created');
+  app.setValue('navigation.speedThroughWater', -1);
+  app.setValue('navigation.speedThroughWater', 4);
+  assert(outputs.sog.value === 4 && outputs.sog.handler.state.rejectedCount === 1, 'objects are subscribed, other spec arguments pass through');
+  Object.values(outputs).forEach(output => output.terminate());
+}
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+restoreApps();
+console.log(`\n=== Summary: ${passed} passed, ${failed} failed ===`);
+if (failed > 0) process.exit(1);
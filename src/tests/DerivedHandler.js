@@ -0,0 +1,200 @@
+/**
+ * Test script for DerivedHandler.
+ * Uses MockApp as Signal K server and a ManualClock, so nothing waits for real time.
+ * Run with: node src/tests/DerivedHandler.js
+ */
+
+const { DerivedHandler, MessageHandler, Publisher, Reporter, Clock, ManualClock } = require('../../index');
+const { newApp, restoreApps } = require('./helpers');
+
+// ─── Harness ──────────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`  ✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+function section(title) {
+  console.log(`\n=== ${title} ===`);
+}
+
+const clock = new ManualClock(Date.parse('2026-06-01T12:00:00Z'));
+Clock.use(clock);
+
+function newHandler(app, id, path, idlePeriod) {
+  const handler = new MessageHandler(app, 'test-plugin', id);
+  handler.configure(path);
+  if (idlePeriod !== undefined) handler.idlePeriod = idlePeriod;
+  handler.subscribe();
+  return handler;
+}
+
+// ─── Recompute ────────────────────────────────────────────────────────────────
+
+section('DerivedHandler – recomputes on input changes');
+{
+  const app = newApp();
+  const stw = newHandler(app, 'stw', 'navigation.speedThroughWater');
+  const sog = newHandler(app, 'sog', 'navigation.speedOverGround');
+  let calls = 0;
+  const drift = new DerivedHandler(app, 'test-plugin', 'drift', {
+    inputs: { stw, sog },
+    compute: ({ stw, sog }) => { calls++; return sog.value - stw.value; },
+    path: 'performance.drift',
+    meta: { units: 'm/s', displayName: 'Drift' },
+  });
+  const events = [];
+  ['value', 'ready'].forEach(e => drift.on(e, () => events.push(e)));
+  app.setValue('navigation.speedThroughWater', 5);
+  assert(calls === 0 && !drift.ready && drift.value === null, 'nothing is computed until all inputs are ready');
+  app.setValue('navigation.speedOverGround', 5.5);
+  assert(calls === 1 && drift.value === 0.5 && drift.ready, 'computed once all inputs have a value');
+  app.setValue('navigation.speedThroughWater', 6);
+  assert(drift.value === -0.5 && calls === 2, 'each input change recomputes');
+  assert(events.join() === 'value,ready,value', `events follow MessageHandler (${events.join()})`);
+  assert(drift.meta.inputs.sog === 'sog' && drift.meta.units === 'm/s' && drift.state.nComputations === 2, 'meta and state describe the inputs');
+  assert(drift.formatted('kn', 2) === '-0.97 kn', 'valueIn() and formatted() use the plugin meta');
+  drift.terminate();
+  app.setValue('navigation.speedThroughWater', 7);
+  assert(calls === 2 && stw.listenerCount('value') === 0, 'terminate() stops listening to the inputs');
+  stw.terminate();
+  sog.terminate();
+}
+
+section('DerivedHandler – array inputs, requireAll and undefined results');
+{
+  const app = newApp();
+  const a = newHandler(app, 'a', 'electrical.batteries.1.current');
+  const b = newHandler(app, 'b', 'electrical.batteries.2.current');
+  const total = new DerivedHandler(app, 'test-plugin', 'total', {
+    inputs: [a, b],
+    requireAll: false,
+    compute: inputs => {
+      const values = inputs.filter(h => h.ready).map(h => h.value);
+      return values.length > 0 ? values.reduce((s, v) => s + v, 0) : undefined;
+    },
+  });
+  app.setValue('electrical.batteries.1.current', 3);
+  assert(total.value === 3 && total.ready, 'requireAll: false computes and is ready with some inputs ready');
+  app.setValue('electrical.batteries.2.current', 4);
+  assert(total.value === 7 && total.ready && total.meta.inputs['1'] === 'b', 'array inputs are named by index');
+  const keep = new DerivedHandler(app, 'test-plugin', 'keep', { inputs: [a], compute: () => undefined });
+  app.setValue('electrical.batteries.1.current', 5);
+  assert(keep.value === null && keep.n === 0, 'returning undefined keeps the previous value');
+  total.terminate();
+  keep.terminate();
+  a.terminate();
+  b.terminate();
+}
+
+section('DerivedHandler – compute errors');
+{
+  const app = newApp();
+  const a = newHandler(app, 'a', 'environment.depth.belowTransducer');
+  const derived = new DerivedHandler(app, 'test-plugin', 'broken', {
+    inputs: { a },
+    compute: ({ a }) => { if (a.value < 0) throw new Error('negative depth'); return a.value + 0.5; },
+  });
+  app.setValue('environment.depth.belowTransducer', 3);
+  app.setValue('environment.depth.belowTransducer', -1);
+  assert(derived.value === 3.5 && derived.computeErrors === 1, 'a throwing compute keeps the last value');
+  assert(derived.state.lastError.message === 'negative depth', 'the error is in state');
+  let threw = false;
+  try { new DerivedHandler(app, 'test-plugin', 'x', { inputs: [a] }); } catch (err) { threw = true; }
+  assert(threw, 'a compute function is required');
+  derived.terminate();
+  a.terminate();
+}
+
+// ─── Staleness ────────────────────────────────────────────────────────────────
+
+section('DerivedHandler – ready and stale with requireAll');
+{
+  const app = newApp();
+  const stw = newHandler(app, 'stw', 'navigation.speedThroughWater', 2000);
+  const sog = newHandler(app, 'sog', 'navigation.speedOverGround', 5000);
+  const drift = new DerivedHandler(app, 'test-plugin', 'drift', {
+    inputs: { stw, sog },
+    compute: ({ stw, sog }) => sog.value - stw.value,
+  });
+  let staleEvents = 0;
+  drift.on('stale', () => staleEvents++);
+  app.setValue('navigation.speedThroughWater', 5);
+  app.setValue('navigation.speedOverGround', 6);
+  assert(drift.ready && !drift.stale, 'fresh inputs, fresh value');
+  clock.advance(2000);
+  assert(stw.stale && !drift.ready && !drift.stale, 'one stale input: not ready, but not stale either');
+  assert(staleEvents === 0 && drift.state.inputs.stw.isStale, "no 'stale' yet, state shows which input is stale");
+  clock.advance(3000);
+  assert(sog.stale && drift.stale && staleEvents === 1, "all inputs stale: stale, and 'stale' is emitted");
+  app.setValue('navigation.speedOverGround', 6.5);
+  assert(!drift.stale && !drift.ready && drift.value === 1, 'one recovered input ends staleness, ready still waits for all');
+  app.setValue('navigation.speedThroughWater', 5);
+  assert(drift.ready && drift.value === 1.5, 'ready again once all inputs are fresh');
+  clock.advance(5000);
+  assert(staleEvents === 2, "going stale again emits 'stale' again");
+  drift.terminate();
+  stw.terminate();
+  sog.terminate();
+}
+
+section('DerivedHandler – ready and stale with requireAll: false');
+{
+  const app = newApp();
+  const a = newHandler(app, 'a', 'electrical.batteries.1.current', 2000);
+  const b = newHandler(app, 'b', 'electrical.batteries.2.current', 5000);
+  const total = new DerivedHandler(app, 'test-plugin', 'total', {
+    inputs: [a, b],
+    requireAll: false,
+    compute: inputs => inputs.filter(h => h.ready).reduce((sum, h) => sum + h.value, 0),
+    path: 'electrical.batteries.total.current',
+  });
+  const publisher = new Publisher(app, 'test-plugin', { mode: 'change' }).add(total).start();
+  app.setValue('electrical.batteries.1.current', 3);
+  clock.advance(0);
+  assert(total.ready && app.getSelfPath('electrical.batteries.total.current')?.value === 3, 'a partial value is ready and published');
+  app.setValue('electrical.batteries.2.current', 4);
+  clock.advance(2000);
+  assert(a.stale && total.ready && !total.stale, 'one fresh input keeps it ready and not stale');
+  clock.advance(3000);
+  assert(!total.ready && total.stale, 'stale once all inputs are stale');
+  publisher.terminate();
+  total.terminate();
+  a.terminate();
+  b.terminate();
+}
+
+// ─── Consumers ────────────────────────────────────────────────────────────────
+
+section('DerivedHandler – Publisher and Reporter');
+{
+  const app = newApp();
+  const stw = newHandler(app, 'stw', 'navigation.speedThroughWater');
+  const doubled = new DerivedHandler(app, 'test-plugin', 'doubled', {
+    inputs: { stw }, compute: ({ stw }) => stw.value * 2, path: 'performance.doubled', meta: { units: 'm/s' },
+  });
+  const reporter = new Reporter();
+  reporter.addDelta(doubled);
+  const publisher = new Publisher(app, 'test-plugin', { mode: 'change' }).add(doubled).start();
+  app.setValue('navigation.speedThroughWater', 3);
+  clock.advance(0);
+  assert(app.getSelfPath('performance.doubled')?.value === 6, 'a Publisher publishes it to its path');
+  assert(reporter.report().deltas.doubled.value === 6, 'a Reporter reports it');
+  publisher.terminate();
+  doubled.terminate();
+  stw.terminate();
+}
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+restoreApps();
+console.log(`\n=== Summary: ${passed} passed, ${failed} failed ===`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,155 @@
+/**
+ * Test script for HandlerCollection.
+ * Uses MockApp as Signal K server and a ManualClock, so nothing waits for real time.
+ * Run with: node src/tests/HandlerCollection.js
+ */
+
+const {
+  HandlerCollection, MessageSmoother, ExponentialSmoother, Reporter, Clock, ManualClock
+} = require('../../index');
+const { newApp, restoreApps } = require('./helpers');
+
+// ─── Harness ──────────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`  ✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+function section(title) {
+  console.log(`\n=== ${title} ===`);
+}
+
+const clock = new ManualClock(Date.parse('2026-06-01T12:00:00Z'));
+Clock.use(clock);
+
+// ─── Instances ────────────────────────────────────────────────────────────────
+
+section('HandlerCollection – one instance per concrete path');
+{
+  const app = newApp();
+  const added = [];
+  const tanks = new HandlerCollection(app, 'test-plugin', 'tankLevel', 'tanks.*.*.currentLevel', {
+    onAdd: key => added.push(key),
+  });
+  tanks.subscribe();
+  app.setValue('tanks.fuel.0.currentLevel', 0.5);
+  app.setValue('tanks.freshWater.1.currentLevel', 0.8);
+  app.setValue('tanks.fuel.0.currentLevel', 0.45);
+  app.setValue('tanks.fuel.0.capacity', 0.2);
+  assert(tanks.size === 2 && added.join() === 'fuel.0,freshWater.1', 'instances are created as paths first appear');
+  assert(tanks.get('fuel.0').value === 0.45 && tanks.get('freshWater.1').value === 0.8, 'each instance holds the value of its path');
+  assert(tanks.captures['freshWater.1'].join() === 'freshWater,1', 'captures are kept per instance');
+  assert(tanks.get('fuel.0').id === 'tankLevel.fuel.0', 'instance ids are <id>.<key>');
+  assert(!tanks.get('fuel.0').subscribed && app.subscriptions.length === 1, 'children are fed by the one subscription of the collection');
+  tanks.terminate();
+  assert(tanks.size === 0 && app.subscriptions.length === 0, 'terminate() unsubscribes and removes all instances');
+}
+
+section('HandlerCollection – smoothed instances and the Reporter');
+{
+  const app = newApp();
+  const reporter = new Reporter();
+  const batteries = new HandlerCollection(app, 'test-plugin', 'voltage', 'electrical.batteries.*.voltage', {
+    SmootherClass: ExponentialSmoother, smootherOptions: { timeConstant: 1 }, reporter,
+  });
+  batteries.subscribe();
+  app.setValue('electrical.batteries.house.voltage', 12);
+  clock.advance(1000);
+  app.setValue('electrical.batteries.house.voltage', 13);
+  const house = batteries.get('house');
+  assert(house instanceof MessageSmoother, 'instances are smoothers when SmootherClass is set');
+  assert(Math.abs(house.value - (12 + (1 - Math.exp(-1)))) < 1e-9, 'the smoother samples every value');
+  assert(reporter.deltas.includes(house), 'instances are added to the reporter');
+  assert(batteries.report().instances.house.path === 'electrical.batteries.house.voltage', 'report() includes every instance');
+  batteries.remove('house');
+  assert(!reporter.deltas.includes(house) && batteries.size === 0, 'removed instances leave the reporter');
+  batteries.terminate();
+}
+
+// ─── Contexts ─────────────────────────────────────────────────────────────────
+
+section('HandlerCollection – wildcard context keeps vessels apart');
+{
+  const app = newApp();
+  const a = 'vessels.urn:mrn:imo:mmsi:244123456';
+  const b = 'vessels.urn:mrn:imo:mmsi:244654321';
+  const targets = new HandlerCollection(app, 'test-plugin', 'sog', 'navigation.speedOverGround', { context: 'vessels.*' });
+  targets.subscribe();
+  app.setValue('navigation.speedOverGround', 4, { context: a });
+  app.setValue('navigation.speedOverGround', 7, { context: b });
+  assert(targets.size === 2, `one instance per vessel (${Object.keys(targets.instances).join(', ')})`);
+  assert(targets.get(a).value === 4 && targets.get(b).value === 7, 'keys are prefixed with the context of the delta');
+  assert(targets.get(a).context === a, 'instances subscribe to their concrete context');
+  assert(targets.get(a).handleDelta({ context: b, updates: [{ values: [{ path: 'navigation.speedOverGround', value: 9 }] }] }) === false,
+    'an instance ignores deltas of other vessels');
+  targets.terminate();
+}
+
+// ─── Meta, expiry and subscription ───────────────────────────────────────────
+
+section('HandlerCollection – meta-only deltas reach existing instances');
+{
+  const app = newApp();
+  const engines = new HandlerCollection(app, 'test-plugin', 'rpm', 'propulsion.*.revolutions');
+  engines.subscribe();
+  app.inject({ updates: [{ meta: [{ path: 'propulsion.port.revolutions', value: { units: 'Hz' } }] }] });
+  assert(engines.size === 0, 'meta alone does not create an instance');
+  app.setValue('propulsion.port.revolutions', 30);
+  app.inject({ updates: [{ meta: [{ path: 'propulsion.port.revolutions', value: { displayName: 'Port engine' } }] }] });
+  assert(engines.get('port').meta.displayName === 'Port engine', 'meta updates are forwarded');
+  engines.terminate();
+}
+
+section('HandlerCollection – instances expire without data');
+{
+  const app = newApp();
+  const removed = [];
+  const engines = new HandlerCollection(app, 'test-plugin', 'rpm', 'propulsion.*.revolutions', {
+    expireAfter: 10000, onRemove: key => removed.push(key),
+  });
+  engines.subscribe();
+  app.setValue('propulsion.port.revolutions', 30);
+  app.setValue('propulsion.starboard.revolutions', 31);
+  clock.advance(6000);
+  app.setValue('propulsion.port.revolutions', 32);
+  clock.advance(6000);
+  assert(engines.size === 1 && removed.join() === 'starboard', 'an instance without data for expireAfter is removed');
+  app.setValue('propulsion.starboard.revolutions', 33);
+  assert(engines.size === 2 && engines.get('starboard').value === 33, 'it comes back with the next value');
+  engines.terminate();
+}
+
+section('HandlerCollection – subscribe() twice and setSubscriptionPolicy()');
+{
+  const app = newApp();
+  const engines = new HandlerCollection(app, 'test-plugin', 'rpm', 'propulsion.*.revolutions');
+  engines.subscribe();
+  engines.subscribe();
+  assert(app.subscriptions.length === 1, 'a second subscribe() does not subscribe again');
+  let values = 0;
+  app.setValue('propulsion.port.revolutions', 30);
+  engines.get('port').on('value', () => values++);
+  app.setValue('propulsion.port.revolutions', 31);
+  assert(values === 1, 'each delta is handled once');
+  engines.setSubscriptionPolicy({ policy: 'fixed', period: 5000 });
+  const entry = app.subscriptions[0].subscription.subscribe[0];
+  assert(app.subscriptions.length === 1 && entry.policy === 'fixed' && entry.period === 5000, 'the policy change resubscribes the collection');
+  assert(engines.get('port').subscriptionPolicy.period === 5000 && engines.get('port').idlePeriod === 10000, 'instances take the new policy');
+  assert(!engines.get('port').subscribed, 'instances do not subscribe themselves');
+  engines.terminate();
+}
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+restoreApps();
+console.log(`\n=== Summary: ${passed} passed, ${failed} failed ===`);
+if (failed > 0) process.exit(1);
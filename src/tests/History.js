@@ -0,0 +1,115 @@
+/**
+ * Test script for History, the time-indexed ring buffer behind enableHistory().
+ * Run with: node src/tests/History.js
+ */
+
+const { History, Clock, ManualClock } = require('../../index');
+
+// ─── Harness ──────────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`  ✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+function assertApprox(actual, expected, tolerance, message) {
+  const ok = typeof actual === 'number' && Math.abs(actual - expected) <= tolerance;
+  assert(ok, `${message} (expected ≈${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n=== ${title} ===`);
+}
+
+const T0 = Date.parse('2026-06-01T12:00:00Z');
+const clock = new ManualClock(T0);
+Clock.use(clock);
+
+// ─── Ring buffer ──────────────────────────────────────────────────────────────
+
+section('History – ring buffer wraparound');
+{
+  const history = new History({ maxSamples: 4 });
+  assert(history.length === 0 && history.valueAt(T0) === null && history.stats() === null, 'an empty history has no values');
+  for (let i = 0; i < 10; i++) history.add(T0 + i * 1000, i);
+  assert(history.length === 4, 'holds at most maxSamples samples');
+  assert([0, 1, 2, 3].map(i => history.value(i)).join() === '6,7,8,9', 'keeps the newest samples, oldest first');
+  assert(history.time(0) === T0 + 6000 && history.time(3) === T0 + 9000, 'times follow the values across the wrap');
+  assertApprox(history.valueAt(T0 + 7500), 7.5, 1e-12, 'interpolation works across the physical end of the buffer');
+  assert(history.range().map(s => s.value).join() === '6,7,8,9', 'range() returns the samples in time order');
+  history.clear();
+  assert(history.length === 0 && history.add(T0, 1) && history.value(0) === 1, 'clear() empties the buffer for reuse');
+  let threw = false;
+  try { new History({ maxSamples: 0 }); } catch (err) { threw = true; }
+  assert(threw, 'maxSamples must be at least 1');
+}
+
+section('History – duration');
+{
+  const history = new History({ duration: 5000, maxSamples: 100 });
+  for (let i = 0; i <= 10; i++) history.add(T0 + i * 1000, i);
+  assert(history.length === 6 && history.time(0) === T0 + 5000, 'samples older than duration before the newest are dropped');
+  assert(history.valueAt(T0 + 4000) === null, 'there is no value before the oldest sample');
+}
+
+// ─── Queries ──────────────────────────────────────────────────────────────────
+
+section('History – time-window queries');
+{
+  const history = new History();
+  [3, 5, 4, 8, 6].forEach((v, i) => history.add(T0 + i * 1000, v));
+  assertApprox(history.valueAt(T0 + 2500), 6, 1e-12, 'valueAt() interpolates between neighbours');
+  assert(history.valueAt(T0 + 3000) === 8, 'valueAt() on a sample returns it');
+  assert(history.valueAt(T0 + 60000) === 6, 'after the newest sample the newest value is returned');
+  assert(history.range(T0 + 1000, T0 + 3000).map(s => s.value).join() === '5,4,8', 'range() includes both ends');
+  assert(history.range(T0 + 1500, T0 + 1600).length === 0, 'a window between samples is empty');
+  const stats = history.stats(T0 + 1000, T0 + 3000);
+  assert(stats.n === 3 && stats.min === 4 && stats.max === 8, 'stats() over a window');
+  assertApprox(stats.mean, 17 / 3, 1e-12, 'stats() mean');
+  clock.advanceTo(T0 + 4000);
+  assert(history.recent(2000).n === 3 && history.recent(2000).max === 8, 'recent() looks back from the clock');
+  assert(history.recent().n === 5, 'recent() without a window covers the whole history');
+}
+
+section('History – vectors and downsampling');
+{
+  const history = new History({ fields: 2 });
+  history.add(T0, [1, 0]);
+  history.add(T0 + 1000, [3, 2]);
+  const v = history.valueAt(T0 + 500);
+  assert(Array.isArray(v) && v[0] === 2 && v[1] === 1, 'vector fields are interpolated per field');
+  assert(history.stats().max.join() === '3,2', 'stats per field');
+  assert(!history.add(T0 + 2000, 5) && !history.add(T0 + 2000, [1, NaN]), 'samples with the wrong shape or non-finite values are refused');
+  const scalar = new History();
+  for (let i = 0; i < 100; i++) scalar.add(T0 + i * 100, i);
+  const columns = scalar.columns(10);
+  assert(columns.t.length === 10 && columns.value.length === 10, 'columns() downsamples to the requested points');
+  assertApprox(columns.value[0], 4.5, 1e-12, 'each point is the mean of its bucket');
+  assert(scalar.downsample(1000).length === 100, 'a short history is returned as is');
+}
+
+// ─── Order ────────────────────────────────────────────────────────────────────
+
+section('History – out-of-order timestamps');
+{
+  const history = new History();
+  assert(history.add(T0 + 2000, 2), 'a first sample is stored');
+  assert(!history.add(T0 + 1000, 1), 'an older sample is refused');
+  assert(history.add(T0 + 2000, 2.5), 'a sample with the same time is stored');
+  assert(history.add(T0 + 3000, 3), 'a newer sample is stored');
+  assert(history.range().map(s => s.value).join() === '2,2.5,3', 'the history stays in time order');
+  assert(!history.add(NaN, 1) && !history.add(T0 + 4000, Infinity), 'non-finite times and values are refused');
+}
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+console.log(`\n=== Summary: ${passed} passed, ${failed} failed ===`);
+if (failed > 0) process.exit(1);
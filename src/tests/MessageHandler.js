@@ -0,0 +1,579 @@
+/**
+ * Test script for MessageHandler, MessageSmoother and MockApp.
+ * Runs on a ManualClock, so nothing waits for real time.
+ * Run with: node src/tests/MessageHandler.js
+ */
+
+const {
+  MessageHandler, MessageSmoother, createSmoothedHandler, ExponentialSmoother, MockApp, Clock, ManualClock,
+  KalmanRateSmoother, HampelSmoother
+} = require('../../index');
+const { newApp, restoreApps } = require('./helpers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ─── Harness ──────────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`  ✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+function assertApprox(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  assert(diff <= tolerance, `${message} (expected ~${expected}, got ${typeof actual === 'number' ? actual.toFixed(6) : actual})`);
+}
+
+function section(title) {
+  console.log(`\n=== ${title} ===`);
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const T0 = Date.parse('2026-06-01T12:00:00Z');
+const clock = new ManualClock(T0);
+Clock.use(clock);
+
+async function main() {
+  section('MockApp – routing and data tree');
+  {
+    const app = newApp();
+    const received = [];
+    const unsubscribes = [];
+    app.subscriptionmanager.subscribe(
+      { context: 'vessels.self', excludeSelf: true, subscribe: [{ path: 'environment.wind.*' }] },
+      unsubscribes, () => {}, delta => received.push(delta)
+    );
+    app.setValue('environment.wind.speedApparent', 5);
+    app.setValue('navigation.speedOverGround', 3);
+    app.handleMessage('test-plugin', { updates: [{ values: [{ path: 'environment.wind.angleApparent', value: 1 }] }] });
+    app.setValue('environment.wind.speedApparent', 6, { context: 'vessels.urn:mrn:imo:mmsi:244123456' });
+    assert(received.length === 1, 'only matching paths in the self context are delivered, own deltas excluded');
+    assert(received[0].context === app.selfContext, 'delivered context is the concrete self context');
+    assert(received[0].updates[0].values.length === 1 && received[0].updates[0].$source === 'mock-provider', 'update carries $source and only matching values');
+    assert(app.getSelfPath('environment.wind.angleApparent').value === 1, 'own deltas are stored in the data tree');
+    assert(app.getPath('vessels.urn:mrn:imo:mmsi:244123456.environment.wind.speedApparent').value === 6, 'getPath() reads other contexts');
+    assert(app.getSelfPath('navigation.speedOverGround').timestamp === new Date(T0).toISOString(), 'missing timestamps come from the clock');
+    unsubscribes.forEach(f => f());
+    app.setValue('environment.wind.speedApparent', 7);
+    assert(received.length === 1 && app.subscriptions.length === 0, 'unsubscribe stops delivery');
+  }
+
+  section('MockApp – install() and uninstall()');
+  {
+    const previous = MessageHandler.metaOptions.fetch;
+    const first = new MockApp().install();
+    const second = new MockApp().install();
+    assert(MessageHandler.metaOptions.fetch === second.fetch, 'install() routes REST meta requests to the app');
+    second.install();
+    second.uninstall();
+    assert(MessageHandler.metaOptions.fetch === first.fetch, 'uninstall() restores the fetch from before the first install()');
+    first.uninstall();
+    first.uninstall();
+    assert(MessageHandler.metaOptions.fetch === previous, 'uninstalling in reverse order restores the original; a second uninstall() does nothing');
+  }
+
+  section('MessageHandler – value, frequency and staleness');
+  {
+    const app = newApp();
+    app.setMeta('navigation.speedOverGround', { units: 'm/s', displayName: 'SOG' });
+    const handler = new MessageHandler(app, 'test-plugin', 'sog');
+    handler.configure('navigation.speedOverGround');
+    handler.subscribe();
+    const events = [];
+    ['value', 'ready', 'stale'].forEach(e => handler.on(e, () => events.push(e)));
+    assert(!handler.ready, 'not ready before the first delta');
+    for (let i = 0; i < 5; i++) {
+      app.setValue('navigation.speedOverGround', 3 + i);
+      clock.advance(500);
+    }
+    assert(handler.ready && handler.value === 7, 'holds the last value');
+    assertApprox(handler.frequency, 2, 1e-9, 'frequency follows the delta interval');
+    assert(handler.meta.units === 'm/s' && handler.state.metaSource === 'provider', 'meta comes from the in-process provider');
+    assert(events.join(',') === 'value,ready,value,value,value,value', `events fire in order (${events.join(',')})`);
+    clock.advance(handler.idlePeriod);
+    assert(handler.stale && !handler.ready && events[events.length - 1] === 'stale', 'goes stale after idlePeriod without data');
+    app.setValue('navigation.speedOverGround', 4);
+    assert(!handler.stale && handler.ready, 'recovers on the next delta');
+    handler.terminate();
+    app.setValue('navigation.speedOverGround', 9);
+    assert(handler.value === 4, 'no values after terminate');
+  }
+
+  section('MessageHandler – terminate() after switching clocks');
+  {
+    const app = newApp();
+    const handler = new MessageHandler(app, 'test-plugin', 'sog');
+    handler.configure('navigation.speedOverGround');
+    handler.subscribe();
+    app.setValue('navigation.speedOverGround', 3);
+    const pending = clock.pending;
+    const other = new ManualClock(clock.now());
+    Clock.use(other);
+    other.setTimeout(() => {}, 60000);
+    handler.terminate();
+    Clock.use(clock);
+    assert(clock.pending === pending - 1 && other.pending === 1, 'the idle timer is cancelled on the clock that scheduled it');
+  }
+
+  section('MessageHandler – source timestamps from a lagging clock');
+  {
+    const app = newApp();
+    const smoother = createSmoothedHandler({
+      id: 'sog', path: 'navigation.speedOverGround', app, pluginId: 'test-plugin', subscribe: true, timeSource: 'source',
+      smootherOptions: { timeConstant: 1 },
+    });
+    const handler = smoother.handler;
+    const start = clock.now() - 60000; // the sensor clock is a minute behind, far more than idlePeriod
+    for (let i = 0; i < 5; i++) {
+      app.setValue('navigation.speedOverGround', 3, { timestamp: start + i * 250 });
+      clock.advance(500);
+    }
+    assertApprox(handler.frequency, 4, 1e-9, 'frequency follows the source timestamps');
+    assert(handler.ready && !handler.stale, 'lagging source timestamps do not make the handler stale');
+    assert(smoother.ready && !smoother.stale, 'nor the smoother');
+    clock.advance(handler.idlePeriod);
+    assert(handler.stale, 'staleness is measured from reception');
+    smoother.terminate();
+  }
+
+  section('MessageHandler – context and source');
+  {
+    const app = newApp();
+    const handler = new MessageHandler(app, 'test-plugin', 'target');
+    handler.configure('navigation.speedOverGround', { excludeSelf: true }, { context: 'vessels.urn:mrn:imo:mmsi:244123456' });
+    handler.subscribe();
+    app.setValue('navigation.speedOverGround', 1);
+    assert(!handler.ready, 'self deltas do not reach a handler for another vessel');
+    app.setValue('navigation.speedOverGround', 2, { context: 'vessels.urn:mrn:imo:mmsi:244123456', $source: 'ais.1' });
+    assert(handler.value === 2 && handler.currentSource === 'ais.1', 'value and source of the target are recorded');
+    handler.terminate();
+  }
+
+  section('MessageHandler – subscription policy and idlePeriod');
+  {
+    const app = newApp();
+    const handler = new MessageHandler(app, 'test-plugin', 'log');
+    handler.configure('navigation.log', { excludeSelf: true }, { policy: 'fixed', period: 60000 });
+    handler.subscribe();
+    const entry = () => app.subscriptions[app.subscriptions.length - 1].subscription.subscribe[0];
+    assert(entry().policy === 'fixed' && entry().period === 60000, 'policy and period are passed to the subscription manager');
+    assert(handler.idlePeriod === 120000, 'idlePeriod is widened to twice the period');
+    handler.setSubscriptionPolicy({ period: 1000 });
+    assert(app.subscriptions.length === 1 && entry().period === 1000, 'changing the period resubscribes');
+    assert(handler.idlePeriod === 4000, `a shorter period narrows idlePeriod back to the configured one (${handler.idlePeriod})`);
+    handler.idlePeriod = 1000;
+    assert(handler.idlePeriod === 2000, 'an assigned idlePeriod is still widened to twice the period');
+    handler.setSubscriptionPolicy({ policy: 'instant', minPeriod: 0 });
+    assert(handler.idlePeriod === 1000 && handler.meta.subscription.policy === 'instant', 'instant delivery keeps the assigned idlePeriod');
+    handler.terminate();
+  }
+
+  section('MessageHandler – wildcard contexts and meta of the delivering context');
+  {
+    const app = newApp();
+    const target = 'vessels.urn:mrn:imo:mmsi:244123456';
+    app.setMeta('navigation.speedOverGround', { units: 'm/s', displayName: 'Target SOG' }, target);
+    const handler = new MessageHandler(app, 'test-plugin', 'ais');
+    handler.configure('navigation.speedOverGround', { excludeSelf: true }, { context: 'vessels.*' });
+    handler.subscribe();
+    assert(handler.meta.units === undefined, 'no meta before a delta names the concrete context');
+    app.setValue('navigation.speedOverGround', 4, { context: target });
+    assert(handler.value === 4 && handler.deltaContext === target, 'deltas of any vessel match, deltaContext names it');
+    assert(handler.meta.displayName === 'Target SOG', 'meta is read from the delivering context');
+    assert(handler._matchesContext('vessels.urn:mrn:imo:mmsi:1') && !handler._matchesContext('atons.urn:mrn:imo:mmsi:1'), 'the wildcard matches one segment of the same root');
+    handler.context = 'vessels.self';
+    assert(handler.deltaContext === null && handler.subscribed, 'changing the context resubscribes and forgets the delta context');
+    app.setValue('navigation.speedOverGround', 5, { context: target });
+    app.setValue('navigation.speedOverGround', 6);
+    assert(handler.value === 6 && handler.deltaContext === app.selfContext, 'vessels.self takes only the own vessel');
+    handler.terminate();
+  }
+
+  section('MessageHandler.send – smoothed values of another vessel');
+  {
+    const app = newApp();
+    const target = 'vessels.urn:mrn:imo:mmsi:244123456';
+    const smoother = createSmoothedHandler({
+      id: 'aisSog', path: 'navigation.speedOverGround', app, pluginId: 'test-plugin', subscribe: true, context: 'vessels.*',
+    });
+    app.setValue('navigation.speedOverGround', 4, { context: target });
+    assert(smoother.context === 'vessels.*' && smoother.deltaContext === target, 'a smoother exposes the context and deltaContext of its handler');
+    MessageHandler.send(app, 'test-plugin', [smoother]);
+    const sent = app.messages[app.messages.length - 1].delta;
+    assert(sent.context === target && sent.updates[0].values[0].value === 4, 'a smoother of a wildcard context publishes to the target vessel, not vessels.self');
+    smoother.handler.terminate();
+    smoother.terminate();
+  }
+
+  section('MessageHandler – source switches');
+  {
+    const app = newApp();
+    const handler = new MessageHandler(app, 'test-plugin', 'depth');
+    handler.configure('environment.depth.belowTransducer');
+    handler.subscribe();
+    const switches = [];
+    handler.onSourceChange = (source, previous) => switches.push(`${previous}>${source}`);
+    handler.sourceHistoryLength = 2;
+    app.setValue('environment.depth.belowTransducer', 10, { $source: 'nmea0183.GP' });
+    app.setValue('environment.depth.belowTransducer', 10.1, { $source: 'nmea0183.GP' });
+    assert(handler.currentSource === 'nmea0183.GP' && switches.length === 0, 'the first source is recorded without a switch');
+    app.setValue('environment.depth.belowTransducer', 10.2, { $source: 'can0.35' });
+    clock.advance(1000);
+    app.setValue('environment.depth.belowTransducer', 10.3, { $source: 'nmea0183.GP' });
+    app.setValue('environment.depth.belowTransducer', 10.4, { $source: 'can0.35' });
+    assert(switches.join() === 'nmea0183.GP>can0.35,can0.35>nmea0183.GP,nmea0183.GP>can0.35', 'onSourceChange is called on every switch');
+    const changes = handler.state.sourceChanges;
+    assert(changes.length === 2 && changes[1].from === 'nmea0183.GP' && changes[1].timestamp === clock.now(), 'sourceChanges keeps the last sourceHistoryLength switches');
+    assert(MessageHandler._sourceRef({ source: { label: 'can0', src: '115' } }) === 'can0.115' &&
+      MessageHandler._sourceRef({ source: { label: 'gps', talker: 'GP' } }) === 'gps.GP', 'without $source the reference is derived from the source object');
+    handler.path = 'environment.depth.belowKeel';
+    assert(handler.currentSource === null && handler.sourceChanges.length === 0, 'a new path forgets the sources');
+    handler.terminate();
+  }
+
+  section('MessageHandler – validation');
+  {
+    const app = newApp();
+    const handler = new MessageHandler(app, 'test-plugin', 'depth');
+    handler.configure('environment.depth.belowTransducer', { excludeSelf: true }, { validation: { min: 0, max: 500 } });
+    handler.subscribe();
+    app.setValue('environment.depth.belowTransducer', 12);
+    app.setValue('environment.depth.belowTransducer', -1);
+    assert(handler.value === 12 && handler.state.rejectedCount === 1, 'values out of bounds are rejected and counted');
+    handler.terminate();
+  }
+
+  section('MessageHandler – validation rules and meta bounds');
+  {
+    const app = newApp();
+    app.setMeta('environment.depth.belowTransducer', {
+      units: 'm', zones: [{ upper: 2, state: 'alarm' }, { lower: 2, upper: 3, state: 'warn' }],
+    });
+    const handler = new MessageHandler(app, 'test-plugin', 'depth');
+    const validate = value => value !== 99 || 'sentinel value';
+    handler.configure('environment.depth.belowTransducer', { excludeSelf: true }, {
+      validation: { type: 'number', min: 0, maxRate: 5, useMetaBounds: true, validate },
+    });
+    handler.subscribe();
+    app.setValue('environment.depth.belowTransducer', 15);
+    assert(handler.value === 15 && handler.rejectedCount === 0, 'zones that do not cover the normal range do not bound the value');
+    app.setValue('environment.depth.belowTransducer', 'deep');
+    assert(handler.lastRejection.reason === 'expected number, got string', 'type is checked');
+    clock.advance(1000);
+    app.setValue('environment.depth.belowTransducer', 25);
+    assert(handler.value === 15 && handler.lastRejection.reason === 'rate of change above 5/s', 'maxRate is checked against the last accepted value');
+    clock.advance(20000);
+    app.setValue('environment.depth.belowTransducer', 99);
+    assert(handler.lastRejection.reason === 'sentinel value', 'the custom validator gives the reason');
+    app.inject({ updates: [{ meta: [{ path: 'environment.depth.belowTransducer', value: { displayScale: { lower: 0, upper: 18 } } }] }] });
+    clock.advance(1000);
+    app.setValue('environment.depth.belowTransducer', 19);
+    assert(handler.lastRejection.reason === 'above maximum 18', 'displayScale bounds the value with useMetaBounds');
+    const meta = handler.meta.validation;
+    assert(meta.min === 0 && meta.useMetaBounds === true && !('validate' in meta), 'function-valued rules are left out of meta');
+    assert(!JSON.stringify(handler.report()).includes('sentinel'), 'and out of serialized reports');
+    assert(handler.validation.validate === validate, 'the rules themselves keep the function');
+    handler.terminate();
+  }
+
+  section('MessageHandler – meta from REST and from deltas');
+  {
+    const app = newApp({ inProcessMeta: false });
+    app.setMeta('environment.water.temperature', { units: 'K', description: 'Water temperature' });
+    const handler = new MessageHandler(app, 'test-plugin', 'water');
+    handler.configure('environment.water.temperature');
+    handler.subscribe();
+    await flush();
+    assert(app.restRequests.length === 1 && app.restRequests[0].endsWith('/signalk/v1/api/vessels/self/environment/water/temperature/meta'), 'meta is requested from the REST endpoint');
+    assert(handler.meta.units === 'K' && handler.state.metaSource === 'rest', 'REST meta is applied');
+    app.inject({ updates: [{ meta: [{ path: 'environment.water.temperature', value: { displayName: 'Water' } }] }] });
+    assert(handler.meta.displayName === 'Water' && handler.meta.units === 'K', 'delta meta is merged');
+    assert(handler.formatted('C', 1) === null, 'no value, no text');
+    app.setValue('environment.water.temperature', 290.15);
+    assert(handler.formatted('C', 1) === '17.0°C', 'formatted() converts with meta units');
+    handler.terminate();
+  }
+
+  section('MessageHandler.sendMeta – sends SK meta only');
+  {
+    const app = newApp();
+    app.setMeta('environment.depth.belowKeel', { units: 'm', zones: [{ lower: 0, upper: 2, state: 'alarm' }] });
+    const depth = createSmoothedHandler({
+      id: 'depth', path: 'environment.depth.belowKeel', app, pluginId: 'test-plugin', validation: { min: 0 },
+    });
+    assert(depth.meta.validation && depth.meta.smoother && depth.meta.subscription, 'handler meta carries the library configuration');
+    MessageHandler.sendMeta(app, 'test-plugin', [{ path: 'performance.depth', meta: depth.meta }]);
+    const sent = app.messages[app.messages.length - 1].delta.updates[0].meta[0].value;
+    assert(Object.keys(sent).sort().join() === 'units,zones', `only SK meta fields are sent (${Object.keys(sent).join()})`);
+    MessageHandler.setMeta(app, 'test-plugin', 'performance.speed', { units: 'm/s', supportsPut: true });
+    assert(app.getMetadata(`${app.selfContext}.performance.speed`)?.supportsPut === true, 'other SK meta fields pass through');
+    depth.handler.terminate();
+  }
+
+  section('MessageHandler – REST meta retries on the clock');
+  {
+    const app = newApp({ inProcessMeta: false });
+    app.restStatus = 503;
+    const handler = new MessageHandler(app, 'test-plugin', 'retry');
+    handler.configure('navigation.headingTrue');
+    handler.subscribe();
+    await flush();
+    assert(app.restRequests.length === 1, 'first request fails');
+    app.restStatus = null;
+    app.setMeta('navigation.headingTrue', { units: 'rad' });
+    clock.advance(MessageHandler.metaOptions.retryDelay);
+    await flush();
+    assert(app.restRequests.length === 2 && handler.meta.units === 'rad', 'retried after retryDelay on the clock');
+    handler.terminate();
+  }
+
+  section('MessageSmoother / createSmoothedHandler');
+  {
+    const app = newApp();
+    const smoother = createSmoothedHandler({
+      id: 'stw', path: 'navigation.speedThroughWater', app, pluginId: 'test-plugin', subscribe: true,
+      SmootherClass: ExponentialSmoother, smootherOptions: { timeConstant: 1 },
+    });
+    assert(smoother instanceof MessageSmoother, 'factory returns a MessageSmoother');
+    app.setValue('navigation.speedThroughWater', 0);
+    clock.advance(1000);
+    app.setValue('navigation.speedThroughWater', 10);
+    assertApprox(smoother.value, 10 * (1 - Math.exp(-1)), 1e-9, 'smoothing uses clock time');
+    assert(smoother.ready && smoother.report().path === 'navigation.speedThroughWater', 'ready, with path in report()');
+    clock.advance(smoother.idlePeriod);
+    assert(smoother.stale && !smoother.ready, 'smoother goes stale on its idle timer');
+    smoother.terminate();
+  }
+
+  section('MessageHandler / MessageSmoother – valueIn() and formatted()');
+  {
+    const app = newApp();
+    app.setMeta('navigation.speedOverGround', {
+      units: 'm/s', displayUnits: { targetUnit: 'kn', formula: 'value * 1.94384', symbol: 'kn', displayFormat: '0.0' },
+    });
+    app.setMeta('navigation.attitude', { units: 'rad' });
+    const sog = createSmoothedHandler({
+      id: 'sog', path: 'navigation.speedOverGround', app, pluginId: 'test-plugin', subscribe: true,
+      SmootherClass: ExponentialSmoother, smootherOptions: { timeConstant: 1 },
+    });
+    const attitude = new MessageHandler(app, 'test-plugin', 'attitude');
+    attitude.configure('navigation.attitude');
+    attitude.subscribe();
+    assert(sog.handler.valueIn('kn') === null && sog.valueIn('kn') === null, 'valueIn() is null without a value');
+    assert(sog.handler.formatted() === null && sog.formatted('kn') === null, 'formatted() is null without a value');
+    app.setValue('navigation.speedOverGround', 5);
+    assertApprox(sog.handler.valueIn(), 9.7192, 1e-9, 'without a unit the server display unit is used');
+    assert(sog.formatted() === '9.7 kn', 'with its symbol and displayFormat');
+    assertApprox(sog.valueIn('km/h'), 18, 1e-9, 'an explicit unit converts from meta.units');
+    assert(sog.valueIn('bar') === null && sog.formatted('bar') === null, 'an unknown unit gives null');
+    app.setValue('navigation.attitude', { roll: Math.PI / 18, pitch: 0, yaw: Math.PI });
+    assert(attitude.formatted('deg', 0).roll === '10°' && attitude.valueIn('deg').yaw === 180, 'object values convert per member');
+    const report = sog.report({ displayUnits: true });
+    assert(report.display.formatted === '9.7 kn', 'report({ displayUnits: true }) includes the display value');
+    sog.terminate();
+    attitude.terminate();
+  }
+
+  section('MessageHandler / MessageSmoother – history');
+  {
+    const app = newApp();
+    const sog = createSmoothedHandler({
+      id: 'sog', path: 'navigation.speedOverGround', app, pluginId: 'test-plugin', subscribe: true,
+      SmootherClass: ExponentialSmoother, smootherOptions: { timeConstant: 1 },
+    });
+    sog.handler.enableHistory({ duration: 60000, reportPoints: 10 });
+    sog.enableHistory({ maxSamples: 100 });
+    const start = clock.now();
+    for (let i = 0; i < 5; i++) {
+      app.setValue('navigation.speedOverGround', i);
+      clock.advance(1000);
+    }
+    assert(sog.handler.history.length === 5 && sog.history.length === 5, 'handler and smoother record every value');
+    assert(sog.handler.valueAt(start + 2500) === 2.5, 'valueAt() interpolates handler values');
+    assert(sog.handler.range(start + 1000, start + 2000).map(s => s.value).join() === '1,2', 'range() by time');
+    assert(sog.handler.min(3000) === 2 && sog.handler.max(3000) === 4 && sog.handler.mean() === 2, 'min(), max() and mean() over a window');
+    assert(sog.valueAt(start + 4000) === sog.value, 'the smoother records its smoothed values');
+    assert(sog.handler.report().history.value.join() === '0,1,2,3,4', 'report() includes the history with reportPoints');
+    sog.terminate();
+
+    const handler = new MessageHandler(app, 'test-plugin', 'log');
+    handler.configure('navigation.log');
+    handler.timeSource = 'source';
+    handler.subscribe();
+    handler.enableHistory();
+    const t = clock.now() - 5000;
+    app.setValue('navigation.log', 100, { timestamp: t + 2000 });
+    app.setValue('navigation.log', 99, { timestamp: t + 1000 });
+    app.setValue('navigation.log', 102, { timestamp: t + 3000 });
+    assert(handler.history.range().map(s => `${s.t - t}:${s.value}`).join() === '2000:100,3000:102',
+      `an out-of-order source time is not recorded under the newer time (${handler.history.range().map(s => s.t - t).join()})`);
+    handler.terminate();
+  }
+
+  section('MessageSmoother – object values');
+  {
+    const app = newApp();
+    const smoother = createSmoothedHandler({
+      id: 'attitude', path: 'navigation.attitude', app, pluginId: 'test-plugin', subscribe: true,
+      smootherOptions: { timeConstant: 1 },
+    });
+    app.setValue('navigation.attitude', { roll: 0.1, pitch: 0, yaw: 3.1 });
+    clock.advance(1000);
+    app.setValue('navigation.attitude', { roll: 0.1, pitch: 0, yaw: -3.1 });
+    assert(Math.abs(Math.abs(smoother.value.yaw) - Math.PI) < 0.1, 'yaw is smoothed across ±π');
+    assertApprox(smoother.value.roll, 0.1, 1e-9, 'roll is smoothed per member');
+    smoother.terminate();
+  }
+
+  section('MessageSmoother – nested object values');
+  {
+    const app = newApp();
+    app.setMeta('environment.current', { properties: { drift: { units: 'm/s' }, setTrue: { units: 'rad' } } });
+    const current = createSmoothedHandler({
+      id: 'current', path: 'environment.current', app, pluginId: 'test-plugin', subscribe: true,
+      SmootherClass: ExponentialSmoother, smootherOptions: { timeConstant: 1 },
+    });
+    app.setValue('environment.current', { drift: 1, setTrue: 2 * Math.PI - 0.1, label: 'tidal' });
+    clock.advance(1000);
+    app.setValue('environment.current', { drift: 2, setTrue: 0.1, label: 'tidal' });
+    assert(Object.keys(current.value).join() === 'drift,setTrue', 'non-numeric members are left out');
+    assert(current.value.setTrue > 2 * Math.PI - 0.1 || current.value.setTrue < 0.1, `members with units 'rad' in meta.properties are angles (${current.value.setTrue.toFixed(3)})`);
+    assertApprox(current.value.drift, 1 + (1 - Math.exp(-1)), 1e-9, 'other members are smoothed linearly');
+    current.terminate();
+
+    const nested = createSmoothedHandler({
+      id: 'nested', path: 'navigation.gnss.offset', app, pluginId: 'test-plugin', subscribe: true,
+      SmootherClass: ExponentialSmoother, smootherOptions: { timeConstant: 1 },
+    });
+    nested.angularKeys = ['antenna.bearing'];
+    app.setValue('navigation.gnss.offset', { antenna: { x: 1, y: 2, bearing: -Math.PI + 0.05 } });
+    clock.advance(1000);
+    app.setValue('navigation.gnss.offset', { antenna: { x: 3, y: 2, bearing: Math.PI - 0.05 } });
+    const value = nested.value;
+    assert(typeof value.antenna === 'object' && value.antenna.y === 2, 'the result keeps the nested shape');
+    assert(Math.abs(Math.abs(value.antenna.bearing) - Math.PI) < 0.06, 'angularKeys selects angles by dotted key');
+    assert(typeof nested.variance.antenna.x === 'number', 'variance has the same shape');
+    const x = value.antenna.x;
+    clock.advance(1000);
+    app.setValue('navigation.gnss.offset', { antenna: { x: 3, y: 2, bearing: Math.PI - 0.05, z: 0.5 } });
+    assert(nested.value.antenna.z === 0.5, 'a new member starts with its own value');
+    assert(nested.value.antenna.x > x && nested.value.antenna.x < 3, 'existing members keep their state when keys change');
+    nested.terminate();
+  }
+
+  section('MessageSmoother – HampelSmoother rejects depth spikes');
+  {
+    const app = newApp();
+    const depth = createSmoothedHandler({
+      id: 'depth', path: 'environment.depth.belowTransducer', app, pluginId: 'test-plugin', subscribe: true,
+      SmootherClass: HampelSmoother,
+    });
+    assert(depth.idlePeriod === 15000, 'idlePeriod follows the default time span of the Hampel window');
+    for (let i = 0; i < 20; i++) {
+      clock.advance(250);
+      app.setValue('environment.depth.belowTransducer', i === 12 ? 0.3 : 12 + (i % 3) * 0.1);
+    }
+    assertApprox(depth.value, 12.1, 0.02, 'a single spike does not pull the depth');
+    assert(depth.state.outliers === 1, 'state reports the outlier count');
+    depth.terminate();
+  }
+
+  section('MessageSmoother – KalmanRateSmoother estimates rates');
+  {
+    const app = newApp();
+    const sog = createSmoothedHandler({
+      id: 'sog', path: 'navigation.speedOverGround', app, pluginId: 'test-plugin', subscribe: true,
+      SmootherClass: KalmanRateSmoother, smootherOptions: { processNoise: 0.01, measurementVariance: 0.01 },
+    });
+    const attitude = createSmoothedHandler({
+      id: 'attitude', path: 'navigation.attitude', app, pluginId: 'test-plugin', subscribe: true,
+      SmootherClass: KalmanRateSmoother, smootherOptions: { processNoise: 0.001, measurementVariance: 0.001 },
+    });
+    for (let i = 0; i < 20; i++) {
+      clock.advance(1000);
+      app.setValue('navigation.speedOverGround', 3 + 0.1 * i);
+      app.setValue('navigation.attitude', { roll: 0.1, pitch: 0, yaw: 3.0 + 0.02 * i });
+    }
+    assertApprox(sog.rate, 0.1, 0.005, 'scalar rate is the acceleration per second');
+    assert(sog.report().rate === sog.rate, 'report() includes the rate');
+    assertApprox(attitude.rate.yaw, 0.02, 0.002, 'angular members give their rate in rad/s, across ±π');
+    assertApprox(attitude.rate.roll, 0, 1e-6, 'every member has a rate');
+    sog.terminate();
+    attitude.terminate();
+  }
+
+  section('MessageHandler.send() – static one-off output');
+  {
+    const app = newApp();
+    const handler = new MessageHandler(app, 'test-plugin', 'out');
+    handler.configure('performance.velocityMadeGood');
+    handler.value = 2.5;
+    MessageHandler.send(app, 'test-plugin', [handler]);
+    const sent = app.messages[app.messages.length - 1];
+    assert(sent.id === 'test-plugin' && sent.delta.updates[0].values[0].value === 2.5, 'send() reaches handleMessage');
+    assert(app.getSelfPath('performance.velocityMadeGood').value === 2.5, 'sent value lands in the data tree');
+  }
+
+  section('MessageSmoother – save and restore across a restart');
+  {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signalkutilities-'));
+    const start = (app, id, smoothedPath) => createSmoothedHandler({
+      id, path: smoothedPath, app, pluginId: 'test-plugin', subscribe: true, smootherOptions: { timeConstant: 2 },
+    });
+    let app = newApp({ dataDir });
+    let sog = start(app, 'sog', 'navigation.speedOverGround');
+    let attitude = start(app, 'attitude', 'navigation.attitude');
+    for (let i = 0; i < 10; i++) {
+      clock.advance(500);
+      app.setValue('navigation.speedOverGround', 4 + (i % 3));
+      app.setValue('navigation.attitude', { roll: 0.1, pitch: 0, yaw: i % 2 ? 3.1 : -3.1 });
+    }
+    assert(sog.save() && attitude.save(), 'save() writes to the plugin data directory');
+    assert(fs.existsSync(path.join(dataDir, 'sog.smoothed.json')), 'one file per smoother id');
+    const expected = { sog: sog.value, yaw: attitude.value.yaw };
+    sog.terminate();
+    attitude.terminate();
+
+    clock.advance(2000);
+    app = newApp({ dataDir });
+    sog = start(app, 'sog', 'navigation.speedOverGround');
+    attitude = start(app, 'attitude', 'navigation.attitude');
+    assert(sog.restore() && sog.ready && sog.value === expected.sog, 'scalar state is restored and ready');
+    assert(attitude.restore() && Math.abs(attitude.value.yaw - expected.yaw) < 1e-12, 'object state with angular members is restored');
+    app.setValue('navigation.attitude', { roll: 0.1, pitch: 0, yaw: 3.1 });
+    assert(Math.abs(Math.abs(attitude.value.yaw) - Math.PI) < 0.1 && attitude.n === 11, 'sampling continues from the restored state');
+    assert(!sog.restore(), 'restore() is ignored once the smoother has state');
+    sog.terminate();
+    attitude.terminate();
+
+    clock.advance(6000);
+    app = newApp({ dataDir });
+    sog = start(app, 'sog', 'navigation.speedOverGround');
+    assert(!sog.restore() && sog.n === 0, 'state older than maxAge is discarded');
+    assert(sog.restore(dataDir, { maxAge: Infinity }), 'maxAge can be raised');
+    sog.terminate();
+
+    const other = createSmoothedHandler({ id: 'sog', path: 'navigation.speedThroughWater', app, pluginId: 'test-plugin' });
+    assert(!other.restore(dataDir, { maxAge: Infinity }), 'state of another path is discarded');
+    fs.writeFileSync(path.join(dataDir, 'sog.smoothed.json'), '{"broken');
+    assert(!other.restore(dataDir) && app.debugMessages.some(m => m.includes('restoring state failed')), 'unreadable state is logged, not thrown');
+    other.terminate();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  restoreApps();
+  console.log(`\n=== Summary: ${passed} passed, ${failed} failed ===`);
+  if (failed > 0) process.exit(1);
+}
+
+main();
@@ -0,0 +1,364 @@
+/**
+ * Test script for Polar, PolarSmoother, createSmoothedPolar and SmoothedAngle.
+ * Uses MockApp as Signal K server and a ManualClock, so nothing waits for real time.
+ * Run with: node src/tests/Polar.js
+ */
+
+const {
+  Polar, PolarSmoother, createSmoothedPolar, SmoothedAngle, MovingAverageSmoother, HampelSmoother, KalmanRateSmoother, Clock, ManualClock,
+  DeltaRecorder, warmStart, RecordingHistoryProvider
+} = require('../../index');
+const { newApp, restoreApps } = require('./helpers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ─── Harness ──────────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`  ✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+function assertApprox(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  assert(diff <= tolerance, `${message} (expected ~${expected}, got ${typeof actual === 'number' ? actual.toFixed(6) : actual})`);
+}
+
+function section(title) {
+  console.log(`\n=== ${title} ===`);
+}
+
+const clock = new ManualClock(Date.parse('2026-06-01T12:00:00Z'));
+Clock.use(clock);
+
+function sendWind(app, speed, angle) {
+  app.inject({
+    updates: [{
+      values: [
+        { path: 'environment.wind.speedApparent', value: speed },
+        { path: 'environment.wind.angleApparent', value: angle },
+      ],
+    }],
+  });
+}
+
+// ─── Polar ────────────────────────────────────────────────────────────────────
+
+section('Polar – combines magnitude and angle');
+{
+  const app = newApp();
+  const polar = new Polar(app, 'test-plugin', 'apparentWind');
+  polar.configureMagnitude('environment.wind.speedApparent');
+  polar.configureAngle('environment.wind.angleApparent');
+  polar.subscribe();
+  let ready = 0;
+  polar.on('ready', () => ready++);
+  app.setValue('environment.wind.speedApparent', 10);
+  assert(!polar.ready, 'not ready with only a magnitude');
+  app.setValue('environment.wind.angleApparent', Math.PI / 2);
+  assert(polar.ready && ready === 1, 'ready once both handlers have a value');
+  assertApprox(polar.x, 0, 1e-9, 'x = magnitude · cos(angle)');
+  assertApprox(polar.y, 10, 1e-9, 'y = magnitude · sin(angle)');
+  clock.advance(polar.magnitudeHandler.idlePeriod);
+  assert(polar.stale && !polar.ready, 'stale when the handlers stop receiving');
+  polar.terminate();
+}
+
+section('Polar – context of another vessel');
+{
+  const app = newApp();
+  const target = 'vessels.urn:mrn:imo:mmsi:244123456';
+  const polar = new Polar(app, 'test-plugin', 'targetCourse');
+  polar.configureMagnitude('navigation.speedOverGround', { excludeSelf: true }, { context: target });
+  polar.configureAngle('navigation.courseOverGroundTrue', { excludeSelf: true }, { context: target });
+  polar.subscribe();
+  app.inject({ updates: [{ values: [{ path: 'navigation.speedOverGround', value: 3 }, { path: 'navigation.courseOverGroundTrue', value: 0 }] }] });
+  assert(!polar.ready, 'own vessel data does not reach a polar of another vessel');
+  app.inject({ context: target, updates: [{ values: [{ path: 'navigation.speedOverGround', value: 4 }, { path: 'navigation.courseOverGroundTrue', value: Math.PI }] }] });
+  assert(polar.ready && polar.context === target, 'the target data makes it ready');
+  assertApprox(polar.x, -4, 1e-9, 'values come from the target');
+  polar.context = 'vessels.self';
+  assert(polar.magnitudeHandler.context === 'vessels.self' && polar.angleHandler.context === 'vessels.self', 'setting the context applies to both handlers');
+  polar.terminate();
+}
+
+section('Polar – fallback angle below the magnitude threshold');
+{
+  const app = newApp();
+  const polar = new Polar(app, 'test-plugin', 'current');
+  polar.configureMagnitude('environment.current.drift');
+  polar.configureAngle('environment.current.setTrue');
+  polar.configureFallbackAngle(0.1);
+  polar.subscribe();
+  app.setValue('environment.current.drift', 0.05);
+  assert(polar.ready && polar.angleFallbackActive, 'ready on magnitude alone when below the threshold');
+  polar.terminate();
+}
+
+section('Polar – vector arithmetic');
+{
+  const app = newApp();
+  const a = new Polar(app, 'test-plugin', 'a');
+  const b = new Polar(app, 'test-plugin', 'b');
+  a.setPolarValue({ magnitude: 5, angle: 0 });
+  b.setPolarValue({ magnitude: 5, angle: Math.PI / 2 });
+  a.add(b);
+  assertApprox(a.magnitude, Math.SQRT2 * 5, 1e-9, 'add() sums the vectors');
+  assertApprox(a.angle, Math.PI / 4, 1e-9, 'angle of the sum');
+  a.rotate(Math.PI / 4);
+  assertApprox(a.angle, Math.PI / 2, 1e-9, 'rotate() turns the vector');
+  a.substract(b);
+  assertApprox(a.y, Math.SQRT2 * 5 - 5, 1e-9, 'substract() subtracts the vectors');
+}
+
+section('Polar.send – publishes magnitude and angle');
+{
+  const app = newApp();
+  const polar = new Polar(app, 'test-plugin', 'trueWind');
+  polar.configureMagnitude('environment.wind.speedTrue');
+  polar.configureAngle('environment.wind.angleTrueWater');
+  polar.setPolarValue({ magnitude: 8, angle: 1 });
+  Polar.send(app, 'test-plugin', [polar]);
+  assertApprox(app.getSelfPath('environment.wind.speedTrue').value, 8, 1e-9, 'magnitude is published');
+  assertApprox(app.getSelfPath('environment.wind.angleTrueWater').value, 1, 1e-9, 'angle is published');
+}
+
+section('Polar.send – a wildcard context publishes to the delivering vessel');
+{
+  const app = newApp();
+  const target = 'vessels.urn:mrn:imo:mmsi:244123456';
+  const polar = new Polar(app, 'test-plugin', 'aisCourse');
+  polar.configureMagnitude('navigation.speedOverGround', { excludeSelf: true }, { context: 'vessels.*' });
+  polar.configureAngle('navigation.courseOverGroundTrue', { excludeSelf: true }, { context: 'vessels.*' });
+  polar.subscribe();
+  app.inject({ context: target, updates: [{ values: [{ path: 'navigation.speedOverGround', value: 4 }, { path: 'navigation.courseOverGroundTrue', value: 1 }] }] });
+  assert(polar.ready && polar.deltaContext === target, 'deltaContext names the vessel of the last delta');
+  Polar.send(app, 'test-plugin', [polar]);
+  const sent = app.messages[app.messages.length - 1].delta;
+  assert(sent.context === target, `sent to the target, not to 'vessels.*' (${sent.context})`);
+  assert(sent.updates[0].values.map(v => v.value).join() === '4,1', 'magnitude and angle are in the delta');
+  polar.terminate();
+}
+
+// ─── createSmoothedPolar ──────────────────────────────────────────────────────
+
+section('createSmoothedPolar – smooths in cartesian space');
+{
+  const app = newApp();
+  const smoother = createSmoothedPolar({
+    id: 'apparentWind', pathMagnitude: 'environment.wind.speedApparent', pathAngle: 'environment.wind.angleApparent',
+    app, pluginId: 'test-plugin', smootherOptions: { timeConstant: 1 }, angleRange: '-piToPi',
+  });
+  assert(smoother instanceof PolarSmoother, 'factory returns a PolarSmoother');
+  sendWind(app, 10, Math.PI - 0.05);
+  clock.advance(1000);
+  sendWind(app, 10, -Math.PI + 0.05);
+  assert(smoother.ready, 'ready after the first complete sample');
+  assert(Math.abs(Math.abs(smoother.angle) - Math.PI) < 0.06, 'angle averages across ±π instead of through 0');
+  assert(smoother.magnitude > 9, 'magnitude is not cancelled by the wraparound');
+  const report = smoother.report();
+  assert(report.id === smoother.id && report.state.ready, 'report() has id and state');
+  clock.advance(smoother.idlePeriod);
+  assert(!smoother.ready, 'not ready once stale');
+  smoother.terminate();
+}
+
+section('createSmoothedPolar – HampelSmoother rejects a wind spike');
+{
+  const app = newApp();
+  const smoother = createSmoothedPolar({
+    id: 'apparentWind', pathMagnitude: 'environment.wind.speedApparent', pathAngle: 'environment.wind.angleApparent',
+    app, pluginId: 'test-plugin', SmootherClass: HampelSmoother, smootherOptions: { timeSpan: 4 },
+  });
+  assert(smoother.idlePeriod === 12000, 'idlePeriod follows the Hampel time span');
+  for (let i = 0; i < 16; i++) {
+    clock.advance(250);
+    sendWind(app, i === 10 ? 45 : 10 + (i % 3) * 0.2, 0.5 + (i % 4) * 0.02);
+  }
+  assert(Math.abs(smoother.magnitude - 10.2) < 0.2, `the spike does not pull the wind speed (${smoother.magnitude.toFixed(2)})`);
+  assert(smoother.state.outliers.x > 0 && smoother.state.outliers.y > 0, 'state reports outliers per component');
+  smoother.terminate();
+}
+
+section('createSmoothedPolar – KalmanRateSmoother gives veer and acceleration');
+{
+  const app = newApp();
+  const smoother = createSmoothedPolar({
+    id: 'apparentWind', pathMagnitude: 'environment.wind.speedApparent', pathAngle: 'environment.wind.angleApparent',
+    app, pluginId: 'test-plugin', SmootherClass: KalmanRateSmoother, smootherOptions: { processNoise: 0.01, measurementVariance: 0.01 },
+  });
+  for (let i = 1; i <= 30; i++) {
+    clock.advance(500);
+    sendWind(app, 8 + 0.2 * i * 0.5, 0.4 + 0.02 * i * 0.5);
+  }
+  assertApprox(smoother.angleRate, 0.02, 0.002, 'angleRate is the veer in rad/s');
+  assertApprox(smoother.magnitudeRate, 0.2, 0.02, 'magnitudeRate is the acceleration in m/s²');
+  const report = smoother.report();
+  assert(report.angleRate === smoother.angleRate && report.magnitudeRate === smoother.magnitudeRate, 'report() includes the rates');
+  smoother.terminate();
+}
+
+section('PolarSmoother / SmoothedAngle – valueIn() and formatted()');
+{
+  const app = newApp();
+  app.setMeta('environment.wind.speedApparent', { units: 'm/s' });
+  app.setMeta('environment.wind.angleApparent', { units: 'rad' });
+  app.setMeta('navigation.headingTrue', { units: 'rad', displayUnits: { targetUnit: 'deg', formula: 'value * 180 / pi', symbol: '°', displayFormat: '0' } });
+  const wind = createSmoothedPolar({
+    id: 'apparentWind', pathMagnitude: 'environment.wind.speedApparent', pathAngle: 'environment.wind.angleApparent',
+    app, pluginId: 'test-plugin', smootherOptions: { timeConstant: 1 }, angleRange: '-piToPi',
+  });
+  const heading = new SmoothedAngle(app, 'test-plugin', 'heading', 'navigation.headingTrue', { smootherOptions: { timeConstant: 1 } });
+  assert(wind.valueIn('kn', 'deg') === null && wind.formatted('kn', 'deg') === null, 'a polar that is not ready gives null');
+  assert(heading.valueIn('deg') === null && heading.formatted() === null, 'an angle that is not ready gives null');
+  sendWind(app, 10, -Math.PI / 2);
+  app.setValue('navigation.headingTrue', Math.PI);
+  const value = wind.valueIn('kn', 'deg');
+  assertApprox(value.magnitude, 19.43844, 1e-6, 'magnitude in its own unit');
+  assertApprox(value.angle, -90, 1e-6, 'angle in its own unit, sign kept');
+  assert(wind.formatted('km/h', 'deg', 0).angle === '-90°' && wind.formatted('km/h', 'deg', 0).magnitude === '36 km/h', 'formatted() per member');
+  assert(wind.valueIn('kn', 'C').angle === null, 'an unknown angle unit gives null for that member only');
+  assert(heading.formatted() === '180°', 'SmoothedAngle uses the server display unit');
+  wind.terminate();
+  heading.terminate();
+}
+
+// ─── SmoothedAngle ────────────────────────────────────────────────────────────
+
+section('SmoothedAngle – heading across north');
+{
+  const app = newApp();
+  const heading = new SmoothedAngle(app, 'test-plugin', 'heading', 'navigation.headingTrue', { smootherOptions: { timeConstant: 1 } });
+  app.setValue('navigation.headingTrue', 2 * Math.PI - 0.1);
+  clock.advance(1000);
+  app.setValue('navigation.headingTrue', 0.1);
+  const value = heading.value;
+  assert(value > 2 * Math.PI - 0.1 || value < 0.1, `smoothed heading stays near north (${value.toFixed(3)})`);
+  assert(value >= 0 && value < 2 * Math.PI, 'value is in the 0 to 2π range');
+  assert(heading.handler.path === 'navigation.headingTrue', 'handler exposes the path');
+  assert(heading.rate === null && !('rate' in heading.report()), 'no rate without a rate-estimating smoother');
+  heading.terminate();
+}
+
+section('SmoothedAngle – turn rate across north');
+{
+  const app = newApp();
+  const heading = new SmoothedAngle(app, 'test-plugin', 'heading', 'navigation.headingTrue', {
+    SmootherClass: KalmanRateSmoother, smootherOptions: { processNoise: 0.001, measurementVariance: 0.001 },
+  });
+  const turnRate = 3 * Math.PI / 180; // 3°/s to port
+  for (let i = 0; i <= 20; i++) {
+    app.setValue('navigation.headingTrue', (0.3 - turnRate * i + 2 * Math.PI) % (2 * Math.PI));
+    clock.advance(1000);
+  }
+  assertApprox(heading.rate, -turnRate, 0.002, 'rate is the turn rate in rad/s, negative to port');
+  assert(heading.report().rate === heading.rate, 'report() includes the rate');
+  heading.terminate();
+}
+
+section('PolarSmoother / SmoothedAngle – save and restore');
+{
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signalkutilities-'));
+  const start = app => ({
+    wind: createSmoothedPolar({
+      id: 'apparentWind', pathMagnitude: 'environment.wind.speedApparent', pathAngle: 'environment.wind.angleApparent',
+      app, pluginId: 'test-plugin', smootherOptions: { timeSpan: 2 }, SmootherClass: MovingAverageSmoother,
+    }),
+    heading: new SmoothedAngle(app, 'test-plugin', 'heading', 'navigation.headingTrue', { smootherOptions: { timeConstant: 2 } }),
+  });
+  let app = newApp({ dataDir });
+  let { wind, heading } = start(app);
+  for (let i = 0; i < 8; i++) {
+    clock.advance(400);
+    sendWind(app, 8 + (i % 2), 0.5 + 0.1 * (i % 3));
+    app.setValue('navigation.headingTrue', i % 2 ? 0.05 : 2 * Math.PI - 0.05);
+  }
+  assert(wind.save() && heading.save(), 'save() writes the polar and angle state');
+  const expected = { x: wind.x, y: wind.y, heading: heading.value };
+  wind.terminate();
+  heading.terminate();
+
+  clock.advance(1000);
+  app = newApp({ dataDir });
+  ({ wind, heading } = start(app));
+  assert(wind.restore() && wind.ready && wind.x === expected.x && wind.y === expected.y, 'polar state is restored');
+  assert(heading.restore() && Math.abs(heading.value - expected.heading) < 1e-12, 'SmoothedAngle state is restored');
+  sendWind(app, 8, 0.5);
+  assert(wind.n === 16 && wind.xSmoother.toJSON().values.length > 1, 'the moving average window continues after restore');
+  wind.terminate();
+  heading.terminate();
+
+  clock.advance(10000);
+  app = newApp({ dataDir });
+  ({ wind, heading } = start(app));
+  assert(!wind.restore() && !heading.restore(), 'state older than three time constants is discarded');
+  wind.terminate();
+  heading.terminate();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+// ─── warmStart ────────────────────────────────────────────────────────────────
+
+async function warmStartTests() {
+  section('PolarSmoother.prime – merges magnitude and angle series');
+  {
+    const app = newApp();
+    const smoother = createSmoothedPolar({
+      id: 'current', pathMagnitude: 'environment.current.drift', pathAngle: 'environment.current.setTrue',
+      app, pluginId: 'test-plugin', smootherOptions: { timeConstant: 1 }, subscribe: false,
+    });
+    const t = clock.now();
+    const n = smoother.prime({
+      magnitude: [{ t: t - 3000, value: 2 }, { t: t - 1000, value: 0.05 }],
+      angle: [{ t: t - 4000, value: 1 }, { t: t - 2000, value: Math.PI / 2 }],
+    });
+    assert(n === 3, `samples start once both series have a value (${n})`);
+    assert(smoother.ready && smoother.timestamp === t - 1000, 'ready, with the time of the last sample');
+    assert(smoother.prime({ angle: [{ t, value: 0 }] }) === 0, 'prime() is ignored once the smoother has samples');
+    smoother.terminate();
+  }
+
+  section('warmStart – polar and SmoothedAngle from recorded history');
+  {
+    const recordingApp = newApp();
+    const recorder = new DeltaRecorder(recordingApp, 'test-plugin')
+      .addPath('environment.wind.*').addPath('navigation.headingTrue').start();
+    for (let i = 0; i < 30; i++) {
+      clock.advance(1000);
+      sendWind(recordingApp, 10, i % 2 ? Math.PI - 0.1 : -Math.PI + 0.1);
+      recordingApp.setValue('navigation.headingTrue', i % 2 ? 0.1 : 2 * Math.PI - 0.1);
+    }
+    recorder.stop();
+
+    const app = newApp();
+    const wind = createSmoothedPolar({
+      id: 'apparentWind', pathMagnitude: 'environment.wind.speedApparent', pathAngle: 'environment.wind.angleApparent',
+      app, pluginId: 'test-plugin', smootherOptions: { timeConstant: 5 }, subscribe: false,
+    });
+    const heading = new SmoothedAngle(app, 'test-plugin', 'heading', 'navigation.headingTrue', { smootherOptions: { timeConstant: 2 } });
+    const provider = new RecordingHistoryProvider(recorder.records, { selfContext: app.selfContext });
+    const counts = await warmStart(app, [wind, heading], { provider });
+    assert(counts['apparentWind.smoothed'] === 31 && counts['heading.smoothed'] === 7, `window follows each time constant (${JSON.stringify(counts)})`);
+    assert(wind.ready && wind.magnitude > 9.9 && Math.abs(Math.abs(wind.angle) - Math.PI) < 0.1, 'polar is primed in cartesian space');
+    assert(heading.ready && (heading.value > 2 * Math.PI - 0.1 || heading.value < 0.1), 'SmoothedAngle is primed across north');
+    wind.terminate();
+    heading.terminate();
+  }
+}
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+warmStartTests().then(() => {
+  restoreApps();
+  console.log(`\n=== Summary: ${passed} passed, ${failed} failed ===`);
+  if (failed > 0) process.exit(1);
+});
@@ -0,0 +1,151 @@
+/**
+ * Test script for PositionSmoother.
+ * Uses MockApp as Signal K server and a ManualClock, so nothing waits for real time.
+ * Run with: node src/tests/PositionSmoother.js
+ */
+
+const {
+  PositionSmoother, MessageHandler, MovingAverageSmoother, KalmanSmoother, Clock, ManualClock
+} = require('../../index');
+const { newApp, restoreApps } = require('./helpers');
+
+// ─── Harness ──────────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`  ✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+function assertApprox(actual, expected, tolerance, message) {
+  const ok = typeof actual === 'number' && Math.abs(actual - expected) <= tolerance;
+  assert(ok, `${message} (expected ≈${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n=== ${title} ===`);
+}
+
+const clock = new ManualClock(Date.parse('2026-06-01T12:00:00Z'));
+Clock.use(clock);
+
+function newPosition(app, SmootherClass, smootherOptions, options) {
+  const handler = new MessageHandler(app, 'test-plugin', 'position');
+  handler.configure('navigation.position');
+  handler.idlePeriod = 60000;
+  const position = new PositionSmoother(handler, SmootherClass, smootherOptions, options);
+  handler.subscribe();
+  handler.on('value', () => position.sample());
+  return position;
+}
+
+/** Meters per degree of longitude on the equator (WGS84). */
+const M_PER_DEG_EQUATOR = 6378137 * Math.PI / 180;
+
+/** Wraps a longitude to [-180, 180). */
+const wrap = lon => ((lon + 180) % 360 + 360) % 360 - 180;
+
+// ─── Antimeridian ─────────────────────────────────────────────────────────────
+
+section('PositionSmoother – eastbound track across the antimeridian');
+{
+  const app = newApp();
+  const position = newPosition(app, MovingAverageSmoother, { timeSpan: 5 }, { originRadius: 20 });
+  const speed = 5;                                  // m/s due east
+  const step = speed / M_PER_DEG_EQUATOR;           // degrees per second
+  let longitude = 179.9995;
+  const longitudes = [];
+  for (let i = 0; i < 30; i++) {
+    app.setValue('navigation.position', { latitude: 0, longitude: wrap(longitude) });
+    longitudes.push(position.value.longitude);
+    longitude += step;
+    clock.advance(1000);
+  }
+  assert(longitudes.some(l => l > 179.999) && longitudes.some(l => l < -179.999), 'the track crosses ±180°');
+  assert(longitudes.every(l => Math.abs(l) > 179.99), 'smoothed longitudes stay near the antimeridian, never near 0');
+  assertApprox(position.speed, speed, 1e-3, 'speed over ground is unaffected by the crossing');
+  assertApprox(position.course, Math.PI / 2, 1e-4, 'course is east');
+  assert(position.originMoves > 0 && Math.abs(position.origin.longitude) > 179.99, 'the origin follows the vessel across the antimeridian');
+  assertApprox(position.value.latitude, 0, 1e-9, 'latitude is unaffected');
+  position.terminate();
+}
+
+section('PositionSmoother – westbound track at high latitude');
+{
+  const app = newApp();
+  const position = newPosition(app, KalmanSmoother, { processVariance: 1, measurementVariance: 1 });
+  const latitude = 60;
+  const speed = 3;
+  let longitude = -179.9998;
+  for (let i = 0; i < 40; i++) {
+    app.setValue('navigation.position', { latitude, longitude: wrap(longitude) });
+    longitude -= speed / (M_PER_DEG_EQUATOR * 0.5);   // roughly cos(60°); the exact radius differs slightly
+    clock.advance(1000);
+  }
+  assert(position.value.longitude > 179.99, `the smoothed position is west of the antimeridian (${position.value.longitude.toFixed(5)})`);
+  assertApprox(position.speed, speed, 0.05, 'speed is close to the track speed');
+  assertApprox(position.course, 3 * Math.PI / 2, 1e-3, 'course is west');
+  position.terminate();
+}
+
+// ─── Spread ───────────────────────────────────────────────────────────────────
+
+section('PositionSmoother – spread is the scatter of the fixes');
+{
+  const app = newApp();
+  const position = newPosition(app, MovingAverageSmoother, { timeSpan: 100 });
+  const metre = 1 / M_PER_DEG_EQUATOR;
+  for (let i = 0; i < 50; i++) {
+    app.setValue('navigation.position', { latitude: (i % 2 === 0 ? 10 : -10) * metre, longitude: 20 });
+    clock.advance(1000);
+  }
+  assertApprox(position.value.latitude / metre, 0, 0.5, 'the smoothed position is the centre of the fixes');
+  assertApprox(position.spread, 10, 0.5, 'spread is the 1-sigma scatter of the fixes in meters');
+  assert(position.standardError.north < position.spread / 5, 'the error of the smoothed position is much smaller');
+  assert(position.state.spread === position.spread && position.report().spread === position.spread, 'state and report() include the spread');
+  position.terminate();
+}
+
+// ─── History and course threshold ─────────────────────────────────────────────
+
+section('PositionSmoother – history across the antimeridian');
+{
+  const app = newApp();
+  const position = newPosition(app, MovingAverageSmoother, { timeSpan: 0.5 });
+  position.enableHistory();
+  const start = clock.now();
+  app.setValue('navigation.position', { latitude: 0, longitude: 179.9999 });
+  clock.advance(1000);
+  app.setValue('navigation.position', { latitude: 0, longitude: -179.9999 });
+  const midway = position.valueAt(start + 500);
+  assert(Math.abs(midway.longitude) > 179.9998, `interpolation goes across ±180°, not through 0 (${midway.longitude})`);
+  assert(Math.abs(position.mean().longitude) > 179.9998, 'the mean position is near the antimeridian');
+  assert(position.range().length === 2 && position.min() === null && position.max() === null, 'range() returns positions; no min/max');
+  position.terminate();
+}
+
+section('PositionSmoother – course below minCourseSpeed');
+{
+  const app = newApp();
+  const position = newPosition(app, MovingAverageSmoother, { timeSpan: 10 }, { minCourseSpeed: 0.5 });
+  for (let i = 0; i < 5; i++) {
+    app.setValue('navigation.position', { latitude: 10 + i * 0.1 / M_PER_DEG_EQUATOR, longitude: 20 });
+    clock.advance(1000);
+  }
+  assertApprox(position.speed, 0.1, 0.002, 'a slow drift has a speed');
+  assert(position.course === null, 'but no course below minCourseSpeed');
+  position.terminate();
+}
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+restoreApps();
+console.log(`\n=== Summary: ${passed} passed, ${failed} failed ===`);
+if (failed > 0) process.exit(1);
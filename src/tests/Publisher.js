@@ -0,0 +1,210 @@
+/**
+ * Test script for Publisher.
+ * Uses MockApp as Signal K server and a ManualClock, so nothing waits for real time.
+ * Run with: node src/tests/Publisher.js
+ */
+
+const { Publisher, MessageHandler, Polar, Clock, ManualClock } = require('../../index');
+const { newApp, restoreApps } = require('./helpers');
+
+// ─── Harness ──────────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`  ✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+function section(title) {
+  console.log(`\n=== ${title} ===`);
+}
+
+const clock = new ManualClock(Date.parse('2026-06-01T12:00:00Z'));
+Clock.use(clock);
+
+function newHandler(app, id, path) {
+  const handler = new MessageHandler(app, 'test-plugin', id);
+  handler.configure(path);
+  handler.subscribe();
+  return handler;
+}
+
+/** Deltas sent by the plugin, oldest first. */
+function sent(app) {
+  return app.messages.filter(m => m.id === 'test-plugin').map(m => m.delta);
+}
+
+// ─── Interval mode ────────────────────────────────────────────────────────────
+
+section('Publisher – interval mode batches outputs into one delta');
+{
+  const app = newApp();
+  const sog = newHandler(app, 'sog', 'navigation.speedOverGround');
+  const stw = newHandler(app, 'stw', 'navigation.speedThroughWater');
+  const depth = newHandler(app, 'depth', 'environment.depth.belowKeel');
+  const publisher = new Publisher(app, 'test-plugin', { interval: 1000, skipUnchanged: true });
+  publisher.add(sog, { path: 'performance.sog' }).add(stw, { path: 'performance.stw' }).add(depth, { path: 'performance.depth' });
+  publisher.add(sog);
+  assert(publisher.size === 3, 'an output is registered once');
+  publisher.start();
+  app.setValue('navigation.speedOverGround', 3);
+  app.setValue('navigation.speedThroughWater', 2.8);
+  assert(sent(app).length === 0, 'nothing is sent before the first interval');
+  clock.advance(1000);
+  let deltas = sent(app);
+  assert(deltas.length === 1 && deltas[0].updates.length === 1, 'one delta per interval');
+  const update = deltas[0].updates[0];
+  assert(update.values.map(v => `${v.path}=${v.value}`).join() === 'performance.sog=3,performance.stw=2.8',
+    `values of all ready outputs are combined (${update.values.map(v => v.path).join()})`);
+  assert(update.$source === 'test-plugin' && update.timestamp === new Date(clock.now()).toISOString(), 'the update carries $source and a timestamp');
+  clock.advance(1000);
+  assert(sent(app).length === 1, 'unchanged values are not republished');
+  app.setValue('navigation.speedOverGround', 3.2);
+  clock.advance(1000);
+  deltas = sent(app);
+  assert(deltas.length === 2 && deltas[1].updates[0].values.map(v => v.path).join() === 'performance.sog', 'only changed values are sent');
+  assert(publisher.state.deltaCount === 2 && publisher.state.running, 'state counts deltas');
+  publisher.stop();
+  app.setValue('navigation.speedOverGround', 3.5);
+  clock.advance(3000);
+  assert(sent(app).length === 2 && publisher.size === 3, 'stop() ends publishing and keeps the outputs');
+  assert(publisher.flush() === 1 && sent(app).length === 3, 'flush() publishes on demand');
+  app.setValue('navigation.speedThroughWater', 3);
+  clock.advance(sog.idlePeriod);
+  assert(stw.stale && publisher.flush() === 0, 'stale outputs are skipped, even with a changed value');
+  publisher.terminate();
+  assert(publisher.size === 0 && sog.listenerCount('value') === 0, 'terminate() removes the outputs and their listeners');
+  [sog, stw, depth].forEach(h => h.terminate());
+}
+
+section('Publisher – interval mode republishes unchanged values by default');
+{
+  const app = newApp();
+  const sog = newHandler(app, 'sog', 'navigation.speedOverGround');
+  const publisher = new Publisher(app, 'test-plugin', { interval: 500 }).add(sog, { path: 'performance.sog' }).start();
+  assert(!publisher.skipUnchanged && new Publisher(app, 'test-plugin', { mode: 'change' }).skipUnchanged, 'skipUnchanged defaults to false in interval mode, true in change mode');
+  app.setValue('navigation.speedOverGround', 3);
+  clock.advance(1500);
+  assert(sent(app).length === 3, 'a constant value is republished every interval');
+  publisher.terminate();
+  sog.terminate();
+}
+
+// ─── Change mode ──────────────────────────────────────────────────────────────
+
+section('Publisher – change mode throttles to minInterval');
+{
+  const app = newApp();
+  const sog = newHandler(app, 'sog', 'navigation.speedOverGround');
+  const stw = newHandler(app, 'stw', 'navigation.speedThroughWater');
+  const publisher = new Publisher(app, 'test-plugin', { mode: 'change', minInterval: 1000 });
+  publisher.add(sog, { path: 'performance.sog' }).add(stw, { path: 'performance.stw' });
+  app.setValue('navigation.speedOverGround', 3);
+  clock.advance(0);
+  assert(sent(app).length === 0, 'nothing is sent before start()');
+  publisher.start();
+  app.setValue('navigation.speedOverGround', 3.1);
+  app.setValue('navigation.speedThroughWater', 2.9);
+  clock.advance(0);
+  let deltas = sent(app);
+  assert(deltas.length === 1 && deltas[0].updates[0].values.length === 2, 'changes within the same tick are combined');
+  app.setValue('navigation.speedOverGround', 3.2);
+  clock.advance(400);
+  app.setValue('navigation.speedOverGround', 3.3);
+  clock.advance(599);
+  assert(sent(app).length === 1, 'further changes wait for minInterval');
+  clock.advance(1);
+  deltas = sent(app);
+  assert(deltas.length === 2 && deltas[1].updates[0].values[0].value === 3.3, 'then the latest value is sent once');
+  publisher.terminate();
+  sog.terminate();
+  stw.terminate();
+}
+
+section('Publisher – invalid mode');
+{
+  let threw = false;
+  try { new Publisher(newApp(), 'test-plugin', { mode: 'sometimes' }); } catch (err) { threw = true; }
+  assert(threw, 'an unknown mode throws');
+}
+
+// ─── Meta, contexts and polars ────────────────────────────────────────────────
+
+section('Publisher – sendMeta publishes meta once per path');
+{
+  const app = newApp();
+  app.setMeta('navigation.speedOverGround', { units: 'm/s', displayName: 'SOG', description: 'Speed over ground' });
+  const sog = newHandler(app, 'sog', 'navigation.speedOverGround');
+  const stw = newHandler(app, 'stw', 'navigation.speedThroughWater');
+  const publisher = new Publisher(app, 'test-plugin', { interval: 1000, sendMeta: true });
+  publisher.add(sog, { path: 'performance.sog' }).add(stw, { path: 'performance.stw', meta: { units: 'm/s', description: 'Smoothed STW' } }).start();
+  app.setValue('navigation.speedOverGround', 3);
+  app.setValue('navigation.speedThroughWater', 2.8);
+  clock.advance(1000);
+  const meta = sent(app)[0].updates[0].meta;
+  assert(meta.length === 2 && meta[0].path === 'performance.sog' && meta[0].value.displayName === 'SOG' && meta[0].value.units === 'm/s',
+    'meta defaults to the SK fields of the output');
+  assert(meta[1].value.description === 'Smoothed STW', 'explicit meta wins');
+  assert(app.getMetadata(`${app.selfContext}.performance.sog`)?.units === 'm/s', 'the meta reaches the server');
+  app.setValue('navigation.speedOverGround', 3.1);
+  clock.advance(1000);
+  assert(sent(app)[1].updates[0].meta === undefined, 'meta is not repeated');
+  publisher.terminate();
+  sog.terminate();
+  stw.terminate();
+}
+
+section('Publisher – one delta per context');
+{
+  const app = newApp();
+  const target = 'vessels.urn:mrn:imo:mmsi:244123456';
+  const own = newHandler(app, 'sog', 'navigation.speedOverGround');
+  const other = new MessageHandler(app, 'test-plugin', 'targetSog');
+  other.configure('navigation.speedOverGround', { excludeSelf: true }, { context: target });
+  other.subscribe();
+  const publisher = new Publisher(app, 'test-plugin', { interval: 1000 });
+  publisher.add(own, { path: 'performance.sog' }).add(other, { path: 'performance.targetSog' }).start();
+  app.setValue('navigation.speedOverGround', 3);
+  app.setValue('navigation.speedOverGround', 5, { context: target });
+  clock.advance(1000);
+  const deltas = sent(app);
+  assert(deltas.length === 2, 'outputs of different contexts go in separate deltas');
+  assert(deltas.find(d => d.context === target)?.updates[0].values[0].value === 5, 'each delta is sent in the context of its output');
+  publisher.terminate();
+  own.terminate();
+  other.terminate();
+}
+
+section('Publisher – polar outputs');
+{
+  const app = newApp();
+  const wind = new Polar(app, 'test-plugin', 'wind');
+  wind.configureMagnitude('environment.wind.speedApparent');
+  wind.configureAngle('environment.wind.angleApparent');
+  wind.subscribe();
+  const publisher = new Publisher(app, 'test-plugin', { interval: 1000 });
+  publisher.add(wind, { pathMagnitude: 'performance.windSpeed', pathAngle: 'performance.windAngle' }).start();
+  app.setValue('environment.wind.speedApparent', 8);
+  clock.advance(1000);
+  assert(sent(app).length === 0, 'a polar that is not ready is skipped');
+  app.setValue('environment.wind.angleApparent', 0.5);
+  clock.advance(1000);
+  const values = sent(app)[0]?.updates[0].values ?? [];
+  assert(values.map(v => `${v.path}=${v.value}`).join() === 'performance.windSpeed=8,performance.windAngle=0.5',
+    'magnitude and angle are published to their paths');
+  publisher.terminate();
+  wind.terminate();
+}
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+restoreApps();
+console.log(`\n=== Summary: ${passed} passed, ${failed} failed ===`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,174 @@
+/**
+ * Test script for PutHandler.
+ * Uses MockApp as Signal K server and a ManualClock, so nothing waits for real time.
+ * Run with: node src/tests/PutHandler.js
+ */
+
+const { PutHandler, MockApp, Clock, ManualClock } = require('../../index');
+
+// ─── Harness ──────────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`  ✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+function section(title) {
+  console.log(`\n=== ${title} ===`);
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const clock = new ManualClock(Date.parse('2026-06-01T12:00:00Z'));
+Clock.use(clock);
+
+const PATH = 'performance.polarAdjustment';
+
+/** Values the plugin published for a path, oldest first. */
+function published(app, path = PATH) {
+  return app.messages
+    .filter(m => m.id === 'test-plugin')
+    .flatMap(({ delta }) => delta.updates.flatMap(u => u.values ?? []))
+    .filter(v => v.path === path)
+    .map(v => v.value);
+}
+
+async function main() {
+  section('PutHandler – registration');
+  {
+    const app = new MockApp({ pluginId: 'test-plugin' });
+    const puts = new PutHandler(app, 'test-plugin');
+    puts.register(PATH, { setter: () => {}, meta: { description: 'Polar performance factor' } });
+    assert(app.putHandlers.has(`${app.selfContext}/${PATH}`), 'a PUT handler is registered for the path');
+    assert(app.getMetadata(`${app.selfContext}.${PATH}`)?.description === 'Polar performance factor', 'meta is published on register');
+    assert(puts.paths.join() === PATH, 'paths lists the registered paths');
+    let threw = false;
+    try { puts.register('x', {}); } catch (err) { threw = true; }
+    assert(threw, 'a setter is required');
+    const result = await app.put('not.registered', 1);
+    assert(result.statusCode === 405, 'unregistered paths are not handled');
+  }
+
+  section('PutHandler – synchronous setter');
+  {
+    const app = new MockApp({ pluginId: 'test-plugin' });
+    const puts = new PutHandler(app, 'test-plugin');
+    let current = 1;
+    puts.register(PATH, {
+      validate: { type: 'number', min: 0.5, max: 1.5 },
+      setter: value => { current = value; },
+      getter: () => current,
+    });
+    const result = await app.put(PATH, 1.2);
+    assert(result.state === 'COMPLETED' && result.statusCode === 200, 'an accepted value completes with 200');
+    assert(current === 1.2 && published(app).join() === '1.2', 'the setter is called and the value published back');
+    assert(puts.state[PATH].count === 1 && puts.state[PATH].lastValue === 1.2, 'state counts accepted PUTs');
+    puts.publish();
+    assert(published(app).join() === '1.2,1.2', 'publish() announces the current values');
+  }
+
+  section('PutHandler – validation');
+  {
+    const app = new MockApp({ pluginId: 'test-plugin' });
+    const puts = new PutHandler(app, 'test-plugin');
+    let calls = 0;
+    puts.register(PATH, { validate: { type: 'number', min: 0.5, max: 1.5 }, setter: () => { calls++; } });
+    puts.register('performance.mode', { validate: { oneOf: ['race', 'cruise'] }, setter: () => { calls++; } });
+    puts.register('performance.label', { validate: v => v.length < 5 || 'too long', setter: () => { calls++; } });
+    const results = [
+      await app.put(PATH, 'fast'),
+      await app.put(PATH, 2),
+      await app.put(PATH, 0.1),
+      await app.put('performance.mode', 'motor'),
+      await app.put('performance.label', 'spinnaker'),
+    ];
+    assert(results.every(r => r.state === 'COMPLETED' && r.statusCode === 400), 'invalid values complete with 400');
+    assert(results.map(r => r.message).join('|') === 'expected number, got string|above maximum 1.5|below minimum 0.5|must be one of race, cruise|too long',
+      `the message gives the reason (${results.map(r => r.message).join('|')})`);
+    assert(calls === 0 && published(app).length === 0, 'rejected values never reach the setter');
+    assert(puts.state[PATH].lastResult.statusCode === 400 && puts.state[PATH].count === 0, 'state keeps the last result');
+  }
+
+  section('PutHandler – asynchronous setter: PENDING then COMPLETED');
+  {
+    const app = new MockApp({ pluginId: 'test-plugin' });
+    const puts = new PutHandler(app, 'test-plugin');
+    let resolveSetter;
+    puts.register(PATH, { setter: () => new Promise(resolve => { resolveSetter = resolve; }) });
+    const { callback } = app.putHandlers.get(`${app.selfContext}/${PATH}`);
+    const results = [];
+    const first = callback(app.selfContext, PATH, 1.1, result => results.push(result));
+    assert(first.state === 'PENDING' && results.length === 0, 'the request answers PENDING while the setter runs');
+    assert(puts.state[PATH].lastResult.state === 'PENDING' && published(app).length === 0, 'nothing is published yet');
+    resolveSetter();
+    await flush();
+    assert(results.length === 1 && results[0].state === 'COMPLETED' && results[0].statusCode === 200, 'it completes through the callback');
+    assert(published(app).join() === '1.1' && puts.state[PATH].count === 1, 'the value is published once the setter resolves');
+    const rejected = new PutHandler(app, 'test-plugin');
+    rejected.register('performance.other', { setter: async () => { throw new Error('device busy'); } });
+    const result = await app.put('performance.other', 1);
+    assert(result.statusCode === 500 && result.message === 'device busy', 'a rejected setter completes with 500');
+  }
+
+  section('PutHandler – throwing setter, getter or publish');
+  {
+    const app = new MockApp({ pluginId: 'test-plugin' });
+    const puts = new PutHandler(app, 'test-plugin');
+    puts.register('a', { setter: () => { throw new Error('setter broke'); } });
+    puts.register('b', { setter: () => {}, getter: () => { throw new Error('getter broke'); } });
+    puts.register('c', { setter: async () => {}, getter: () => { throw new Error('getter broke'); } });
+    const a = await app.put('a', 1);
+    assert(a.statusCode === 500 && a.message === 'setter broke', 'a throwing setter completes with 500');
+    const b = await app.put('b', 1);
+    assert(b.state === 'COMPLETED' && b.statusCode === 500 && b.message === 'getter broke', 'a throwing getter on the sync path completes with 500');
+    const c = await app.put('c', 1);
+    assert(c.state === 'COMPLETED' && c.statusCode === 500 && c.message === 'getter broke', 'a throwing getter on the async path completes with 500');
+    assert(app.errorMessages.length === 3, 'failures are logged as errors');
+
+    const results = [];
+    const handleMessage = app.handleMessage.bind(app);
+    puts.register('d', { setter: async () => {} });
+    app.handleMessage = () => { throw new Error('server gone'); };
+    const { callback } = app.putHandlers.get(`${app.selfContext}/d`);
+    callback(app.selfContext, 'd', 1, result => results.push(result));
+    await flush();
+    app.handleMessage = handleMessage;
+    assert(results.length === 1 && results[0].statusCode === 500 && results[0].message === 'server gone',
+      'a throwing publish completes the request exactly once with 500');
+  }
+
+  section('PutHandler – throwing result callback or error log');
+  {
+    const app = new MockApp({ pluginId: 'test-plugin' });
+    const puts = new PutHandler(app, 'test-plugin');
+    const unhandled = [];
+    const onUnhandled = err => unhandled.push(err);
+    process.on('unhandledRejection', onUnhandled);
+    puts.register('ok', { setter: async () => {} });
+    puts.register('broken', { setter: async () => { throw new Error('device busy'); } });
+    app.error = () => { throw new Error('logger gone'); };
+    const callback = path => app.putHandlers.get(`${app.selfContext}/${path}`).callback;
+    callback('ok')(app.selfContext, 'ok', 1, () => { throw new Error('client gone'); });
+    callback('broken')(app.selfContext, 'broken', 1, () => {});
+    await flush();
+    await flush();
+    process.off('unhandledRejection', onUnhandled);
+    assert(unhandled.length === 0, 'neither a throwing callback nor a throwing app.error leaves an unhandled rejection');
+    assert(app.debugMessages.some(m => m.includes('client gone')) && app.debugMessages.some(m => m.includes('logger gone')),
+      'both are logged through app.debug');
+    assert(puts.state.ok.count === 1, 'the value was still accepted');
+  }
+
+  console.log(`\n=== Summary: ${passed} passed, ${failed} failed ===`);
+  if (failed > 0) process.exit(1);
+}
+
+main();
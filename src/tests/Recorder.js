@@ -0,0 +1,74 @@
+/**
+ * Test script for DeltaRecorder and DeltaReplay.
+ * Runs on a ManualClock, so nothing waits for real time.
+ * Run with: node src/tests/Recorder.js
+ */
+
+const {
+  DeltaRecorder, DeltaReplay, createSmoothedHandler, Clock, ManualClock
+} = require('../../index');
+const { newApp, restoreApps } = require('./helpers');
+
+// ─── Harness ──────────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`  ✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+function section(title) {
+  console.log(`\n=== ${title} ===`);
+}
+
+const T0 = Date.parse('2026-06-01T12:00:00Z');
+const clock = new ManualClock(T0);
+Clock.use(clock);
+
+section('DeltaRecorder / DeltaReplay – replay reproduces the smoothed value');
+{
+  const record = () => {
+    const app = newApp();
+    const smoother = createSmoothedHandler({
+      id: 'sog', path: 'navigation.speedOverGround', app, pluginId: 'test-plugin', subscribe: true,
+      smootherOptions: { timeConstant: 2 },
+    });
+    return { app, smoother };
+  };
+  const original = record();
+  const recorder = new DeltaRecorder(original.app, 'test-plugin').add(original.smoother).start();
+  for (let i = 0; i < 20; i++) {
+    clock.advance(200 + (i % 3) * 100);
+    original.app.setValue('navigation.speedOverGround', 3 + Math.sin(i));
+  }
+  original.app.setValue('navigation.courseOverGroundTrue', 1);
+  recorder.stop();
+  assert(recorder.count === 20, 'only deltas of registered handlers are recorded');
+  const records = DeltaReplay.parse(recorder.records.map(r => JSON.stringify(r)).join('\n') + '\n{"t":');
+  assert(records.length === 20, 'NDJSON round trip skips a truncated last line');
+
+  clock.advance(60000);
+  const replayed = record();
+  const replay = new DeltaReplay(replayed.app, records);
+  replay.seek(records[5].t - records[0].t);
+  assert(replay.position === records[5].t - records[0].t, 'seek() moves to the record at the offset');
+  replay.seek(0);
+  assert(replay.runToEnd() === 20, 'runToEnd() feeds all records');
+  assert(replayed.smoother.value === original.smoother.value, 'replayed pipeline gives the identical smoothed value');
+  assert(replay.ended && replay.position === replay.duration, 'position is at the end');
+  original.smoother.terminate();
+  replayed.smoother.terminate();
+}
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+restoreApps();
+console.log(`\n=== Summary: ${passed} passed, ${failed} failed ===`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,155 @@
+/**
+ * Test script for SI: unit conversion, display units and formatting.
+ * Run with: node src/tests/SI.js
+ */
+
+const { SI } = require('../../index');
+
+// ─── Harness ──────────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`  ✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+function assertApprox(actual, expected, tolerance, message) {
+  const ok = typeof actual === 'number' && Math.abs(actual - expected) <= tolerance;
+  assert(ok, `${message} (expected ≈${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n=== ${title} ===`);
+}
+
+// ─── convert() ────────────────────────────────────────────────────────────────
+
+section('SI.convert – one conversion per unit family');
+{
+  const cases = [
+    [1, 'm/s', 'kn', 1.943844],
+    [10, 'm/s', 'km/h', 36],
+    [1852, 'm', 'nm', 1],
+    [1, 'm', 'ft', 3.28084],
+    [1.8288, 'm', 'fathom', 1],
+    [Math.PI, 'rad', 'deg', 180],
+    [Math.PI / 180, 'rad/s', 'deg/min', 60],
+    [101325, 'Pa', 'hPa', 1013.25],
+    [100000, 'Pa', 'bar', 1],
+    [0.1, 'm3', 'L', 100],
+    [1 / 3600000, 'm3/s', 'L/h', 1],
+    [0.42, 'ratio', '%', 42],
+    [25, 'Hz', 'rpm', 1500],
+    [3600, 'J', 'Wh', 1],
+    [1500, 'W', 'kW', 1.5],
+    [5400, 's', 'h', 1.5],
+    [1, 'kg', 'lb', 2.204623],
+  ];
+  for (const [value, from, to, expected] of cases) {
+    assertApprox(SI.convert(value, from, to), expected, 1e-6, `${value} ${from} → ${to}`);
+  }
+}
+
+section('SI.convert – angles');
+{
+  assertApprox(SI.convert(-Math.PI / 2, 'rad', 'deg'), -90, 1e-9, 'negative angles keep their sign');
+  assertApprox(SI.convert(3 * Math.PI, 'rad', 'deg'), 540, 1e-9, 'angles are not wrapped');
+  assertApprox(SI.convert(Math.PI / 4, 'rad', '°'), 45, 1e-9, "'°' is an alias of 'deg'");
+  assertApprox(SI.convert(0.1, 'rad/s', '°/s'), 0.1 * 180 / Math.PI, 1e-9, 'rates of turn convert to °/s');
+  assertApprox(SI.toDegrees(SI.fromDegrees(123)), 123, 1e-12, 'toDegrees() and fromDegrees() are inverse');
+}
+
+section('SI.convert – temperature offsets');
+{
+  assertApprox(SI.convert(273.15, 'K', 'C'), 0, 1e-9, '273.15 K is 0 °C');
+  assertApprox(SI.convert(373.15, 'K', '°C'), 100, 1e-9, "'°C' is an alias of 'C'");
+  assertApprox(SI.convert(0, 'K', 'F'), -459.67, 1e-9, '0 K is -459.67 °F');
+  assertApprox(SI.convert(310.15, 'K', 'fahrenheit'), 98.6, 1e-9, 'the offset applies after the factor');
+  assertApprox(SI.convert(0, 'K', 'C'), -273.15, 1e-9, 'a zero value still gets the offset');
+}
+
+section('SI.convert – aliases, identity and unknown units');
+{
+  assertApprox(SI.convert(1, 'm/s', 'knots'), 1.943844, 1e-9, "'knots' is an alias of 'kn'");
+  assert(SI.convert(7, 'm/s', 'm/s') === 7, 'converting to the same unit returns the value');
+  assert(SI.convert(1, 'm/s', 'furlong/fortnight') === null, 'an unknown target unit gives null');
+  assert(SI.convert(1, 'parsec', 'm') === null, 'an unknown source unit gives null');
+  assert(SI.convert(1, 'm', 'kn') === null, 'a target of another family gives null');
+  assert(SI.convert(null, 'm', 'ft') === null && SI.convert('3', 'm', 'ft') === null, 'non-numbers give null');
+}
+
+section('SI.symbol');
+{
+  assert(SI.symbol('deg') === '°' && SI.symbol('degrees') === '°', 'degrees are shown as °');
+  assert(SI.symbol('C') === '°C' && SI.symbol('celsius') === '°C', 'Celsius is shown as °C');
+  assert(SI.symbol('ratio') === '', 'ratios have no symbol');
+  assert(SI.symbol('kn') === 'kn' && SI.symbol('kts') === 'kn', 'other units are their own symbol');
+  assert(SI.symbol(undefined) === '', 'no unit, no symbol');
+}
+
+// ─── evaluate() ───────────────────────────────────────────────────────────────
+
+section('SI.evaluate – displayUnits formulas');
+{
+  assertApprox(SI.evaluate('value * 1.94384', 2), 3.88768, 1e-9, 'multiplication');
+  assertApprox(SI.evaluate('value - 273.15', 300), 26.85, 1e-9, 'subtraction');
+  assertApprox(SI.evaluate('(value - 273.15) * 9 / 5 + 32', 273.15), 32, 1e-9, 'parentheses and precedence');
+  assertApprox(SI.evaluate('value * 180 / pi', Math.PI), 180, 1e-9, 'pi');
+  assertApprox(SI.evaluate('2 ^ 3 ^ 2', 0), 512, 1e-9, '^ is right-associative');
+  assertApprox(SI.evaluate('-value', 4), -4, 1e-12, 'unary minus');
+  assertApprox(SI.evaluate('value * 1e-5', 100000), 1, 1e-12, 'exponent notation');
+  assert(SI.evaluate('value * ', 1) === null, 'an incomplete formula gives null');
+  assert(SI.evaluate('Math.exit(1)', 1) === null && SI.evaluate('value; 1', 1) === null, 'anything but arithmetic is refused');
+  assert(SI.evaluate('value / 0', 1) === null, 'a non-finite result gives null');
+}
+
+// ─── toDisplay() and format() ─────────────────────────────────────────────────
+
+section('SI.toDisplay – explicit unit and displayUnits');
+{
+  const sog = { units: 'm/s', displayUnits: { category: 'speed', targetUnit: 'kn', formula: 'value * 1.94384', symbol: 'kn', displayFormat: '0.0' } };
+  let display = SI.toDisplay(5, sog);
+  assertApprox(display.value, 9.7192, 1e-9, 'without a unit the displayUnits formula is used');
+  assert(display.unit === 'kn' && display.symbol === 'kn', 'with its unit and symbol');
+  display = SI.toDisplay(5, sog, 'km/h');
+  assertApprox(display.value, 18, 1e-9, 'an explicit unit converts from meta.units');
+  assertApprox(SI.toDisplay(5, { units: 'm/s' }).value, 5, 0, 'without displayUnits the value stays in meta.units');
+  assert(SI.toDisplay(5, {}).unit === null && SI.toDisplay(5, {}).value === 5, 'without meta the value is passed through');
+  assert(SI.toDisplay(5, { units: 'm/s' }, 'bar') === null, 'an unknown conversion gives null');
+}
+
+section('SI.toDisplay – null values and object values');
+{
+  assert(SI.toDisplay(null, { units: 'm' }, 'ft') === null, 'null gives null');
+  assert(SI.toDisplay(undefined, { units: 'm' }, 'ft') === null, 'undefined gives null');
+  const attitude = SI.toDisplay({ roll: Math.PI / 18, pitch: -Math.PI / 36, yaw: 0 }, { units: 'rad' }, 'deg');
+  assertApprox(attitude.value.roll, 10, 1e-9, 'object members are converted one by one (roll)');
+  assertApprox(attitude.value.pitch, -5, 1e-9, 'object members are converted one by one (pitch)');
+  assert(SI.toDisplay({ roll: 0.1, pitch: null }, { units: 'rad' }, 'deg') === null, 'a null member gives null');
+}
+
+section('SI.format');
+{
+  const sog = { units: 'm/s', displayUnits: { targetUnit: 'kn', formula: 'value * 1.94384', symbol: 'kn', displayFormat: '0.0' } };
+  assert(SI.format(5, sog) === '9.7 kn', 'displayFormat sets the decimals');
+  assert(SI.format(5, sog, 'kn', 3) === '9.719 kn', 'explicit decimals win');
+  assert(SI.format(Math.PI / 4, { units: 'rad' }, 'deg', 0) === '45°', 'no space before °');
+  assert(SI.format(290.15, { units: 'K' }, 'C', 1) === '17.0°C', 'temperatures convert with their offset');
+  assert(SI.format(0.5, { units: 'ratio' }) === '0.50', 'two decimals by default, no symbol for ratios');
+  assert(SI.format(0.5, { units: 'ratio' }, '%', 0) === '50 %', 'percent');
+  assert(SI.format(null, { units: 'm' }) === null && SI.format(1, { units: 'm' }, 'kn') === null, 'null for no value or an unknown unit');
+  const formatted = SI.format({ roll: Math.PI / 18, pitch: 0 }, { units: 'rad' }, 'deg', 1);
+  assert(formatted.roll === '10.0°' && formatted.pitch === '0.0°', 'object values give an object of strings');
+}
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+console.log(`\n=== Summary: ${passed} passed, ${failed} failed ===`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,109 @@
+/**
+ * Test script for warmStart, RestHistoryProvider and RecordingHistoryProvider.
+ * Runs on a ManualClock, so nothing waits for real time.
+ * Run with: node src/tests/WarmStart.js
+ */
+
+const {
+  warmStart, RestHistoryProvider, RecordingHistoryProvider, DeltaRecorder, createSmoothedHandler, Clock, ManualClock
+} = require('../../index');
+const { newApp, restoreApps } = require('./helpers');
+
+// ─── Harness ──────────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`  ✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+function section(title) {
+  console.log(`\n=== ${title} ===`);
+}
+
+const T0 = Date.parse('2026-06-01T12:00:00Z');
+const clock = new ManualClock(T0);
+Clock.use(clock);
+
+async function main() {
+  section('warmStart – primes smoothers from history');
+  {
+    const recordingApp = newApp();
+    const recorder = new DeltaRecorder(recordingApp, 'test-plugin').addPath('navigation.speedOverGround').start();
+    for (let i = 0; i < 40; i++) {
+      clock.advance(500);
+      recordingApp.setValue('navigation.speedOverGround', 5 + (i % 2 ? 0.5 : -0.5));
+    }
+    recorder.stop();
+
+    clock.advance(1000);
+    const app = newApp();
+    const smoother = createSmoothedHandler({
+      id: 'sog', path: 'navigation.speedOverGround', app, pluginId: 'test-plugin',
+      smootherOptions: { timeConstant: 2 },
+    });
+    const provider = new RecordingHistoryProvider(recorder.records, { selfContext: app.selfContext });
+    const counts = await warmStart(app, [smoother], { provider });
+    assert(counts['sog.smoothed'] === 11, `only the last 3 time constants are used (${counts['sog.smoothed']})`);
+    assert(smoother.ready && Math.abs(smoother.value - 5) < 0.3, 'smoother is ready with a converged value before live data');
+    assert(smoother.timestamp === recorder.records[39].t, 'samples keep their original timestamps');
+    assert(await warmStart(app, [smoother], { provider }).then(c => c['sog.smoothed']) === 0, 'a smoother with samples is left alone');
+    smoother.handler.subscribe();
+    smoother.handler.on('value', () => smoother.sample());
+    app.setValue('navigation.speedOverGround', 5);
+    assert(smoother.n === 12, 'live samples continue from the primed state');
+
+    const stale = createSmoothedHandler({ id: 'old', path: 'navigation.speedOverGround', app, pluginId: 'test-plugin', smootherOptions: { timeConstant: 2 } });
+    clock.advance(60000);
+    await warmStart(app, [stale], { provider, timeConstants: 100 });
+    clock.advance(0);
+    assert(stale.n > 0 && stale.stale && !stale.ready, 'history older than idlePeriod leaves the smoother stale');
+
+    const failing = { values: async () => { throw new Error('no history'); } };
+    const fresh = createSmoothedHandler({ id: 'fresh', path: 'navigation.speedOverGround', app, pluginId: 'test-plugin' });
+    assert(Object.keys(await warmStart(app, [fresh], { provider: failing })).length === 0 && fresh.n === 0, 'provider errors are not thrown');
+    assert(app.debugMessages.some(m => m.includes('no history')), 'provider errors are logged');
+    smoother.terminate();
+    stale.terminate();
+    fresh.terminate();
+  }
+
+  section('RestHistoryProvider – v2 history API');
+  {
+    const app = newApp({ config: { port: 3443, ssl: true } });
+    const requests = [];
+    const body = {
+      context: app.selfContext,
+      values: [{ path: 'navigation.speedOverGround', method: 'average' }, { path: 'navigation.courseOverGroundTrue', method: 'average' }],
+      data: [['2026-06-01T11:59:58Z', 4, null], ['2026-06-01T11:59:59Z', 5, 1]],
+    };
+    const provider = new RestHistoryProvider(app, {
+      token: 'secret',
+      fetch: async (url, options) => {
+        requests.push({ url, options });
+        return { ok: true, status: 200, json: async () => body };
+      },
+    });
+    const from = Date.parse('2026-06-01T11:59:00Z');
+    const result = await provider.values({ context: 'vessels.self', paths: ['navigation.speedOverGround', 'navigation.courseOverGroundTrue'], from, to: from + 60000 });
+    const url = new URL(requests[0].url);
+    assert(url.origin === 'https://localhost:3443' && url.pathname === '/signalk/v2/api/history/values', 'queries the v2 history endpoint of the server');
+    assert(url.searchParams.get('paths') === 'navigation.speedOverGround,navigation.courseOverGroundTrue' && url.searchParams.get('from') === '2026-06-01T11:59:00.000Z', 'paths and time window are in the query');
+    assert(requests[0].options.headers.Authorization === 'Bearer secret', 'sends the bearer token');
+    assert(result['navigation.speedOverGround'].length === 2 && result['navigation.courseOverGroundTrue'].length === 1, 'null values are skipped');
+    assert(result['navigation.courseOverGroundTrue'][0].t === Date.parse('2026-06-01T11:59:59Z'), 'timestamps are parsed to ms');
+  }
+
+  restoreApps();
+  console.log(`\n=== Summary: ${passed} passed, ${failed} failed ===`);
+  if (failed > 0) process.exit(1);
+}
+
+main();
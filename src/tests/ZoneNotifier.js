@@ -0,0 +1,188 @@
+/**
+ * Test script for ZoneNotifier.
+ * Uses MockApp as Signal K server and a ManualClock, so nothing waits for real time.
+ * Run with: node src/tests/ZoneNotifier.js
+ */
+
+const { ZoneNotifier, MessageHandler, Clock, ManualClock } = require('../../index');
+const { newApp, restoreApps } = require('./helpers');
+
+// ─── Harness ──────────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`  ✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+function section(title) {
+  console.log(`\n=== ${title} ===`);
+}
+
+const clock = new ManualClock(Date.parse('2026-06-01T12:00:00Z'));
+Clock.use(clock);
+
+const PATH = 'environment.depth.belowTransducer';
+
+function newDepth(app) {
+  const depth = new MessageHandler(app, 'test-plugin', 'depth');
+  depth.configure(PATH);
+  depth.subscribe();
+  return depth;
+}
+
+/** Notifications published by the plugin, oldest first. */
+function notifications(app) {
+  return app.messages
+    .flatMap(({ delta }) => delta.updates.flatMap(u => u.values))
+    .filter(v => v.path === `notifications.${PATH}`)
+    .map(v => v.value);
+}
+
+// ─── Zones ────────────────────────────────────────────────────────────────────
+
+section('ZoneNotifier – zone classification');
+{
+  const app = newApp();
+  app.setMeta(PATH, { units: 'm', displayName: 'Depth', zones: [
+    { upper: 2, state: 'alarm', message: 'Shallow water' },
+    { upper: 3, state: 'warn' },
+  ] });
+  const depth = newDepth(app);
+  const notifier = new ZoneNotifier(app, 'test-plugin', depth).attach();
+  app.setValue(PATH, 10);
+  assert(notifier.zoneState === 'normal' && notifications(app).length === 0, 'a value outside all zones is normal and sends nothing');
+  app.setValue(PATH, 2.5);
+  let sent = notifications(app);
+  assert(notifier.zoneState === 'warn' && sent.length === 1, 'zones come from meta.zones');
+  assert(sent[0].state === 'warn' && sent[0].method.join() === 'visual,sound' && sent[0].message === 'Depth is in warn zone',
+    'the notification carries state, default methods and a generated message');
+  app.setValue(PATH, 1.5);
+  sent = notifications(app);
+  assert(notifier.zoneState === 'alarm' && sent[1].message === 'Shallow water', 'the most severe of overlapping zones wins');
+  app.setValue(PATH, 5);
+  sent = notifications(app);
+  assert(notifier.zoneState === 'normal' && sent[2].state === 'normal' && sent[2].method.length === 0,
+    'returning to normal publishes a clearing notification');
+  assert(app.messages.filter(m => m.id === 'test-plugin').every(m => m.delta.context === app.selfContext), 'notifications go to the context of the handler');
+  notifier.terminate();
+  app.setValue(PATH, 1);
+  assert(notifications(app).length === 3, 'terminate() stops watching');
+  depth.terminate();
+}
+
+section('ZoneNotifier – plugin-supplied zones and methods');
+{
+  const app = newApp();
+  app.setMeta(PATH, { units: 'm', zones: [{ upper: 2, state: 'alarm' }] });
+  const depth = newDepth(app);
+  const notifier = new ZoneNotifier(app, 'test-plugin', depth, {
+    zones: [{ upper: 5, state: 'alert' }],
+    methods: { alert: ['sound'] },
+  }).attach();
+  app.setValue(PATH, 1);
+  const sent = notifications(app);
+  assert(notifier.zoneState === 'alert' && sent[0].method.join() === 'sound', 'plugin zones replace meta zones, methods can be overridden');
+  notifier.terminate();
+  depth.terminate();
+}
+
+// ─── Hysteresis ───────────────────────────────────────────────────────────────
+
+section('ZoneNotifier – hysteresis');
+{
+  const app = newApp();
+  const depth = newDepth(app);
+  const notifier = new ZoneNotifier(app, 'test-plugin', depth, {
+    zones: [{ upper: 2, state: 'alarm' }],
+    hysteresis: 0.2,
+  }).attach();
+  app.setValue(PATH, 2.1);
+  assert(notifier.zoneState === 'normal', 'hysteresis does not widen a zone that is not active');
+  app.setValue(PATH, 1.9);
+  assert(notifier.zoneState === 'alarm', 'entering the zone is immediate');
+  app.setValue(PATH, 2.1);
+  app.setValue(PATH, 1.95);
+  app.setValue(PATH, 2.15);
+  assert(notifier.zoneState === 'alarm' && notifications(app).length === 1, 'values within the hysteresis band keep the zone');
+  app.setValue(PATH, 2.25);
+  assert(notifier.zoneState === 'normal' && notifications(app).length === 2, 'leaving needs more than hysteresis past the boundary');
+  notifier.terminate();
+  depth.terminate();
+}
+
+// ─── minDuration ──────────────────────────────────────────────────────────────
+
+section('ZoneNotifier – minDuration');
+{
+  const app = newApp();
+  const depth = newDepth(app);
+  depth.idlePeriod = 60000;
+  const notifier = new ZoneNotifier(app, 'test-plugin', depth, {
+    zones: [{ upper: 2, state: 'alarm' }],
+    minDuration: 2000,
+  }).attach();
+  app.setValue(PATH, 1.5);
+  assert(notifier.zoneState === 'normal' && notifier.state.pendingState === 'alarm', 'a new state is pending first');
+  clock.advance(1000);
+  app.setValue(PATH, 3);
+  assert(notifier.state.pendingState === null, 'returning to the current state cancels it');
+  clock.advance(2000);
+  assert(notifier.zoneState === 'normal' && notifications(app).length === 0, 'a short excursion is never published');
+  app.setValue(PATH, 1.5);
+  clock.advance(1000);
+  app.setValue(PATH, 1.4);
+  clock.advance(999);
+  assert(notifier.zoneState === 'normal', 'further values in the pending state do not restart the timer');
+  clock.advance(1);
+  assert(notifier.zoneState === 'alarm' && notifications(app).length === 1, 'the state is published after minDuration');
+  notifier.terminate();
+  depth.terminate();
+}
+
+section('ZoneNotifier – minDuration and staleness');
+{
+  const app = newApp();
+  const depth = newDepth(app);
+  depth.idlePeriod = 1000;
+  const notifier = new ZoneNotifier(app, 'test-plugin', depth, {
+    zones: [{ upper: 2, state: 'alarm' }],
+    minDuration: 3000,
+  }).attach();
+  app.setValue(PATH, 1.5);
+  assert(notifier.state.pendingState === 'alarm', 'the shallow reading is pending');
+  clock.advance(1000);
+  assert(depth.stale && notifier.state.pendingState === null, 'going stale drops the pending state');
+  clock.advance(5000);
+  assert(notifier.zoneState === 'normal' && notifications(app).length === 0, 'nothing is published for a stale source');
+  app.setValue(PATH, 1.5);
+  assert(notifier.state.pendingState === 'alarm', 'fresh data starts a new pending period');
+  notifier.terminate();
+  depth.terminate();
+
+  const source = { id: 'depth', path: PATH, ready: true, value: 1.5, meta: {} };
+  const legacy = new ZoneNotifier(app, 'test-plugin', source, {
+    zones: [{ upper: 2, state: 'alarm' }],
+    minDuration: 3000,
+  }).attach();
+  source.onChange();
+  source.ready = false;
+  clock.advance(3000);
+  assert(legacy.zoneState === 'normal' && legacy.state.pendingState === null,
+    'sources without a stale event are checked before the pending state is published');
+  legacy.terminate();
+  assert(source.onChange === null, 'terminate() restores the previous onChange');
+}
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+restoreApps();
+console.log(`\n=== Summary: ${passed} passed, ${failed} failed ===`);
+if (failed > 0) process.exit(1);
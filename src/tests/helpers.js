@@ -0,0 +1,28 @@
+/**
+ * Fixtures shared by the test scripts.
+ */
+
+const { MockApp } = require('../../index');
+
+const installed = [];
+
+/**
+ * Creates a MockApp for 'test-plugin' and installs it as the REST meta fetch of all handlers.
+ * @param {Object} [options] - MockApp options.
+ * @returns {MockApp}
+ */
+function newApp(options) {
+  const app = new MockApp({ pluginId: 'test-plugin', ...options }).install();
+  installed.push(app);
+  return app;
+}
+
+/**
+ * Uninstalls the apps created by newApp(), restoring MessageHandler.metaOptions.fetch
+ * as it was before the first one.
+ */
+function restoreApps() {
+  while (installed.length > 0) installed.pop().uninstall();
+}
+
+module.exports = { newApp, restoreApps };
@@ -3,7 +3,7 @@
  * Run with: node src/tests/smoothers.js
  */
 
-const { BaseSmoother, MovingAverageSmoother, ExponentialSmoother, KalmanSmoother } = require('../../index');
+const { BaseSmoother, MovingAverageSmoother, ExponentialSmoother, KalmanSmoother, KalmanRateSmoother, HampelSmoother, Clock, ManualClock } = require('../../index');
 
 // ─── Harness ──────────────────────────────────────────────────────────────────
 
@@ -169,6 +169,221 @@ section('MovingAverageSmoother – no _window property (old API gone)');
   assert(!('_window' in s), '_window property no longer exists');
 }
 
+section('ExponentialSmoother – explicit sample timestamps');
+{
+  const s = new ExponentialSmoother({ timeConstant: 1 });
+  const t0 = 1700000000000;
+  s.add(0, undefined, t0);
+  s.add(10, undefined, t0 + 1000); // dt = tau → alpha = 1 - e⁻¹
+  assertApprox(s.estimate, 10 * (1 - Math.exp(-1)), 1e-9, 'estimate uses the supplied sample times');
+  const before = s.estimate;
+  s.add(100, undefined, t0 + 500); // out of order → dt clamped to 0
+  assertApprox(s.estimate, before, 1e-12, 'out-of-order sample does not move the estimate');
+}
+
+section('MovingAverageSmoother – explicit sample timestamps');
+{
+  const s = new MovingAverageSmoother({ timeSpan: 1 });
+  const t0 = 1700000000000;
+  s.add(10, undefined, t0);
+  s.add(20, undefined, t0 + 500);
+  s.add(30, undefined, t0 + 1600); // evicts samples older than t0 + 600
+  assertApprox(s.estimate, 30, 1e-9, 'window is evaluated against the supplied sample times');
+}
+
+section('ManualClock – default sample times come from the library clock');
+{
+  const clock = new ManualClock(1700000000000);
+  const previous = Clock.use(clock);
+  const s = new ExponentialSmoother({ timeConstant: 1 });
+  s.add(0);
+  clock.advance(1000);
+  s.add(10);
+  assertApprox(s.estimate, 10 * (1 - Math.exp(-1)), 1e-9, 'estimate uses virtual time without sleeping');
+  const m = new MovingAverageSmoother({ timeSpan: 1 });
+  m.add(10);
+  clock.advance(1500);
+  m.add(30);
+  assertApprox(m.estimate, 30, 1e-9, 'window expires in virtual time');
+  Clock.use(previous);
+  assert(Clock.current === previous, 'Clock.use() returns the previous clock');
+}
+
+section('ManualClock – timers run in time order when advanced');
+{
+  const clock = new ManualClock(0);
+  const log = [];
+  clock.setTimeout(() => log.push(`b@${clock.now()}`), 200);
+  clock.setTimeout(() => log.push(`a@${clock.now()}`), 100);
+  const cancelled = clock.setTimeout(() => log.push('cancelled'), 150);
+  clock.clearTimeout(cancelled);
+  const interval = clock.setInterval(() => log.push(`i@${clock.now()}`), 120);
+  assert(clock.advance(250) === 4, 'advance() reports the number of timers run');
+  assert(log.join(',') === 'a@100,i@120,b@200,i@240', `timers fire at their due time in order (${log.join(',')})`);
+  assert(clock.now() === 250, 'now() ends at the target time');
+  clock.clearInterval(interval);
+  assert(clock.pending === 0, 'no timers left after clearInterval');
+}
+
+section('Clock.timeout / Clock.cancel – timers are cancelled on the clock that scheduled them');
+{
+  const first = new ManualClock(0);
+  const second = new ManualClock(0);
+  const previous = Clock.use(first);
+  const log = [];
+  const timeout = Clock.timeout(() => log.push('timeout'), 100);
+  const interval = Clock.interval(() => log.push('interval'), 100);
+  Clock.use(second);
+  second.setTimeout(() => log.push('other'), 100);   // same id as `timeout` on the first clock
+  Clock.cancel(timeout);
+  Clock.cancel(interval);
+  Clock.cancel(null);
+  assert(first.pending === 0, 'both are cancelled on the first clock after switching clocks');
+  second.advance(100);
+  first.advance(100);
+  assert(log.join() === 'other', `a timer with the same id on the current clock is left alone (${log.join()})`);
+  Clock.use(previous);
+}
+
+// ─── HampelSmoother ───────────────────────────────────────────────────────────
+
+section('HampelSmoother – rejects single-sample spikes');
+{
+  const t0 = 1700000000000;
+  const s = new HampelSmoother({ timeSpan: 10 });
+  const clean = [5.0, 5.2, 4.9, 5.1, 5.0, 4.8, 5.2, 5.1];
+  clean.forEach((v, i) => s.add(v, undefined, t0 + i * 1000));
+  const before = s.estimate;
+  s.add(25, undefined, t0 + 8000);
+  assert(s.rejectionCount === 1 && s.lastOutlier, 'the spike is counted as an outlier');
+  assert(s.estimate === before, 'a rejected spike does not move the estimate');
+  assertApprox(s.median, 5.1, 1e-9, 'median of the raw window, spike included');
+  s.add(5.1, undefined, t0 + 9000);
+  assert(!s.lastOutlier && s.rejectionCount === 1, 'normal samples are accepted again');
+  const mean = [...clean, 5.1].reduce((a, b) => a + b, 0) / 9;
+  assertApprox(s.estimate, mean, 1e-9, 'estimate is the mean of the accepted samples');
+}
+
+section('HampelSmoother – clip mode limits outliers to the threshold');
+{
+  const s = new HampelSmoother({ mode: 'clip', k: 2, timeSpan: null, windowSize: 7 });
+  const values = [1.0, 1.2, 0.9, 1.1, 1.0, 0.8];
+  values.forEach((v, i) => s.add(v, undefined, i));
+  const limit = s.median + 2 * 1.4826 * s.mad;
+  s.add(100, undefined, 6);
+  assert(s.rejectionCount === 1, 'the outlier is counted');
+  assertApprox(s.estimate, (values.reduce((a, b) => a + b, 0) + limit) / 7, 1e-9, 'the outlier enters the mean clipped to median + k·σ');
+}
+
+section('HampelSmoother – follows a real step change');
+{
+  const s = new HampelSmoother({ timeSpan: null, windowSize: 9 });
+  const noise = i => ((i * 7) % 5) * 0.05;
+  for (let i = 0; i < 9; i++) s.add(10 + noise(i), undefined, i);
+  for (let i = 9; i < 30; i++) s.add(20 + noise(i), undefined, i);
+  assert(s.rejectionCount === 4, `a step is rejected only until it fills half the window (${s.rejectionCount})`);
+  assertApprox(s.estimate, 20.1, 0.05, 'the estimate settles on the new level');
+}
+
+section('HampelSmoother – minThreshold for quantized data');
+{
+  const strict = new HampelSmoother();
+  const tolerant = new HampelSmoother({ minThreshold: 0.25 });
+  for (const s of [strict, tolerant]) {
+    for (let i = 0; i < 6; i++) s.add(3.0, undefined, i * 100);
+    s.add(3.1, undefined, 600);
+  }
+  assert(strict.rejectionCount === 1 && tolerant.rejectionCount === 0, 'with MAD 0 only minThreshold keeps small changes');
+}
+
+// ─── KalmanRateSmoother ───────────────────────────────────────────────────────
+
+section('KalmanRateSmoother – follows a ramp without lag and estimates its rate');
+{
+  const t0 = 1700000000000;
+  const rated = new KalmanRateSmoother({ processNoise: 0.01, measurementVariance: 0.25 });
+  const level = new KalmanSmoother({ processVariance: 0.01, measurementVariance: 0.25 });
+  let t = 0;
+  const intervals = [0.2, 1.5, 0.4, 3, 0.7, 1, 2.2, 0.3];
+  for (let i = 0; i < 40; i++) {
+    t += intervals[i % intervals.length];
+    const value = 2 + 0.5 * t + ((i * 7) % 5 - 2) * 0.05;
+    rated.add(value, undefined, t0 + t * 1000);
+    level.add(value, undefined, t0 + t * 1000);
+  }
+  assertApprox(rated.rate, 0.5, 0.02, 'rate is the slope in units per second, with irregular intervals');
+  assertApprox(rated.estimate, 2 + 0.5 * t, 0.1, 'estimate follows the ramp');
+  assert(2 + 0.5 * t - level.estimate > 0.5, `the random-walk KalmanSmoother lags behind (${level.estimate.toFixed(2)})`);
+  assert(rated.rateVariance > 0 && rated.rateVariance < 0.05, 'rate variance shrinks from its initial 1e6');
+  assert(rated.covariance > 0, 'estimate and rate are positively correlated');
+}
+
+section('KalmanRateSmoother – process noise is specified per second');
+{
+  const q = 0.5, R = 2, P0 = 100, dt = 2;
+  const s = new KalmanRateSmoother({ processNoise: q, measurementVariance: R, initialRateVariance: P0 });
+  s.add(10, undefined, 0);
+  assert(s.estimate === 10 && s.rate === 0 && s.variance === R && s.rateVariance === P0, 'first sample sets the estimate; rate starts at 0');
+  s.add(14, undefined, dt * 1000);
+  // Predicted covariance: F P Fᵀ + q·[[dt³/3, dt²/2], [dt²/2, dt]]
+  const p00 = R + dt * dt * P0 + q * dt ** 3 / 3;
+  const p01 = dt * P0 + q * dt * dt / 2;
+  const p11 = P0 + q * dt;
+  const S = p00 + R;
+  assertApprox(s.estimate, 10 + (p00 / S) * 4, 1e-9, 'estimate after the update');
+  assertApprox(s.rate, (p01 / S) * 4, 1e-9, 'rate after the update');
+  assertApprox(s.variance, p00 * R / S, 1e-9, 'variance after the update');
+  assertApprox(s.covariance, p01 * R / S, 1e-9, 'covariance after the update');
+  assertApprox(s.rateVariance, p11 - p01 * p01 / S, 1e-9, 'rate variance after the update');
+}
+
+section('KalmanRateSmoother – constant signal and per-sample variance');
+{
+  const s = new KalmanRateSmoother();
+  for (let i = 0; i < 20; i++) s.add(7, 0, i * 1000);
+  assertApprox(s.estimate, 7, 1e-9, 'estimate of a constant signal');
+  assertApprox(s.rate, 0, 1e-9, 'rate of a constant signal is 0');
+  const trusted = new KalmanRateSmoother();
+  const doubted = new KalmanRateSmoother();
+  for (const [smoother, variance] of [[trusted, 0.01], [doubted, 100]]) {
+    smoother.add(0, variance, 0);
+    smoother.add(1, variance, 1000);
+  }
+  assert(trusted.rate > 0.99 && doubted.rate < trusted.rate, 'measurement variance passed to add() weights the sample');
+}
+
+// ─── toJSON / fromJSON ────────────────────────────────────────────────────────
+
+section('toJSON / fromJSON – restored smoothers continue identically');
+{
+  const t0 = 1700000000000;
+  const samples = [3, 5, 4, 6, 5.5, 4.5];
+  for (const [SmootherClass, options] of [
+    [MovingAverageSmoother, { timeSpan: 2 }],
+    [ExponentialSmoother, { timeConstant: 1.5 }],
+    [KalmanSmoother, { processVariance: 0.2, measurementVariance: 2 }],
+    [KalmanRateSmoother, { processNoise: 0.2, measurementVariance: 2 }],
+    [HampelSmoother, { timeSpan: 3, minSamples: 3 }],
+  ]) {
+    const original = new SmootherClass(options);
+    samples.forEach((v, i) => original.add(v, undefined, t0 + i * 700));
+    const json = JSON.parse(JSON.stringify(original));
+    const restored = SmootherClass.fromJSON(json);
+    assert(json.type === SmootherClass.name && restored.lastTime === t0 + 3500, `${SmootherClass.name}: type and last sample time are kept`);
+    original.add(7, undefined, t0 + 4200);
+    restored.add(7, undefined, t0 + 4200);
+    assertApprox(restored.estimate, original.estimate, 1e-12, `${SmootherClass.name}: estimate after the next sample`);
+    assertApprox(restored.variance, original.variance, 1e-12, `${SmootherClass.name}: variance after the next sample`);
+    if (original.rate !== undefined) assertApprox(restored.rate, original.rate, 1e-12, `${SmootherClass.name}: rate after the next sample`);
+  }
+  const m = new MovingAverageSmoother({ timeSpan: 1 });
+  for (let i = 0; i < 200; i++) m.add(i, undefined, t0 + i * 10);
+  const json = m.toJSON();
+  assert(json.values.length === 101 && json.times[0] === t0 + 990, 'MovingAverageSmoother stores only the samples in its window');
+  const wider = MovingAverageSmoother.fromJSON(json, { timeSpan: 5 });
+  assert(wider.options.timeSpan === 5 && wider.estimate === m.estimate, 'fromJSON() accepts new options for the restored state');
+}
+
 // ─── Summary ──────────────────────────────────────────────────────────────────
 
 console.log(`\n=== Summary: ${passed} passed, ${failed} failed ===`);
@@ -1,5 +1,10 @@
 class Reporter {
-  constructor() {
+  /**
+   * @param {Object} [options={}]
+   * @param {boolean} [options.displayUnits=false] - Include display-unit values (`display`) in the reports of deltas and polars.
+   */
+  constructor({ displayUnits = false } = {}) {
+    this.displayUnits = displayUnits;
     this.deltas = [];
     this.polars = [];
     this.tables = [];
@@ -14,6 +19,10 @@ addDelta(delta) {
     this.deltas.push(delta); 
 }
 
+removeDelta(delta) {
+    this.deltas = this.deltas.filter(d => d !== delta);
+}
+
 setPolars(polars) {
     this.polars = polars; 
 }
@@ -22,6 +31,10 @@ addPolar(polar) {
     this.polars.push(polar);
 }
 
+removePolar(polar) {
+    this.polars = this.polars.filter(p => p !== polar);
+}
+
 setTables(tables) {
     this.tables = tables; 
 }
@@ -30,6 +43,10 @@ addTable(table) {
     this.tables.push(table);
 }
 
+removeTable(table) {
+    this.tables = this.tables.filter(t => t !== table);
+}
+
 setAttitudes(attitudes) {
     this.attitudes = attitudes; 
 }
@@ -38,6 +55,10 @@ addAttitude(attitude) {
     this.attitudes.push(attitude); 
 }
 
+removeAttitude(attitude) {
+    this.attitudes = this.attitudes.filter(a => a !== attitude);
+}
+
 _toKeyed(items, accessor) {
   const result = {};
   for (const item of items) {
@@ -50,8 +71,9 @@ _toKeyed(items, accessor) {
 
 report() {
   const result = {};
-  if (this.deltas) result.deltas = this._toKeyed(this.deltas, d => typeof d.report === 'function' ? d.report() : JSON.stringify(d));
-  if (this.polars) result.polars = this._toKeyed(this.polars, p => typeof p.report === 'function' ? p.report() : JSON.stringify(p));
+  const options = { displayUnits: this.displayUnits };
+  if (this.deltas) result.deltas = this._toKeyed(this.deltas, d => typeof d.report === 'function' ? d.report(options) : JSON.stringify(d));
+  if (this.polars) result.polars = this._toKeyed(this.polars, p => typeof p.report === 'function' ? p.report(options) : JSON.stringify(p));
   if (this.tables) result.tables = this._toKeyed(this.tables, t => typeof t.report === 'function' ? t.report() : JSON.stringify(t));
   if (this.attitudes) result.attitudes = this._toKeyed(this.attitudes, a => typeof a.report === 'function' ? a.report() : JSON.stringify(a));
   return result;